@@ -0,0 +1,132 @@
+// Chord Shape Module - Fretted Instruments
+// Canonical voicing format with explicit muted and open strings, read from and written to chord-chart strings
+
+(function () {
+class ChordShape {
+    // Frets by string index (0 = string 1, the highest string), with null for a muted string
+    constructor(frets) {
+        if (!Array.isArray(frets) || frets.length === 0) {
+            throw new Error('A chord shape needs at least one string');
+        }
+        frets.forEach(fret => {
+            if (fret !== null && (!Number.isInteger(fret) || fret < 0)) {
+                throw new Error(`Invalid fret in chord shape: ${fret}`);
+            }
+        });
+
+        this.frets = [...frets];
+    }
+
+    // Parse a chord-chart string written from the lowest string up: 'x32010' with one character per
+    // string, or separated frets for shapes above the 9th fret such as 'x-x-10-9-8-x' or 'x 3 2 0 1 0'
+    static parse(text, stringCount = null) {
+        const trimmed = String(text).trim();
+        const symbols = /[\s,-]/.test(trimmed) ? trimmed.split(/[\s,-]+/) : [...trimmed];
+
+        const lowToHigh = symbols.map(symbol => {
+            if (/^[xX]$/.test(symbol)) return null;
+            if (/^[oO]$/.test(symbol)) return 0;
+            if (/^\d+$/.test(symbol)) return parseInt(symbol, 10);
+            throw new Error(`Invalid chord shape: ${text}`);
+        });
+
+        if (lowToHigh.length === 0 || trimmed === '') {
+            throw new Error(`Invalid chord shape: ${text}`);
+        }
+        if (stringCount !== null && lowToHigh.length !== stringCount) {
+            throw new Error(`Chord shape ${trimmed} has ${lowToHigh.length} strings; expected ${stringCount}`);
+        }
+
+        return new ChordShape(lowToHigh.reverse());
+    }
+
+    // Positions as {string, fret} objects or [string, fret] pairs; strings without a note are muted.
+    // No positions give an all-muted shape, which needs the string count.
+    static fromPositions(positions, stringCount = null) {
+        if (stringCount !== null && (!Number.isInteger(stringCount) || stringCount < 1)) {
+            throw new Error(`Invalid string count: ${stringCount}`);
+        }
+        if (positions.length === 0 && stringCount === null) {
+            throw new Error('A chord shape without positions needs a string count');
+        }
+
+        const pairs = positions.map(position =>
+            Array.isArray(position) ? position : [position.string, position.fret]
+        );
+        const count = stringCount || Math.max(...pairs.map(([string]) => string)) + 1;
+        const frets = new Array(count).fill(null);
+
+        pairs.forEach(([string, fret]) => {
+            if (!Number.isInteger(string) || string < 0 || string >= count) {
+                throw new Error(`Invalid string index: ${string}. Must be 0-${count - 1}.`);
+            }
+            if (frets[string] !== null) {
+                throw new Error(`String ${string + 1} has more than one note`);
+            }
+            frets[string] = fret;
+        });
+
+        return new ChordShape(frets);
+    }
+
+    // Accept a ChordShape, a chord-chart string or a list of positions
+    static from(shape, stringCount = null) {
+        if (shape instanceof ChordShape) {
+            if (stringCount !== null && shape.stringCount !== stringCount) {
+                throw new Error(`Chord shape ${shape} has ${shape.stringCount} strings; expected ${stringCount}`);
+            }
+            return shape;
+        }
+        return typeof shape === 'string'
+            ? ChordShape.parse(shape, stringCount)
+            : ChordShape.fromPositions(shape, stringCount);
+    }
+
+    get stringCount() {
+        return this.frets.length;
+    }
+
+    // Chart string from the lowest string up; frets above 9 (or an explicit separator) separate every fret
+    toString(separator = null) {
+        const symbols = [...this.frets].reverse().map(fret => (fret === null ? 'x' : String(fret)));
+        const joiner = separator !== null ? separator : (this.frets.some(fret => fret > 9) ? '-' : '');
+        return symbols.join(joiner);
+    }
+
+    // Played notes as {string, fret}, lowest string first
+    toPositions() {
+        return this.frets
+            .map((fret, string) => ({ string, fret }))
+            .filter(position => position.fret !== null)
+            .reverse();
+    }
+
+    // Played notes as [string, fret] pairs, lowest string first
+    toPairs() {
+        return this.toPositions().map(({ string, fret }) => [string, fret]);
+    }
+
+    getMutedStrings() {
+        return this.frets.map((fret, string) => (fret === null ? string : null)).filter(string => string !== null);
+    }
+
+    getOpenStrings() {
+        return this.frets.map((fret, string) => (fret === 0 ? string : null)).filter(string => string !== null);
+    }
+
+    equals(other) {
+        const shape = ChordShape.from(other, this.stringCount);
+        return shape.frets.every((fret, string) => fret === this.frets[string]);
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChordShape };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.ChordShapes = { ChordShape };
+}
+})();
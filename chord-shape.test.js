@@ -0,0 +1,70 @@
+// Tests for the chord-chart shape format
+const { ChordShape } = require('./chord-shape.js');
+
+describe('Chord Shapes', () => {
+    describe('Parsing', () => {
+        test('should read compact chart strings from the lowest string up', () => {
+            const openC = ChordShape.parse('x32010');
+
+            expect(openC.frets).toEqual([0, 1, 0, 2, 3, null]);
+            expect(openC.getMutedStrings()).toEqual([5]);
+            expect(openC.getOpenStrings()).toEqual([0, 2]);
+        });
+
+        test('should read separated frets above the 9th fret', () => {
+            expect(ChordShape.parse('x-x-10-9-8-x').frets).toEqual([null, 8, 9, 10, null, null]);
+            expect(ChordShape.parse('x 3 2 0 1 0').frets).toEqual([0, 1, 0, 2, 3, null]);
+            expect(ChordShape.parse('X,O,2,2,2,O').frets).toEqual([0, 2, 2, 2, 0, null]);
+        });
+
+        test('should reject malformed shapes and the wrong string count', () => {
+            expect(() => ChordShape.parse('x3a010')).toThrow('Invalid chord shape: x3a010');
+            expect(() => ChordShape.parse('')).toThrow('Invalid chord shape');
+            expect(() => ChordShape.parse('0003', 6)).toThrow('Chord shape 0003 has 4 strings; expected 6');
+            expect(() => new ChordShape([0, -1])).toThrow('Invalid fret in chord shape: -1');
+        });
+    });
+
+    describe('Serializing', () => {
+        test('should write compact strings unless a fret is above 9', () => {
+            expect(ChordShape.parse('x32010').toString()).toBe('x32010');
+            expect(ChordShape.parse('x-x-10-9-8-x').toString()).toBe('x-x-10-9-8-x');
+            expect(ChordShape.parse('x32010').toString('-')).toBe('x-3-2-0-1-0');
+        });
+
+        test('should convert to and from both position forms', () => {
+            const openC = ChordShape.parse('x32010');
+
+            expect(openC.toPositions()).toEqual([
+                { string: 4, fret: 3 },
+                { string: 3, fret: 2 },
+                { string: 2, fret: 0 },
+                { string: 1, fret: 1 },
+                { string: 0, fret: 0 }
+            ]);
+            expect(openC.toPairs()).toEqual([[4, 3], [3, 2], [2, 0], [1, 1], [0, 0]]);
+            expect(ChordShape.fromPositions([[2, 0], [3, 2], [4, 3]], 6).toString()).toBe('x320xx');
+            expect(ChordShape.fromPositions(openC.toPositions(), 6).equals('x32010')).toBe(true);
+        });
+
+        test('should reject two notes on one string', () => {
+            expect(() => ChordShape.fromPositions([{ string: 1, fret: 1 }, { string: 1, fret: 3 }], 6))
+                .toThrow('String 2 has more than one note');
+            expect(() => ChordShape.fromPositions([[6, 1]], 6)).toThrow('Invalid string index: 6. Must be 0-5.');
+        });
+
+        test('should mute every string when there are no positions', () => {
+            expect(ChordShape.fromPositions([], 6).toString()).toBe('xxxxxx');
+            expect(() => ChordShape.fromPositions([])).toThrow('A chord shape without positions needs a string count');
+            expect(() => ChordShape.fromPositions([[0, 1]], -1)).toThrow('Invalid string count: -1');
+        });
+    });
+
+    test('should accept any supported form through from()', () => {
+        const shape = ChordShape.parse('320003');
+
+        expect(ChordShape.from(shape)).toBe(shape);
+        expect(ChordShape.from('320003', 6).equals(shape)).toBe(true);
+        expect(() => ChordShape.from(shape, 4)).toThrow('Chord shape 320003 has 6 strings; expected 4');
+    });
+});
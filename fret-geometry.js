@@ -0,0 +1,142 @@
+// Fret Geometry Module - Fretted Instruments
+// Physical fret positions for a scale length, including multiscale (fanned-fret) necks
+
+(function () {
+const MILLIMETRES_PER_INCH = 25.4;
+
+// Each fret sits 1/divisor of the remaining string length past the previous one: 17.817 is exact
+// equal temperament (1 / (1 - 2^(-1/12))), 18 the luthier's traditional rule of 18
+const FRET_DIVISORS = {
+    'equal': 1 / (1 - Math.pow(2, -1 / 12)),
+    'ruleOf18': 18
+};
+
+// Common necks in millimetres; fanned necks give the treble and bass scale and the fret left square to the neck
+const SCALE_LENGTHS = {
+    'fender': { name: 'Fender 25.5"', scaleLength: 25.5 * MILLIMETRES_PER_INCH },
+    'prs': { name: 'PRS 25"', scaleLength: 25 * MILLIMETRES_PER_INCH },
+    'gibson': { name: 'Gibson 24.75"', scaleLength: 24.75 * MILLIMETRES_PER_INCH },
+    'classical': { name: 'Classical 650 mm', scaleLength: 650 },
+    'baritone': { name: 'Baritone 27"', scaleLength: 27 * MILLIMETRES_PER_INCH },
+    'bass': { name: 'Bass 34"', scaleLength: 34 * MILLIMETRES_PER_INCH },
+    'extraLongBass': { name: 'Bass 35"', scaleLength: 35 * MILLIMETRES_PER_INCH },
+    'fanned': {
+        name: 'Fanned 25.5"-27"',
+        scaleLength: 25.5 * MILLIMETRES_PER_INCH,
+        bassScaleLength: 27 * MILLIMETRES_PER_INCH,
+        perpendicularFret: 7
+    },
+    'fannedBass': {
+        name: 'Fanned bass 34"-37"',
+        scaleLength: 34 * MILLIMETRES_PER_INCH,
+        bassScaleLength: 37 * MILLIMETRES_PER_INCH,
+        perpendicularFret: 7
+    }
+};
+
+class FretGeometry {
+    // Options: scaleLength (mm, the treble string's on a fanned neck), bassScaleLength and perpendicularFret
+    // for a fanned neck, stringCount, and method ('equal' or 'ruleOf18')
+    constructor(options = {}) {
+        const {
+            scaleLength = SCALE_LENGTHS.fender.scaleLength,
+            bassScaleLength = null,
+            perpendicularFret = 0,
+            stringCount = 6,
+            method = 'equal'
+        } = options;
+
+        [scaleLength, bassScaleLength === null ? scaleLength : bassScaleLength].forEach(length => {
+            if (!(length > 0)) {
+                throw new Error(`Invalid scale length: ${length}`);
+            }
+        });
+        if (!FRET_DIVISORS[method]) {
+            throw new Error(`Unknown fret spacing method: ${method}. Must be one of ${Object.keys(FRET_DIVISORS).join(', ')}.`);
+        }
+
+        this.scaleLength = scaleLength;
+        this.bassScaleLength = bassScaleLength === null ? scaleLength : bassScaleLength;
+        this.perpendicularFret = perpendicularFret;
+        this.stringCount = stringCount;
+        this.method = method;
+    }
+
+    // A preset name from SCALE_LENGTHS, a length in millimetres, or an options object
+    static from(scale, stringCount = 6) {
+        if (scale instanceof FretGeometry) {
+            return scale;
+        }
+        if (typeof scale === 'string') {
+            if (!SCALE_LENGTHS[scale]) {
+                throw new Error(`Unknown scale length: ${scale}`);
+            }
+            return new FretGeometry({ ...SCALE_LENGTHS[scale], stringCount });
+        }
+        return typeof scale === 'number'
+            ? new FretGeometry({ scaleLength: scale, stringCount })
+            : new FretGeometry({ stringCount, ...scale });
+    }
+
+    static getScaleLengths() {
+        return Object.keys(SCALE_LENGTHS);
+    }
+
+    static inches(inches) {
+        return inches * MILLIMETRES_PER_INCH;
+    }
+
+    isMultiscale() {
+        return this.bassScaleLength !== this.scaleLength;
+    }
+
+    // Scale length of a string (0 = highest), spread evenly from the treble to the bass scale.
+    // Fractional indices give the length between strings, for drawing slanted frets.
+    getScaleLength(stringIndex = 0) {
+        if (this.stringCount < 2) {
+            return this.scaleLength;
+        }
+        return this.scaleLength + (this.bassScaleLength - this.scaleLength) * stringIndex / (this.stringCount - 1);
+    }
+
+    // Distance from the nut to a fret along a string; fractional frets lie between the wires
+    getFretDistance(fret, stringIndex = 0) {
+        const remaining = 1 - 1 / FRET_DIVISORS[this.method];
+        return this.getScaleLength(stringIndex) * (1 - Math.pow(remaining, fret));
+    }
+
+    // Width of the space between a fret and the one below it
+    getFretSpacing(fret, stringIndex = 0) {
+        return this.getFretDistance(fret, stringIndex) - this.getFretDistance(fret - 1, stringIndex);
+    }
+
+    // Position of a fret along the neck, measured from the nut end of the longest string. On a fanned
+    // neck every string crosses the perpendicular fret at the same point.
+    getFretX(fret, stringIndex = 0) {
+        const alignment = string => this.getFretDistance(this.perpendicularFret, string);
+        const offset = Math.max(alignment(0), alignment(this.stringCount - 1));
+        return this.getFretDistance(fret, stringIndex) - alignment(stringIndex) + offset;
+    }
+
+    // Length of neck needed to show frets up to the given one on every string
+    getNeckLength(lastFret) {
+        return Math.max(this.getFretX(lastFret, 0), this.getFretX(lastFret, this.stringCount - 1));
+    }
+
+    // Distance the hand spans between two frets; without a string, the widest span across the strings
+    getStretch(lowFret, highFret, stringIndex = null) {
+        const span = string => this.getFretDistance(highFret, string) - this.getFretDistance(lowFret, string);
+        return stringIndex === null ? Math.max(span(0), span(this.stringCount - 1)) : span(stringIndex);
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FretGeometry, SCALE_LENGTHS };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.FretGeometry = { FretGeometry, SCALE_LENGTHS };
+}
+})();
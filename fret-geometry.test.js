@@ -0,0 +1,77 @@
+// Tests for physical fret geometry
+const { FretGeometry, SCALE_LENGTHS } = require('./fret-geometry.js');
+
+describe('Fret Geometry', () => {
+    describe('Fret distances', () => {
+        test('should halve the string at the 12th fret and quarter it at the 24th', () => {
+            const geometry = new FretGeometry({ scaleLength: FretGeometry.inches(25.5) });
+
+            expect(geometry.getFretDistance(0)).toBe(0);
+            expect(geometry.getFretDistance(12)).toBeCloseTo(323.85);
+            expect(geometry.getFretDistance(24)).toBeCloseTo(485.775);
+        });
+
+        test('should shrink each fret space by the twelfth root of two', () => {
+            const geometry = new FretGeometry({ scaleLength: 648 });
+
+            expect(geometry.getFretSpacing(1)).toBeCloseTo(36.37, 2);
+            expect(geometry.getFretSpacing(2) / geometry.getFretSpacing(1)).toBeCloseTo(Math.pow(2, -1 / 12));
+            expect(geometry.getFretSpacing(20)).toBeLessThan(geometry.getFretSpacing(16));
+        });
+
+        test('should place frets slightly flat by the rule of 18', () => {
+            const equal = new FretGeometry({ scaleLength: 648 });
+            const ruleOf18 = new FretGeometry({ scaleLength: 648, method: 'ruleOf18' });
+
+            expect(ruleOf18.getFretSpacing(1)).toBeCloseTo(36, 5);
+            expect(ruleOf18.getFretDistance(12)).toBeLessThan(equal.getFretDistance(12));
+            expect(() => new FretGeometry({ method: 'golden' })).toThrow('Unknown fret spacing method: golden');
+        });
+
+        test('should scale stretch with the scale length', () => {
+            const gibson = FretGeometry.from('gibson');
+            const bass = FretGeometry.from('bass', 4);
+
+            expect(bass.getStretch(1, 4)).toBeGreaterThan(gibson.getStretch(1, 4));
+            expect(gibson.getStretch(1, 4)).toBeGreaterThan(gibson.getStretch(12, 15));
+        });
+    });
+
+    describe('Fanned frets', () => {
+        test('should spread the scale length from the treble to the bass string', () => {
+            const fanned = FretGeometry.from('fanned', 7);
+
+            expect(fanned.isMultiscale()).toBe(true);
+            expect(fanned.getScaleLength(0)).toBeCloseTo(647.7);
+            expect(fanned.getScaleLength(6)).toBeCloseTo(685.8);
+            expect(fanned.getScaleLength(3)).toBeCloseTo(666.75);
+        });
+
+        test('should square the frets at the perpendicular fret and fan them either side', () => {
+            const fanned = FretGeometry.from('fanned');
+
+            expect(fanned.getFretX(7, 0)).toBeCloseTo(fanned.getFretX(7, 5));
+            expect(fanned.getFretX(0, 0)).toBeGreaterThan(fanned.getFretX(0, 5));
+            expect(fanned.getFretX(0, 5)).toBe(0);
+            expect(fanned.getFretX(24, 0)).toBeLessThan(fanned.getFretX(24, 5));
+            expect(fanned.getNeckLength(24)).toBeCloseTo(fanned.getFretX(24, 5));
+        });
+
+        test('should measure the widest stretch on the longest string', () => {
+            const fanned = FretGeometry.from('fanned');
+
+            expect(fanned.getStretch(1, 5)).toBeCloseTo(fanned.getStretch(1, 5, 5));
+            expect(fanned.getStretch(1, 5, 0)).toBeLessThan(fanned.getStretch(1, 5, 5));
+        });
+    });
+
+    describe('Presets', () => {
+        test('should build geometry from presets, lengths and options', () => {
+            expect(FretGeometry.getScaleLengths()).toEqual(Object.keys(SCALE_LENGTHS));
+            expect(FretGeometry.from(864, 4).scaleLength).toBe(864);
+            expect(FretGeometry.from({ scaleLength: 650 }).isMultiscale()).toBe(false);
+            expect(() => FretGeometry.from('banjo')).toThrow('Unknown scale length: banjo');
+            expect(() => new FretGeometry({ scaleLength: 0 })).toThrow('Invalid scale length: 0');
+        });
+    });
+});
@@ -0,0 +1,264 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Load index.html and run its scripts in page order, as the browser would
+function loadPage() {
+    const html = fs.readFileSync(path.resolve(__dirname, 'index.html'), 'utf8');
+    document.documentElement.innerHTML = html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '');
+
+    [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].forEach(([, src]) => {
+        const script = document.createElement('script');
+        script.textContent = fs.readFileSync(path.resolve(__dirname, src), 'utf8');
+        document.body.appendChild(script);
+    });
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    return window.app;
+}
+
+describe('Fretboard SVG rendering', () => {
+    let app;
+    const svg = () => document.querySelector('#fretboard svg');
+    const texts = selector => [...svg().querySelectorAll(selector)].map(element => element.textContent);
+    const labels = () => app.fretboard.fingerDots
+        .filter(dot => dot.label)
+        .map(dot => `${dot.string}:${dot.fret}=${dot.label.textContent}`);
+    const change = (id, value) => {
+        const element = document.getElementById(id);
+        element.value = value;
+        element.dispatchEvent(new Event('change'));
+    };
+
+    beforeAll(() => {
+        app = loadPage();
+    });
+
+    beforeEach(() => {
+        app.rebuildFretboard({ instrument: 'guitar', tuning: null, numFrets: 12, fretWindow: null, capoFret: 0 });
+        app.updateDotLabelMode('none');
+        app.updateIntervalRoot(null);
+    });
+
+    describe('Layout', () => {
+        test('should draw a scalable neck with a nut, twelve frets and six labelled strings', () => {
+            expect(document.querySelectorAll('#fretboard svg')).toHaveLength(1);
+            expect(svg().getAttribute('viewBox')).toBe('-30 -5 1040 285');
+            expect(svg().getAttribute('aria-label')).toBe('Guitar fretboard, frets 0-12 of 12');
+            expect(svg().querySelectorAll('.nut')).toHaveLength(1);
+            expect(svg().querySelectorAll('.fret')).toHaveLength(13);
+            expect(texts('.string-label')).toEqual(['E', 'B', 'G', 'D', 'A', 'E']);
+            expect(texts('.fret-number')).toEqual(['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']);
+        });
+
+        test('should number the fret wires from the nut and space them closer together up the neck', () => {
+            const frets = [...svg().querySelectorAll('.fret')];
+            const wires = frets.map(fret => parseFloat(fret.getAttribute('x1')));
+            const gaps = wires.slice(1).map((x, index) => x - wires[index]);
+
+            expect(frets.map(fret => fret.dataset.fret)).toEqual(Array.from({ length: 13 }, (_, fret) => String(fret)));
+            expect(wires[0]).toBe(0);
+            expect(gaps[0]).toBeGreaterThan(60);
+            gaps.slice(1).forEach((gap, index) => expect(gap).toBeLessThan(gaps[index]));
+        });
+
+        test('should draw a rounded 1000 x 250 neck filled with a wood gradient', () => {
+            const neck = svg().querySelector('.neck');
+            const fill = neck.getAttribute('fill').replace(/^url\((.*)\)$/, '$1');
+
+            expect(neck.getAttribute('width')).toBe('1000');
+            expect(neck.getAttribute('height')).toBe('250');
+            expect(parseFloat(neck.getAttribute('rx'))).toBeGreaterThan(0);
+            expect(svg().querySelector(fill).tagName).toBe('linearGradient');
+        });
+
+        test('should draw thicker strings towards the bottom of the neck', () => {
+            const widths = [...svg().querySelectorAll('.string')].map(string => parseFloat(string.getAttribute('stroke-width')));
+
+            widths.slice(1).forEach((width, index) => expect(width).toBeGreaterThan(widths[index]));
+        });
+
+        test('should mark the inlay frets with double dots at the octave', () => {
+            expect(svg().querySelectorAll('.inlay')).toHaveLength(6);
+            svg().querySelectorAll('.inlay').forEach(inlay => {
+                expect(parseFloat(inlay.getAttribute('r')) * 2).toBeGreaterThan(8);
+            });
+        });
+
+        test('should take the inlay frets from the instrument', () => {
+            app.rebuildFretboard({ instrument: 'ukulele' });
+            expect(svg().querySelectorAll('.inlay')).toHaveLength(5);
+
+            app.rebuildFretboard({ instrument: 'guitar', numFrets: 24 });
+            expect(svg().querySelectorAll('.inlay')).toHaveLength(12);
+        });
+
+        test('should centre finger dots on their strings', () => {
+            app.showChordShape('x32010');
+            const stringHeights = [...svg().querySelectorAll('.string')].map(string => string.getAttribute('y1'));
+
+            expect(svg().querySelectorAll('.finger-dot')).toHaveLength(5);
+            svg().querySelectorAll('.finger-dot').forEach(dot => {
+                expect(dot.tagName).toBe('circle');
+                expect(stringHeights).toContain(dot.getAttribute('cy'));
+            });
+        });
+
+        test('should toggle a dot when a fret cell is clicked', () => {
+            const cell = svg().querySelector('.fret-cell[data-string="4"][data-cell="3"]');
+
+            cell.dispatchEvent(new Event('click'));
+            expect(svg().querySelectorAll('.finger-dot')).toHaveLength(1);
+            expect(app.fretboard.fingerDots[0].note).toBe('C');
+
+            cell.dispatchEvent(new Event('click'));
+            expect(svg().querySelectorAll('.finger-dot')).toHaveLength(0);
+        });
+    });
+
+    describe('Tuning', () => {
+        test('should restring the neck with the chosen tuning, spelled as the tuning spells it', () => {
+            change('tuning', 'ebStandard');
+
+            expect(app.fretboard.tuning).toBe('ebStandard');
+            expect(texts('.string-label')).toEqual(['Eb', 'Bb', 'Gb', 'Db', 'Ab', 'Eb']);
+        });
+
+        test('should find triad shapes in the chosen tuning', () => {
+            const openLowD = () => app.generateTriadShapes(['major'])
+                .some(shape => shape.name === 'D Major' && shape.positions.some(([string, fret]) => string === 5 && fret === 0));
+
+            expect(openLowD()).toBe(false);
+            change('tuning', 'dropD');
+            expect(openLowD()).toBe(true);
+        });
+
+        test('should list the tunings of a new instrument and start in its default', () => {
+            change('tuning', 'dadgad');
+            change('instrument', 'bass');
+            const options = [...document.getElementById('tuning').options].map(option => option.value);
+
+            expect(options).toEqual(['standard', 'dropD']);
+            expect(document.getElementById('tuning').value).toBe('standard');
+            expect(texts('.string-label')).toEqual(['G', 'D', 'A', 'E']);
+
+            change('instrument', 'guitar');
+            expect(document.getElementById('tuning').options).toHaveLength(8);
+        });
+    });
+
+    describe('Fret window', () => {
+        test('should draw only the frets in the window, without the nut', () => {
+            change('fret-window-start', 5);
+            change('fret-window-end', 9);
+
+            expect(app.fretboard.getFretWindow()).toEqual({ start: 5, end: 9 });
+            expect(svg().getAttribute('aria-label')).toBe('Guitar fretboard, frets 5-9 of 12');
+            expect(svg().querySelectorAll('.nut')).toHaveLength(0);
+            expect(texts('.fret-number')).toEqual(['5', '6', '7', '8', '9']);
+            expect(svg().querySelectorAll('.inlay')).toHaveLength(3);
+        });
+
+        test('should point at dots outside the window from the edge they lie beyond', () => {
+            app.updateFretWindow(5, 9);
+            app.showChordShape('x-x-10-9-8-3');
+
+            expect(labels().map(label => label.split('=')[0])).toEqual(['1:8', '2:9']);
+            const edges = [...svg().querySelectorAll('.edge-indicator')];
+            expect(edges.map(edge => edge.getAttribute('class'))).toEqual(['edge-indicator edge-left', 'edge-indicator edge-right']);
+            expect(edges.map(edge => edge.textContent)).toEqual(['3', '10']);
+        });
+
+        test('should keep the dots when the window returns to the whole neck', () => {
+            app.updateFretWindow(5, 9);
+            app.showChordShape('x32010');
+            app.updateFretWindow(0, 12);
+
+            expect(app.fretboard.fretWindow).toBeNull();
+            expect(svg().querySelectorAll('.edge-indicator')).toHaveLength(0);
+            expect(svg().querySelectorAll('.finger-dot')).toHaveLength(5);
+        });
+
+        test('should reject a window past the last fret and reset the inputs', () => {
+            document.getElementById('fret-window-start').value = 10;
+            change('fret-window-end', 14);
+
+            expect(app.fretboard.fretWindow).toBeNull();
+            expect(document.getElementById('fret-window-start').value).toBe('0');
+            expect(document.getElementById('fret-window-end').value).toBe('12');
+            expect(document.getElementById('activity-log').firstChild.textContent).toContain('Invalid fret window: 10-14');
+        });
+    });
+
+    describe('Dot labels', () => {
+        test('should spell note names from the chord, so a Bb triad reads Bb, D and F', () => {
+            app.showChordShape('x13331');
+            change('dot-labels', 'note');
+
+            expect(labels()).toEqual(['0:1=F', '1:3=D', '2:3=Bb', '3:3=F', '4:1=Bb']);
+        });
+
+        test('should name chord degrees and colour the dots by them', () => {
+            app.showChordShape('x32010');
+            change('dot-labels', 'degree');
+
+            expect(labels()).toEqual(['0:0=3', '1:1=R', '2:0=5', '3:2=3', '4:3=R']);
+            expect(app.fretboard.fingerDots[1].circle.getAttribute('class')).toBe('finger-dot degree-root');
+        });
+
+        test('should name the degrees of seventh and suspended shapes', () => {
+            app.showChordShape('x32310');
+            change('dot-labels', 'degree');
+
+            expect(app.fretboard.chord).toEqual({ root: 'C', type: '7' });
+            expect(labels()).toEqual(['0:0=3', '1:1=R', '2:3=b7', '3:2=3', '4:3=R']);
+            expect(app.fretboard.fingerDots[2].circle.getAttribute('class')).toBe('finger-dot degree-seventh');
+
+            app.showChordShape('xx0233');
+            expect(app.fretboard.chord).toEqual({ root: 'D', type: 'sus4' });
+            expect(labels()).toEqual(['0:3=4', '1:3=R', '2:2=5', '3:0=R']);
+        });
+
+        test('should leave a shape that is no chord without degrees', () => {
+            app.showChordShape('xx123x');
+            change('dot-labels', 'degree');
+
+            expect(app.fretboard.chord).toBeNull();
+            expect(labels()).toEqual(['1:3=', '2:2=', '3:1=']);
+        });
+
+        test('should spell intervals from the chord tones, so a diminished fifth reads d5', () => {
+            app.showChordShape('x3454x');
+            change('dot-labels', 'interval');
+
+            expect(app.fretboard.chord).toEqual({ root: 'C', type: 'diminished' });
+            expect(labels()).toEqual(['1:4=m3', '2:5=P1', '3:4=d5', '4:3=P1']);
+        });
+
+        test('should count intervals from the chosen root', () => {
+            app.showChordShape('x13331');
+            change('dot-labels', 'interval');
+            change('interval-root', 'Eb');
+
+            expect(labels()).toEqual(['0:1=M2', '1:3=M7', '2:3=P5', '3:3=M2', '4:1=P5']);
+        });
+
+        test('should take finger numbers from the playability scorer, barres included', () => {
+            app.showChordShape('133211');
+            change('dot-labels', 'finger');
+            expect(labels()).toEqual(['0:1=1', '1:1=1', '2:2=2', '3:3=4', '4:3=3', '5:1=1']);
+
+            app.showChordShape('x32010');
+            expect(labels()).toEqual(['0:0=0', '1:1=1', '2:0=0', '3:2=2', '4:3=3']);
+        });
+
+        test('should keep the label mode across a rebuild of the neck', () => {
+            change('dot-labels', 'note');
+            app.updateInstrument('ukulele');
+
+            expect(app.fretboard.labelMode).toBe('note');
+            expect(() => app.fretboard.setLabelMode('colour')).toThrow('Unknown dot label mode: colour');
+        });
+    });
+});
@@ -1,45 +1,336 @@
 // Guitar-Specific Fretboard Module
 // Contains all guitar-specific logic separate from general music theory
 
-const { Pitch, Chord, ChordTheory } = require('./music-theory-core.js');
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { Pitch, Interval, Chord, ChordTheory, ChordIdentifier, voicingTemplates } = isCommonJS ? require('./music-theory-core.js') : window.MusicTheoryCore;
+const { Key } = isCommonJS ? require('./music-theory-keys.js') : window.MusicTheoryKeys;
+const { PitchClassSet } = isCommonJS ? require('./pitch-class-sets.js') : window.PitchClassSets;
+const { PlayabilityScorer, DEFAULT_SCALE_LENGTH } = isCommonJS ? require('./guitar-playability.js') : window.GuitarPlayability;
+const { ChordShape } = isCommonJS ? require('./chord-shape.js') : window.ChordShapes;
+const { FretGeometry } = isCommonJS ? require('./fret-geometry.js') : window.FretGeometry;
+const { MappingFormatter } = isCommonJS ? require('./mapping-formats.js') : window.MappingFormats;
+
+// Named tunings, open strings listed high to low like the standard tuning
+const TUNING_PRESETS = {
+    'standard': { name: 'Standard', strings: ['E4', 'B3', 'G3', 'D3', 'A2', 'E2'] },
+    'dropD': { name: 'Drop D', strings: ['E4', 'B3', 'G3', 'D3', 'A2', 'D2'] },
+    'dadgad': { name: 'DADGAD', strings: ['D4', 'A3', 'G3', 'D3', 'A2', 'D2'] },
+    'openG': { name: 'Open G', strings: ['D4', 'B3', 'G3', 'D3', 'G2', 'D2'] },
+    'openD': { name: 'Open D', strings: ['D4', 'A3', 'F#3', 'D3', 'A2', 'D2'] },
+    'ebStandard': { name: 'Eb Standard', strings: ['Eb4', 'Bb3', 'Gb3', 'Db3', 'Ab2', 'Eb2'] },
+    'allFourths': { name: 'All Fourths', strings: ['F4', 'C4', 'G3', 'D3', 'A2', 'E2'] },
+    // High-strung: the lower four strings replaced by the octave strings of a 12-string set
+    'nashville': { name: 'Nashville', strings: ['E4', 'B3', 'G4', 'D4', 'A3', 'E3'] }
+};
+
+// Inlay frets of guitars and basses; octave frets get a double dot
+const STANDARD_INLAYS = [3, 5, 7, 9, 12, 15, 17, 19, 21, 24];
+
+// Fretted instruments: fret count, scale length in millimetres, inlay frets and named tunings,
+// open strings listed from string 1 (highest course) down
+const INSTRUMENTS = {
+    'guitar': { name: 'Guitar', frets: 25, scaleLength: 648, inlays: STANDARD_INLAYS, defaultTuning: 'standard', tunings: TUNING_PRESETS },
+    'sevenString': {
+        name: '7-String Guitar',
+        frets: 24,
+        scaleLength: 648,
+        inlays: STANDARD_INLAYS,
+        defaultTuning: 'standard',
+        tunings: {
+            'standard': { name: 'Standard', strings: ['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1'] },
+            'dropA': { name: 'Drop A', strings: ['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'A1'] }
+        }
+    },
+    'eightString': {
+        name: '8-String Guitar',
+        frets: 24,
+        scaleLength: 686,
+        inlays: STANDARD_INLAYS,
+        defaultTuning: 'standard',
+        tunings: {
+            'standard': { name: 'Standard', strings: ['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1', 'F#1'] }
+        }
+    },
+    'bass': {
+        name: 'Bass',
+        frets: 24,
+        scaleLength: 864,
+        inlays: STANDARD_INLAYS,
+        defaultTuning: 'standard',
+        tunings: {
+            'standard': { name: 'Standard', strings: ['G2', 'D2', 'A1', 'E1'] },
+            'dropD': { name: 'Drop D', strings: ['G2', 'D2', 'A1', 'D1'] }
+        }
+    },
+    'fiveStringBass': {
+        name: '5-String Bass',
+        frets: 24,
+        scaleLength: 889,
+        inlays: STANDARD_INLAYS,
+        defaultTuning: 'standard',
+        tunings: {
+            'standard': { name: 'Standard', strings: ['G2', 'D2', 'A1', 'E1', 'B0'] }
+        }
+    },
+    'ukulele': {
+        name: 'Ukulele',
+        frets: 18,
+        scaleLength: 380,
+        inlays: [5, 7, 10, 12, 15],
+        defaultTuning: 'standard',
+        tunings: {
+            // Re-entrant: the 4th string is tuned above the 3rd
+            'standard': { name: 'Standard (re-entrant G)', strings: ['A4', 'E4', 'C4', 'G4'] },
+            'lowG': { name: 'Low G', strings: ['A4', 'E4', 'C4', 'G3'] }
+        }
+    },
+    'mandolin': {
+        name: 'Mandolin',
+        frets: 20,
+        scaleLength: 350,
+        inlays: [5, 7, 10, 12, 15, 17],
+        defaultTuning: 'standard',
+        tunings: {
+            'standard': { name: 'Standard', strings: ['E5', 'A4', 'D4', 'G3'] }
+        }
+    }
+};
+
+// CAGED shape families, each the open major chord it is moved up the neck from: the string and fret of
+// its lowest root, and for each string (string 1 first) the frets and semitones above the root it plays
+const CAGED_SHAPES = {
+    'C': {
+        rootString: 4,
+        rootFret: 3,
+        strings: [[[0, 4]], [[1, 0]], [[0, 7]], [[2, 4]], [[3, 0]], [[3, 7], [0, 4]]]
+    },
+    'A': {
+        rootString: 4,
+        rootFret: 0,
+        strings: [[[0, 7]], [[2, 4]], [[2, 0]], [[2, 7]], [[0, 0]], [[0, 7]]]
+    },
+    'G': {
+        rootString: 5,
+        rootFret: 3,
+        strings: [[[3, 0]], [[0, 4], [3, 7]], [[0, 0]], [[0, 7]], [[2, 4]], [[3, 0]]]
+    },
+    'E': {
+        rootString: 5,
+        rootFret: 0,
+        strings: [[[0, 0]], [[0, 7]], [[1, 4]], [[2, 0]], [[2, 7]], [[0, 0]]]
+    },
+    'D': {
+        rootString: 3,
+        rootFret: 0,
+        strings: [[[2, 4]], [[3, 0]], [[2, 7]], [[0, 0]], [[0, 7]], [[2, 4]]]
+    }
+};
+
+// Semitones between neighbouring strings of standard tuning, lowest string first
+const STANDARD_STRING_INTERVALS = [5, 5, 5, 4, 5];
+
+// Interval each harmonic partial sounds above the string's fundamental (the 7th is a flat minor 7th)
+const HARMONIC_PARTIALS = {
+    2: 'P8', 3: 'P12', 4: 'P15', 5: 'M17', 6: 'P19', 7: 'm21', 8: 'P22', 9: 'M23', 10: 'M24'
+};
 
 class GuitarFretboard {
-    constructor() {
-        this.tuning = ['E4', 'B3', 'G3', 'D3', 'A2', 'E2']; // Standard tuning (high to low E)
-        this.stringNames = ['High E', 'B', 'G', 'D', 'A', 'Low E'];
-        this.maxFrets = 25; // Reasonable maximum
+    // Instrument is a key of INSTRUMENTS or a definition of the same shape; tuning defaults to its default
+    constructor(tuning = null, instrument = 'guitar') {
+        this.setInstrument(instrument, tuning);
+    }
+
+    static getInstruments() {
+        return Object.keys(INSTRUMENTS);
+    }
+
+    static getTuningPresets(instrument = 'guitar') {
+        if (!INSTRUMENTS[instrument]) {
+            throw new Error(`Unknown instrument: ${instrument}`);
+        }
+        return Object.keys(INSTRUMENTS[instrument].tunings);
+    }
+
+    setInstrument(instrument, tuning = null) {
+        const definition = typeof instrument === 'string' ? INSTRUMENTS[instrument] : instrument;
+        if (!definition) {
+            throw new Error(`Unknown instrument: ${instrument}`);
+        }
+        if (!definition.tunings || Object.keys(definition.tunings).length === 0) {
+            throw new Error(`Instrument ${definition.name} needs at least one tuning`);
+        }
+
+        this.instrumentKey = typeof instrument === 'string' ? instrument : null;
+        this.instrument = definition;
+        this.capo = null; // A capo laid over one string count may not fit another
+        this.geometry = null; // Back to the instrument's own scale length
+        this.stringCount = Object.values(definition.tunings)[0].strings.length;
+        this.maxFrets = definition.frets || 24;
+        this.setTuning(tuning || definition.defaultTuning || Object.keys(definition.tunings)[0]);
+    }
+
+    // Key, display name, string count and fret count of the active instrument
+    getInstrument() {
+        return {
+            key: this.instrumentKey,
+            name: this.instrument.name,
+            stringCount: this.stringCount,
+            frets: this.maxFrets
+        };
+    }
+
+    // Nut-to-bridge length in millimetres, for fret spacing and stretch; the treble side of a fanned neck
+    getScaleLength() {
+        return this.geometry ? this.geometry.scaleLength : this.instrument.scaleLength || DEFAULT_SCALE_LENGTH;
+    }
+
+    // Override the instrument's scale with a SCALE_LENGTHS preset name, a length in millimetres or
+    // { scaleLength, bassScaleLength, perpendicularFret } for a fanned neck; null restores the default
+    setScaleLength(scale) {
+        this.geometry = scale === null ? null : FretGeometry.from(scale, this.stringCount);
+    }
+
+    // Fret positions of this neck, shared by stretch scoring and harmonic touch points
+    getGeometry() {
+        return this.geometry || new FretGeometry({ scaleLength: this.getScaleLength(), stringCount: this.stringCount });
+    }
+
+    // Switch to a preset name or an array of open-string pitches (high to low)
+    setTuning(tuning) {
+        const presets = this.instrument.tunings;
+        let strings = tuning;
+        this.tuningName = null;
+
+        if (typeof tuning === 'string') {
+            if (!presets[tuning]) {
+                throw new Error(`Unknown tuning: ${tuning}`);
+            }
+            strings = presets[tuning].strings;
+            this.tuningName = tuning;
+        }
+
+        if (!Array.isArray(strings) || strings.length !== this.stringCount) {
+            throw new Error(`A ${this.instrument.name.toLowerCase()} tuning needs ${this.stringCount} open-string pitches`);
+        }
+
+        const pitches = strings.map(pitch => (typeof pitch === 'string' ? new Pitch(pitch) : pitch));
+        this.tuning = pitches.map(pitch => pitch.toString());
+        this.stringNames = this.nameStrings(pitches);
+
+        // An array matching a preset is reported as that preset
+        if (!this.tuningName) {
+            this.tuningName = Object.keys(presets).find(name =>
+                presets[name].strings.every((open, index) => open === this.tuning[index])
+            ) || null;
+        }
     }
 
     getTuning() {
         return [...this.tuning]; // Return copy to prevent mutation
     }
 
+    // Preset key of the active tuning, or null for a custom tuning
+    getTuningName() {
+        return this.tuningName;
+    }
+
+    // True for a six-string guitar in standard tuning, where the stock chord shapes apply
+    isStandardGuitar() {
+        return this.instrumentKey === 'guitar' && this.tuningName === 'standard';
+    }
+
+    // Note names high to low; a repeated note is Low on its last string, and string 1 is High
+    // when its note repeats (High E ... Low E, or ... Low E, Low B on a 7-string)
+    nameStrings(pitches) {
+        const notes = pitches.map(pitch => pitch.note);
+
+        return notes.map((note, index) => {
+            if (notes.indexOf(note) === notes.lastIndexOf(note)) return note;
+            if (index === 0) return `High ${note}`;
+            if (index === notes.lastIndexOf(note)) return `Low ${note}`;
+            return note;
+        });
+    }
+
+    // Clamp a capo at a fret over all strings, or over the given string indices for a partial capo.
+    // Fret numbers stay absolute: fret 0 on a covered string sounds at the capo.
+    setCapo(fret, strings = null) {
+        if (!fret) {
+            this.capo = null;
+            return;
+        }
+        if (!Number.isInteger(fret) || fret < 0 || fret >= this.maxFrets) {
+            throw new Error(`Invalid capo fret: ${fret}. Must be 1-${this.maxFrets - 1}.`);
+        }
+
+        const covered = strings === null ? this.tuning.map((_, index) => index) : [...new Set(strings)];
+        if (covered.length === 0) {
+            throw new Error('A capo must cover at least one string');
+        }
+        covered.forEach(stringIndex => this.validateStringIndex(stringIndex));
+
+        this.capo = { fret, strings: covered.sort((a, b) => a - b) };
+    }
+
+    removeCapo() {
+        this.capo = null;
+    }
+
+    getCapo() {
+        return this.capo ? { fret: this.capo.fret, strings: [...this.capo.strings] } : null;
+    }
+
+    // The fret acting as the nut for a string: the capo fret if covered, otherwise 0
+    getCapoFret(stringIndex) {
+        return this.capo && this.capo.strings.includes(stringIndex) ? this.capo.fret : 0;
+    }
+
+    // Fret counted from the capo, as a player reading a capo chart would number it
+    toRelativeFret(stringIndex, fret) {
+        return Math.max(0, fret - this.getCapoFret(stringIndex));
+    }
+
+    toAbsoluteFret(stringIndex, relativeFret) {
+        return relativeFret + this.getCapoFret(stringIndex);
+    }
+
     fretToPitch(stringIndex, fret) {
         // Validate inputs
-        if (stringIndex < 0 || stringIndex >= 6) {
-            throw new Error(`Invalid string index: ${stringIndex}. Must be 0-5.`);
-        }
+        this.validateStringIndex(stringIndex);
         if (fret < 0 || fret > this.maxFrets) {
             throw new Error(`Invalid fret number: ${fret}. Must be 0-${this.maxFrets}.`);
         }
+
+        const capoFret = this.getCapoFret(stringIndex);
+        if (fret > 0 && fret < capoFret) {
+            throw new Error(`Fret ${fret} is behind the capo at fret ${capoFret}`);
+        }
         
+        // Open strings keep the tuning's spelling (Eb standard stays Eb, not D#)
         const openString = new Pitch(this.tuning[stringIndex]);
-        return openString.addSemitones(fret);
+        const soundingFret = Math.max(fret, capoFret);
+        return soundingFret === 0 ? openString : openString.addSemitones(soundingFret);
     }
 
     getStringName(stringIndex) {
-        if (stringIndex < 0 || stringIndex >= 6) {
-            throw new Error(`Invalid string index: ${stringIndex}. Must be 0-5.`);
-        }
+        this.validateStringIndex(stringIndex);
         return this.stringNames[stringIndex];
     }
 
+    validateStringIndex(stringIndex) {
+        if (stringIndex < 0 || stringIndex >= this.tuning.length) {
+            throw new Error(`Invalid string index: ${stringIndex}. Must be 0-${this.tuning.length - 1}.`);
+        }
+    }
+
     findPositionsForNote(noteName, maxFrets = 24) {
         const positions = [];
         const targetPitch = new Pitch(noteName);
         
-        for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
-            for (let fret = 0; fret <= Math.min(maxFrets, this.maxFrets); fret++) {
+        for (let stringIndex = 0; stringIndex < this.tuning.length; stringIndex++) {
+            // Frets behind a capo cannot be played; the capo fret itself is the open string
+            for (let fret = this.getCapoFret(stringIndex); fret <= Math.min(maxFrets, this.maxFrets); fret++) {
                 const pitch = this.fretToPitch(stringIndex, fret);
                 
                 // Check if semitone values match (handles enharmonic equivalents)
@@ -55,12 +346,91 @@ class GuitarFretboard {
         
         return positions;
     }
+
+    // Natural harmonics of a string, by partial: the nodes dividing the string (from the nut or capo) at
+    // node/partial of its length, at fractional frets (12, 7.02, 19.02, 4.98, 24, 3.86 ...). Options: maxPartial, maxFret
+    getNaturalHarmonics(stringIndex, options = {}) {
+        this.validateStringIndex(stringIndex);
+        const { maxPartial = 6, maxFret = this.maxFrets } = options;
+        this.validatePartial(maxPartial);
+
+        const capoFret = this.getCapoFret(stringIndex);
+        const openString = this.fretToPitch(stringIndex, capoFret);
+        const harmonics = [];
+
+        for (let partial = 2; partial <= maxPartial; partial++) {
+            for (let node = 1; node < partial; node++) {
+                // A node shared with a lower partial (2/4 is 1/2) belongs to that partial
+                if ([...Array(node + 1).keys()].some(d => d > 1 && node % d === 0 && partial % d === 0)) continue;
+
+                const fret = capoFret + GuitarFretboard.fractionToFret(node / partial);
+                if (fret > maxFret + 1e-9) continue;
+
+                harmonics.push({
+                    string: stringIndex,
+                    fret: Math.round(fret * 100) / 100,
+                    partial: partial,
+                    node: node,
+                    ...this.describeHarmonic(openString, partial, fret, stringIndex)
+                });
+            }
+        }
+
+        return harmonics;
+    }
+
+    // Artificial harmonic above a fretted note: the touch point is the node of the partial nearest the
+    // fretting hand (12 frets up for the octave). Touch points past the last fret lie over the body.
+    getArtificialHarmonic(stringIndex, fret, partial = 2) {
+        this.validatePartial(partial);
+        const frettedPitch = this.fretToPitch(stringIndex, fret);
+        const stoppedAt = Math.max(fret, this.getCapoFret(stringIndex));
+        const touchFret = stoppedAt + GuitarFretboard.fractionToFret(1 / partial);
+
+        return {
+            string: stringIndex,
+            fret: fret,
+            touchFret: Math.round(touchFret * 100) / 100,
+            partial: partial,
+            overFretboard: touchFret > this.maxFrets,
+            ...this.describeHarmonic(frettedPitch, partial, touchFret, stringIndex)
+        };
+    }
+
+    // Sounding pitch of a partial above a fundamental, its offset from equal temperament in cents,
+    // its true frequency and the distance of the touch point from the nut in millimetres
+    describeHarmonic(fundamental, partial, touchFret, stringIndex) {
+        const pitch = fundamental.addInterval(HARMONIC_PARTIALS[partial]);
+        const justCents = 1200 * Math.log2(partial);
+        const distance = this.getGeometry().getFretDistance(touchFret, stringIndex);
+
+        return {
+            pitch: pitch,
+            note: pitch.toString(),
+            cents: Math.round((justCents - (pitch.semitoneValue - fundamental.semitoneValue) * 100) * 100) / 100,
+            frequency: fundamental.toFrequency() * partial,
+            distanceFromNut: Math.round(distance * 10) / 10
+        };
+    }
+
+    validatePartial(partial) {
+        if (!HARMONIC_PARTIALS[partial]) {
+            throw new Error(`Invalid harmonic partial: ${partial}. Must be 2-10.`);
+        }
+    }
+
+    // Fret lying the given fraction of the string length from the nut (a half is fret 12)
+    static fractionToFret(fraction) {
+        return -12 * Math.log2(1 - fraction);
+    }
 }
 
 class GuitarChordDatabase {
     constructor(fretboard = null) {
         this.fretboard = fretboard || new GuitarFretboard();
         this.chordTheory = new ChordTheory();
+        this.chordIdentifier = new ChordIdentifier();
+        this.playabilityScorer = new PlayabilityScorer();
         this.initializeCommonPatterns();
     }
 
@@ -95,49 +465,49 @@ class GuitarChordDatabase {
         return { ...this.commonChordPatterns }; // Return copy
     }
 
+    // Positions in any accepted form: {string, fret} objects, [string, fret] pairs, a ChordShape
+    // or a chord-chart string such as 'x32010'; returned lowest string first
+    toPositions(shape) {
+        return ChordShape.from(shape, this.fretboard.getTuning().length).toPositions();
+    }
+
+    // Chord-chart string for positions on this fretboard, with unplayed strings muted
+    toShapeString(positions) {
+        return ChordShape.from(positions, this.fretboard.getTuning().length).toString();
+    }
+
     identifyChordFromPositions(fretPositions) {
-        // Extract pitches from fret positions
-        const pitches = fretPositions.map(pos => 
+        // Complete chords only, best match first; the lowest sounding note sets the inversion
+        return this.analyzeChordFromPositions(fretPositions)
+            .filter(candidate => candidate.omitted.length === 0)
+            .map(candidate => candidate.chord);
+    }
+
+    // Ranked candidates with confidence scores and explanations, tolerating
+    // doubled notes, an omitted 5th, extra notes and slash basses
+    analyzeChordFromPositions(fretPositions, options = {}) {
+        const pitches = this.toPositions(fretPositions).map(pos => 
             this.fretboard.fretToPitch(pos.string, pos.fret)
         );
 
-        // Get unique note names (remove octave info)
-        const uniquePitches = [];
-        const seenNotes = new Set();
-        
-        for (const pitch of pitches) {
-            if (!seenNotes.has(pitch.note)) {
-                uniquePitches.push(pitch);
-                seenNotes.add(pitch.note);
-            }
-        }
-        
-        const noteNames = uniquePitches.map(p => p.note);
-        
-        // Use the chord theory to identify possible chords
-        const possibleChords = this.chordTheory.identifyChordFromNotes(noteNames);
-        
-        // If we have position information, try to determine inversion more accurately
-        if (possibleChords.length > 0 && pitches.length > 0) {
-            const bassNote = pitches.sort((a, b) => a.semitoneValue - b.semitoneValue)[0].note;
-            
-            // Filter chords based on bass note for better inversion detection
-            return possibleChords.filter(chord => {
-                const chordPitches = chord.getPitches();
-                const chordBassNote = chordPitches[0].note;
-                return this.chordTheory.notesMatch(bassNote, chordBassNote);
-            });
-        }
-        
-        return possibleChords;
+        return this.chordIdentifier.identify(pitches, options);
+    }
+
+    // Set-class analysis of the placed notes, naming clusters that match no chord quality
+    describePitchClassSetFromPositions(fretPositions) {
+        const pitches = this.toPositions(fretPositions).map(pos =>
+            this.fretboard.fretToPitch(pos.string, pos.fret)
+        );
+
+        return new PitchClassSet(pitches).describe();
     }
 
     getChordPositions(chord) {
         const positions = [];
         
-        // Check if we have a predefined pattern
+        // Check if we have a predefined pattern; the common shapes assume a standard-tuned guitar
         const standardName = chord.getStandardName();
-        if (this.commonChordPatterns[standardName]) {
+        if (this.fretboard.isStandardGuitar() && !this.fretboard.getCapo() && this.commonChordPatterns[standardName]) {
             positions.push({
                 name: standardName,
                 positions: this.commonChordPatterns[standardName],
@@ -148,50 +518,320 @@ class GuitarChordDatabase {
         // Generate additional positions algorithmically
         this.generateChordPositions(chord, positions);
         
-        return positions;
+        return positions.map(voicing => ({
+            ...voicing,
+            shape: this.toShapeString(voicing.positions),
+            cagedShape: this.getCagedShape(chord, voicing.positions),
+            position: this.getNeckPosition(voicing.positions)
+        }));
     }
 
+    // CAGED family ('C', 'A', 'G', 'E' or 'D') whose moved open-chord shape contains every note, or null.
+    // Chord tones other than the major triad's sit within two frets of the nearest shape note on their string.
+    // Needs a six-string guitar in standard intervals; a full capo acts as the nut.
+    getCagedShape(chord, shape) {
+        const tuning = this.fretboard.getTuning();
+        const capo = this.fretboard.getCapo();
+        const positions = this.toPositions(shape);
+        if (tuning.length !== 6 || (capo && capo.strings.length !== 6) || positions.length === 0) {
+            return null;
+        }
+
+        const lowToHigh = [...tuning].reverse().map(pitch => new Pitch(pitch).semitoneValue);
+        const intervals = lowToHigh.slice(1).map((pitch, index) => pitch - lowToHigh[index]);
+        if (intervals.join() !== STANDARD_STRING_INTERVALS.join()) {
+            return null;
+        }
+
+        const capoFret = capo ? capo.fret : 0;
+        const pitchClass = pitch => ((pitch.semitoneValue % 12) + 12) % 12;
+        const root = pitchClass(chord.root);
+        const notes = positions.map(({ string, fret }) => ({
+            string: string,
+            fret: fret - capoFret,
+            interval: (pitchClass(this.fretboard.fretToPitch(string, fret)) - root + 12) % 12
+        }));
+
+        let best = null;
+        for (const [name, shape] of Object.entries(CAGED_SHAPES)) {
+            const openRoot = pitchClass(this.fretboard.fretToPitch(shape.rootString, capoFret));
+            const nearestBase = (((root - openRoot - shape.rootFret) % 12) + 12) % 12;
+
+            for (const base of [nearestBase - 12, nearestBase, nearestBase + 12]) {
+                let distance = 0;
+                const fits = notes.every(note => shape.strings[note.string].some(([fret, interval]) => {
+                    const offset = ((note.interval - interval + 18) % 12) - 6;
+                    if (Math.abs(offset) > 2 || note.fret !== base + fret + offset) {
+                        return false;
+                    }
+                    distance += Math.abs(offset);
+                    return true;
+                }));
+
+                if (fits && (!best || distance < best.distance)) {
+                    best = { name, distance };
+                }
+            }
+        }
+
+        return best ? best.name : null;
+    }
+
+    // Fret the index finger sits at, worked back from the lowest-numbered finger of the best fingering;
+    // open voicings sit at the nut or capo
+    getNeckPosition(shape) {
+        const positions = this.toPositions(shape);
+        const fingered = this.scorePlayability(positions).fingering
+            .filter(note => typeof note.finger === 'number');
+
+        if (fingered.length) {
+            const lowest = fingered.reduce((a, b) => (b.finger < a.finger ? b : a));
+            return Math.max(this.fretboard.getCapoFret(lowest.string) + 1, lowest.fret - (lowest.finger - 1));
+        }
+
+        const fretted = positions.filter(p => p.fret > this.fretboard.getCapoFret(p.string));
+        return fretted.length
+            ? Math.min(...fretted.map(p => p.fret))
+            : Math.max(0, ...positions.map(p => this.fretboard.getCapoFret(p.string)));
+    }
+
+    // Enumerated voicings inside a CAGED shape and/or a fret range, e.g. { cagedShape: 'E' } or
+    // { frets: [5, 9] }; other options go to enumerateVoicings
+    findVoicingsInRegion(chord, options = {}) {
+        const { cagedShape = null, frets = null, ...enumerateOptions } = options;
+        if (cagedShape && !CAGED_SHAPES[cagedShape]) {
+            throw new Error(`Unknown CAGED shape: ${cagedShape}`);
+        }
+
+        return this.enumerateVoicings(chord, frets ? { maxFret: frets[1], ...enumerateOptions } : enumerateOptions)
+            .filter(voicing => !cagedShape || voicing.cagedShape === cagedShape)
+            .filter(voicing => !frets || voicing.positions.every(p => p.fret >= frets[0] && p.fret <= frets[1]));
+    }
+
+    // The best-scored enumerated voicing in each four-fret region from the nut (or capo) up to the 12th fret,
+    // in the chord's inversion. Neighbouring regions often share a voicing, which is listed once, and a
+    // voicing already inside a listed shape (the open C triad inside x32010) is left out.
     generateChordPositions(chord, positions) {
-        const chordPitches = chord.getPitches();
-        
-        // Try to find the chord across different fret positions
+        const isListed = voicing => positions.some(listed => voicing.positions.every(({ string, fret }) =>
+            this.toPositions(listed.positions).some(note => note.string === string && note.fret === fret)
+        ));
+        const voicings = this.enumerateVoicings(chord, { inversions: [chord.inversion], details: false })
+            .map(voicing => ({ ...voicing, score: this.scorePlayability(voicing.positions).score }));
+
         for (let baseFret = 0; baseFret <= 12; baseFret++) {
-            const pattern = this.findChordPattern(chordPitches, baseFret);
-            if (pattern && pattern.length >= 3) {
-                const difficulty = this.calculateDifficulty(pattern);
+            const [best] = voicings
+                .filter(voicing => voicing.positions.every(({ string, fret }) => {
+                    const fromCapo = fret - this.fretboard.getCapoFret(string);
+                    return fromCapo >= baseFret && fromCapo <= baseFret + 4;
+                }))
+                .sort((a, b) => b.score - a.score);
+
+            if (best && !isListed(best)) {
                 positions.push({
                     name: `${chord.getStandardName()}_fret_${baseFret}`,
-                    positions: pattern,
-                    difficulty: difficulty
+                    positions: best.positions,
+                    difficulty: this.calculateDifficulty(best.positions)
                 });
             }
         }
     }
 
-    findChordPattern(chordPitches, baseFret) {
-        const pattern = [];
-        const usedStrings = new Set();
+    // Every playable voicing of the chord with one chord tone per string, on every adjacent and
+    // skip-string set of the chord's size, up to the last fret. Options: stringSets (index arrays or
+    // names such as '1-3-4'), maxFret, maxSpan between fretted notes, and inversions or voicings to keep.
+    // details: false leaves out the CAGED shape and neck position, the slow part for long lists.
+    // A slash chord's bass note is not part of the voicing.
+    enumerateVoicings(chord, options = {}) {
+        const tones = chord.getSpelledTones();
+        const {
+            stringSets = this.getStringSets(tones.length),
+            maxFret = this.fretboard.maxFrets,
+            maxSpan = 4,
+            inversions = null,
+            voicings = null,
+            details = true
+        } = options;
+        const toneClasses = tones.map(tone => ((tone.semitoneValue % 12) + 12) % 12);
+        const lastFret = Math.min(maxFret, this.fretboard.maxFrets);
+        const results = [];
+
+        stringSets.map(set => this.parseStringSet(set)).forEach(strings => {
+            if (strings.length !== tones.length) {
+                throw new Error(
+                    `String set ${this.formatStringSet(strings)} has ${strings.length} strings; ` +
+                    `${chord.getSymbol()} needs ${tones.length}`
+                );
+            }
 
-        for (const pitch of chordPitches) {
-            for (let string = 0; string < 6; string++) {
-                if (usedStrings.has(string)) continue;
+            // Frets on each string that sound a chord tone, from the capo (or nut) up
+            const choices = strings.map(string => {
+                const frets = [];
+                for (let fret = this.fretboard.getCapoFret(string); fret <= lastFret; fret++) {
+                    const pitch = this.fretboard.fretToPitch(string, fret);
+                    const toneIndex = toneClasses.indexOf(((pitch.semitoneValue % 12) + 12) % 12);
+                    if (toneIndex !== -1) {
+                        frets.push({ string, fret, toneIndex, pitch });
+                    }
+                }
+                return frets;
+            });
 
-                const openStringPitch = new Pitch(this.fretboard.getTuning()[string]);
-                const requiredFret = pitch.semitoneValue - openStringPitch.semitoneValue;
+            // Each chord tone exactly once, with the fretted notes inside the span
+            const extend = (placed) => {
+                if (placed.length === strings.length) {
+                    results.push(this.describeVoicing(chord, tones, strings, placed, details));
+                    return;
+                }
+                for (const choice of choices[placed.length]) {
+                    if (placed.some(note => note.toneIndex === choice.toneIndex)) continue;
 
-                if (requiredFret >= baseFret && requiredFret <= baseFret + 4 && requiredFret >= 0) {
-                    pattern.push({ string, fret: requiredFret });
-                    usedStrings.add(string);
-                    break;
+                    const next = [...placed, choice];
+                    if (this.getFretSpan(next) > maxSpan) continue;
+                    extend(next);
                 }
+            };
+            extend([]);
+        });
+
+        return results
+            .filter(voicing => !inversions || inversions.includes(voicing.inversion))
+            .filter(voicing => !voicings || voicings.includes(voicing.voicing))
+            .sort((a, b) => a.lowestFret - b.lowestFret || a.highestFret - b.highestFret);
+    }
+
+    describeVoicing(chord, tones, strings, placed, details = true) {
+        // Sounding order, low to high, spelled as the chord spells each tone
+        const sounding = [...placed]
+            .sort((a, b) => a.pitch.semitoneValue - b.pitch.semitoneValue)
+            .map(note => {
+                const spelling = tones[note.toneIndex].note;
+                const respelled = note.pitch.note === spelling
+                    ? note.pitch.toString()
+                    : note.pitch.getEnharmonicEquivalents().find(name => new Pitch(name).note === spelling);
+                return { ...note, name: respelled || note.pitch.toString() };
+            });
+
+        const inversion = chord.getAvailableInversions()[sounding[0].toneIndex];
+        const voicing = this.classifyVoicing(chord, inversion, sounding.map(note => note.pitch));
+        const frets = placed.map(note => note.fret);
+        const positions = [...placed]
+            .sort((a, b) => b.string - a.string)
+            .map(({ string, fret }) => ({ string, fret }));
+
+        const description = {
+            chord: new Chord(chord.root, chord.quality, inversion, voicing),
+            symbol: new Chord(chord.root, chord.quality, inversion).getSymbol(),
+            positions: positions,
+            shape: this.toShapeString(positions),
+            notes: sounding.map(note => note.name),
+            stringSet: [...strings].sort((a, b) => a - b),
+            stringSetName: this.formatStringSet(strings),
+            adjacent: Math.max(...strings) - Math.min(...strings) === strings.length - 1,
+            inversion: inversion,
+            voicing: voicing,
+            fretSpan: this.getFretSpan(placed),
+            lowestFret: Math.min(...frets),
+            highestFret: Math.max(...frets),
+            difficulty: this.calculateDifficulty(positions)
+        };
+
+        if (!details) {
+            return description;
+        }
+        return {
+            ...description,
+            cagedShape: this.getCagedShape(chord, positions),
+            position: this.getNeckPosition(positions)
+        };
+    }
+
+    // First voicing template whose intervals above the bass match; anything wider counts as open
+    classifyVoicing(chord, inversion, pitches) {
+        const shape = pitches.map(pitch => pitch.semitoneValue - pitches[0].semitoneValue).join(',');
+        const match = voicingTemplates.getNamesFor(pitches.length).find(name => {
+            const templatePitches = new Chord(chord.root, chord.quality, inversion, name).getPitches();
+            return templatePitches
+                .map(pitch => pitch.semitoneValue - templatePitches[0].semitoneValue)
+                .join(',') === shape;
+        });
+        return match || 'open';
+    }
+
+    // Distance between the lowest and highest fretted notes; strings ringing at the nut or capo need no finger
+    getFretSpan(notes) {
+        const fretted = notes
+            .filter(note => note.fret > this.fretboard.getCapoFret(note.string))
+            .map(note => note.fret);
+        return fretted.length ? Math.max(...fretted) - Math.min(...fretted) : 0;
+    }
+
+    // Every set of `size` strings as index arrays, adjacent sets first, then by how widely they skip
+    getStringSets(size) {
+        const stringCount = this.fretboard.getTuning().length;
+        const sets = [];
+        const choose = (start, set) => {
+            if (set.length === size) {
+                sets.push(set);
+                return;
+            }
+            for (let string = start; string < stringCount; string++) {
+                choose(string + 1, [...set, string]);
             }
+        };
+        choose(0, []);
+
+        return sets.sort((a, b) =>
+            (a[a.length - 1] - a[0]) - (b[b.length - 1] - b[0]) || a[0] - b[0]
+        );
+    }
+
+    // Accept string indices or a name of 1-based string numbers such as '1-3-4'
+    parseStringSet(set) {
+        const strings = typeof set === 'string'
+            ? set.split('-').map(number => parseInt(number, 10) - 1)
+            : set;
+
+        if (new Set(strings).size !== strings.length) {
+            throw new Error(`Invalid string set: ${set}`);
         }
+        strings.forEach(stringIndex => this.fretboard.validateStringIndex(stringIndex));
+        return strings;
+    }
 
-        return pattern;
+    formatStringSet(strings) {
+        return [...strings].sort((a, b) => a - b).map(stringIndex => stringIndex + 1).join('-');
+    }
+
+    // Fingering, barre, stretch and a 0-100 score for positions on this fretboard.
+    // Options: hand ('small', 'medium', 'large') and allowThumb.
+    scorePlayability(shape, options = {}) {
+        return this.playabilityScorer.score(this.toPositions(shape), {
+            scaleLength: this.fretboard.getScaleLength(),
+            geometry: this.fretboard.getGeometry(),
+            stringCount: this.fretboard.getTuning().length,
+            capo: this.fretboard.getCapo(),
+            ...options
+        });
+    }
+
+    // Chord positions with their playability, easiest first
+    getOptimalFingerings(chord, options = {}) {
+        return this.getChordPositions(chord)
+            .map(pattern => {
+                const playability = this.scorePlayability(pattern.positions, options);
+                return {
+                    ...pattern,
+                    fretSpan: this.getFretSpan(pattern.positions),
+                    score: playability.score,
+                    playability: playability
+                };
+            })
+            .sort((a, b) => b.score - a.score || a.fretSpan - b.fretSpan);
     }
 
     calculateDifficulty(pattern) {
-        const frets = pattern.map(p => p.fret).filter(f => f > 0);
+        // Notes sounding at the capo are open strings, not fretted notes
+        const frets = this.toPositions(pattern).filter(p => p.fret > this.fretboard.getCapoFret(p.string)).map(p => p.fret);
         if (frets.length === 0) return 'beginner';
         
         const fretSpan = Math.max(...frets) - Math.min(...frets);
@@ -211,15 +851,16 @@ class GuitarPositionMapper {
 
     generateCompleteMapping(maxFrets = 24) {
         const strings = [];
+        const lastFret = Math.min(maxFrets, this.fretboard.maxFrets); // Shorter necks stop at their last fret
         
-        for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        for (let stringIndex = 0; stringIndex < this.fretboard.getTuning().length; stringIndex++) {
             const stringData = {
                 stringNumber: stringIndex + 1,
                 openNote: this.fretboard.getTuning()[stringIndex],
                 positions: []
             };
             
-            for (let fret = 0; fret <= maxFrets; fret++) {
+            for (let fret = this.fretboard.getCapoFret(stringIndex); fret <= lastFret; fret++) {
                 const pitch = this.fretboard.fretToPitch(stringIndex, fret);
                 stringData.positions.push({
                     fret: fret,
@@ -234,8 +875,11 @@ class GuitarPositionMapper {
         
         return {
             metadata: {
+                instrument: this.fretboard.getInstrument().name,
                 tuning: this.fretboard.getTuning(),
-                maxFrets: maxFrets,
+                tuningName: this.fretboard.getTuningName(),
+                capo: this.fretboard.getCapo(),
+                maxFrets: lastFret,
                 generatedAt: new Date().toISOString()
             },
             strings: strings
@@ -246,82 +890,190 @@ class GuitarPositionMapper {
         return this.fretboard.findPositionsForNote(noteName, maxFrets);
     }
 
+    getTitle(layer = 'frets') {
+        const positions = layer === 'harmonics' ? 'Natural Harmonic' : 'Fretboard';
+        return `${this.fretboard.getInstrument().name} ${positions} Position to SPN Mapping`;
+    }
+
+    // Mapping sheet in a text, markdown, csv, json or html format. Options: layer ('frets', or 'harmonics' for
+    // the natural harmonics up to maxPartial), minFret and maxFrets, spelling ('sharps', 'flats' or 'key'),
+    // key ('D', 'E minor') for an interval-from-tonic column, and includeMIDI, includeFrequency and
+    // includeEnharmonics columns
     generateMappingTable(options = {}) {
+        const { format = 'text' } = options;
+        return new MappingFormatter().format(this.buildMappingSheet(options), format);
+    }
+
+    buildMappingSheet(options = {}) {
         const {
-            format = 'text',
-            maxFrets = 12,
+            layer = 'frets',
+            minFret = 0,
+            maxPartial = 6,
             includeEnharmonics = false,
-            includeMIDI = false
+            includeMIDI = false,
+            includeFrequency = false
         } = options;
-        
-        let table = '';
-        
-        // Header
-        table += 'Guitar Fretboard Position to SPN Mapping\\n';
-        table += '=' .repeat(50) + '\\n';
-        table += `Generated: ${new Date().toLocaleString()}\\n`;
-        table += `Tuning: ${this.fretboard.getTuning().join(' - ')}\\n`;
-        table += `Fret Range: 0-${maxFrets}\\n\\n`;
-        
-        // String-by-string mapping
-        for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
-            const stringNumber = stringIndex + 1;
-            const stringName = this.fretboard.getStringName(stringIndex);
-            
-            table += `String ${stringNumber} (${stringName}):\\n`;
-            table += '-'.repeat(30) + '\\n';
-            
-            for (let fret = 0; fret <= maxFrets; fret++) {
-                const pitch = this.fretboard.fretToPitch(stringIndex, fret);
-                let line = `  String-${stringNumber}-Fret-${fret}: ${pitch.toString()}`;
-                
-                if (includeMIDI) {
-                    line += ` (MIDI: ${pitch.semitoneValue})`;
-                }
-                
-                if (includeEnharmonics) {
-                    const enharmonics = pitch.getEnharmonicEquivalents();
-                    if (enharmonics.length > 0) {
-                        line += ` [${enharmonics.join(', ')}]`;
-                    }
+        const maxFrets = Math.min(options.maxFrets === undefined ? 12 : options.maxFrets, this.fretboard.maxFrets);
+        if (!Number.isInteger(minFret) || minFret < 0 || minFret > maxFrets) {
+            throw new Error(`Invalid fret range: ${minFret}-${maxFrets}`);
+        }
+
+        if (!['frets', 'harmonics'].includes(layer)) {
+            throw new Error(`Unknown mapping layer: ${layer}. Must be frets or harmonics.`);
+        }
+
+        const key = this.toKey(options.key);
+        const spelling = options.spelling || (key ? 'key' : null);
+        if (spelling === 'key' && !key) {
+            throw new Error('Spelling notes by key needs a key');
+        }
+        if (spelling && !['sharps', 'flats', 'key'].includes(spelling)) {
+            throw new Error(`Unknown spelling: ${spelling}. Must be sharps, flats or key.`);
+        }
+
+        const tuning = this.fretboard.getTuning();
+        const describe = (stringIndex, fret, soundingPitch, harmonic = null) => {
+            const pitch = this.spellPitch(soundingPitch, spelling, key);
+            return {
+                fret: fret,
+                position: `String-${stringIndex + 1}-${harmonic ? 'Harmonic' : 'Fret'}-${fret}`,
+                note: pitch.toString(),
+                midi: pitch.semitoneValue,
+                frequency: harmonic ? harmonic.frequency : pitch.toFrequency(),
+                partial: harmonic ? harmonic.partial : null,
+                cents: harmonic ? harmonic.cents : null,
+                interval: key ? this.getIntervalFromTonic(key.tonic, pitch).toString() : null,
+                enharmonics: pitch.getEnharmonicEquivalents()
+            };
+        };
+
+        const strings = tuning.map((openNote, stringIndex) => {
+            const positions = [];
+
+            if (layer === 'harmonics') {
+                this.fretboard.getNaturalHarmonics(stringIndex, { maxPartial, maxFret: maxFrets })
+                    .filter(harmonic => harmonic.fret >= minFret)
+                    .sort((a, b) => a.fret - b.fret)
+                    .forEach(harmonic => positions.push(describe(stringIndex, harmonic.fret, harmonic.pitch, harmonic)));
+            } else {
+                // Frets behind a capo are skipped; the capo fret is listed as the open string
+                for (let fret = Math.max(minFret, this.fretboard.getCapoFret(stringIndex)); fret <= maxFrets; fret++) {
+                    positions.push(describe(stringIndex, fret, this.fretboard.fretToPitch(stringIndex, fret)));
                 }
-                
-                table += line + '\\n';
             }
-            
-            table += '\\n';
+
+            return {
+                number: stringIndex + 1,
+                name: this.fretboard.getStringName(stringIndex),
+                openNote: openNote,
+                positions: positions
+            };
+        });
+
+        return {
+            title: this.getTitle(layer),
+            layer: layer,
+            instrument: this.fretboard.getInstrument().name,
+            tuning: tuning,
+            tuningName: this.fretboard.getTuningName(),
+            capo: this.fretboard.getCapo(),
+            key: key ? key.getName() : null,
+            fretRange: { min: minFret, max: maxFrets },
+            generatedAt: new Date(),
+            columns: {
+                partial: layer === 'harmonics',
+                cents: layer === 'harmonics',
+                midi: includeMIDI,
+                frequency: includeFrequency,
+                interval: Boolean(key),
+                enharmonics: includeEnharmonics
+            },
+            strings: strings,
+            referenceNotes: this.getReferenceNotes()
+        };
+    }
+
+    // Accept a Key, a tonic ('Bb') or a tonic and mode ('E minor')
+    toKey(key) {
+        if (!key || key instanceof Key) {
+            return key || null;
         }
-        
-        // Add reference notes section
-        table += 'REFERENCE NOTES:\\n';
-        table += '-'.repeat(20) + '\\n';
-        table += `  A440 (Concert A): String-1-Fret-05 = A4\\n`;
-        table += `  Middle C:         String-2-Fret-01 = C4\\n`;
-        table += `  Low E (Open):     String-6-Fret-00 = E2\\n`;
-        table += `  High E (Open):    String-1-Fret-00 = E4\\n\\n`;
-        
-        return table;
+        const [tonic, mode = 'major'] = String(key).trim().split(/\s+/);
+        return new Key(tonic, mode);
     }
 
+    // Respell a pitch with sharps, with flats, or as the key writes it: scale notes by the scale and
+    // other notes with the key signature's accidental. Without a spelling the fretboard's is kept.
+    spellPitch(pitch, spelling, key) {
+        if (!spelling) {
+            return pitch;
+        }
+
+        const sharp = Pitch.fromMidi(pitch.semitoneValue);
+        const flat = sharp.alteration > 0 ? sharp.spellWithLetterOffset(1) : sharp;
+        if (spelling === 'sharps') return sharp;
+        if (spelling === 'flats') return flat;
+
+        const pitchClass = ((pitch.semitoneValue % 12) + 12) % 12;
+        const scaleNote = key.getPitches().find(note => ((note.semitoneValue % 12) + 12) % 12 === pitchClass);
+        if (scaleNote) {
+            return [sharp, ...[-2, -1, 1, 2].map(offset => sharp.spellWithLetterOffset(offset))]
+                .find(candidate => candidate && candidate.note === scaleNote.note);
+        }
+        return key.getKeySignature().type === 'flats' ? flat : sharp;
+    }
+
+    // Simple interval from the tonic up to the pitch, by spelling (D to F# is M3, D to Gb is d4)
+    getIntervalFromTonic(tonic, pitch) {
+        let below = new Pitch(tonic.note + pitch.octave);
+        if (below.getDiatonicIndex() > pitch.getDiatonicIndex()) {
+            below = new Pitch(tonic.note + (pitch.octave - 1));
+        }
+        return Interval.between(below, pitch);
+    }
+
+    // A4, middle C and the two outer open strings, the fretted notes at their lowest fret
+    getReferenceNotes() {
+        const tuning = this.fretboard.getTuning();
+        const lowest = tuning.length - 1;
+        const formatPosition = (string, fret) => `String-${string + 1}-Fret-${String(fret).padStart(2, '0')}`;
+        const references = [];
+
+        [['A440 (Concert A)', 'A4'], ['Middle C', 'C4']].forEach(([label, note]) => {
+            const [position] = this.findPositionsForNote(note, 24)
+                .sort((a, b) => a.fret - b.fret || a.string - b.string);
+            if (position) {
+                references.push({ label, note, position: formatPosition(position.string, position.fret) });
+            }
+        });
+
+        // Under a capo the outer strings ring at the capo fret
+        [lowest, 0].forEach(string => {
+            references.push({
+                label: `${this.fretboard.getStringName(string)} (Open)`,
+                note: this.fretboard.fretToPitch(string, 0).toString(),
+                position: formatPosition(string, this.fretboard.getCapoFret(string))
+            });
+        });
+
+        return references;
+    }
+
+    // Write a mapping sheet, in the format named by the file extension unless options.format is given
     async generateMappingFile(outputPath, options = {}) {
         const fs = require('fs');
         const {
-            maxFrets = 15,
-            includeEnharmonics = false,
-            includeMIDI = false
+            format = MappingFormatter.getFormatForPath(outputPath),
+            maxFrets = 15
         } = options;
         
-        let tableContent = this.generateMappingTable({
-            maxFrets,
-            includeEnharmonics,
-            includeMIDI
-        });
+        let tableContent = this.generateMappingTable({ ...options, format, maxFrets });
         
-        // For file output, use all-caps header
-        tableContent = tableContent.replace(
-            'Guitar Fretboard Position to SPN Mapping',
-            'GUITAR FRETBOARD POSITION TO SPN MAPPING'
-        );
+        // For plain text file output, use all-caps header
+        if (format === 'text') {
+            const title = this.getTitle(options.layer);
+            tableContent = tableContent.replace(title, title.toUpperCase());
+        }
         
         // Write file synchronously for testing purposes
         fs.writeFileSync(outputPath, tableContent, 'utf8');
@@ -330,10 +1082,11 @@ class GuitarPositionMapper {
 
 // Export for CommonJS (Node.js/Jest)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GuitarFretboard, GuitarChordDatabase, GuitarPositionMapper };
+    module.exports = { GuitarFretboard, GuitarChordDatabase, GuitarPositionMapper, TUNING_PRESETS, INSTRUMENTS, CAGED_SHAPES };
 }
 
 // Export for ES6 modules (browser)
 if (typeof window !== 'undefined') {
-    window.GuitarFretboard = { GuitarFretboard, GuitarChordDatabase, GuitarPositionMapper };
-}
\ No newline at end of file
+    window.GuitarFretboard = { GuitarFretboard, GuitarChordDatabase, GuitarPositionMapper, TUNING_PRESETS, INSTRUMENTS, CAGED_SHAPES };
+}
+})();
@@ -1,5 +1,5 @@
 // Tests for guitar-specific fretboard functionality
-const { GuitarFretboard, GuitarChordDatabase, GuitarPositionMapper } = require('./guitar-fretboard.js');
+const { GuitarFretboard, GuitarChordDatabase, GuitarPositionMapper, INSTRUMENTS } = require('./guitar-fretboard.js');
 
 describe('Guitar Fretboard Functionality', () => {
     describe('GuitarFretboard Class', () => {
@@ -45,6 +45,245 @@ describe('Guitar Fretboard Functionality', () => {
             expect(positions.length).toBeGreaterThan(0);
             expect(positions.some(pos => pos.string === 0 && pos.fret === 5)).toBe(true); // High E, 5th fret
         });
+
+        describe('Tunings', () => {
+            test('should start in standard tuning and list the presets', () => {
+                expect(fretboard.getTuningName()).toBe('standard');
+                expect(GuitarFretboard.getTuningPresets()).toEqual([
+                    'standard', 'dropD', 'dadgad', 'openG', 'openD', 'ebStandard', 'allFourths', 'nashville'
+                ]);
+            });
+
+            test('should accept a preset in the constructor', () => {
+                const dadgad = new GuitarFretboard('dadgad');
+
+                expect(dadgad.getTuning()).toEqual(['D4', 'A3', 'G3', 'D3', 'A2', 'D2']);
+                expect(dadgad.getStringName(0)).toBe('High D');
+                expect(dadgad.getStringName(5)).toBe('Low D');
+                expect(dadgad.fretToPitch(5, 2).toString()).toBe('E2');
+            });
+
+            test('should change tuning at runtime', () => {
+                fretboard.setTuning('dropD');
+
+                expect(fretboard.fretToPitch(5, 0).toString()).toBe('D2');
+                expect(fretboard.getStringName(3)).toBe('D');
+                expect(fretboard.getStringName(5)).toBe('Low D');
+                expect(fretboard.findPositionsForNote('D2', 12)).toEqual([{ string: 5, fret: 0, note: 'D2' }]);
+            });
+
+            test('should keep the spelling of flat open strings', () => {
+                fretboard.setTuning('ebStandard');
+
+                expect(fretboard.fretToPitch(5, 0).toString()).toBe('Eb2');
+                expect(fretboard.fretToPitch(5, 1).toString()).toBe('E2');
+            });
+
+            test('should accept custom tunings and recognise presets given as arrays', () => {
+                fretboard.setTuning(['D4', 'B3', 'G3', 'D3', 'G2', 'D2']);
+                expect(fretboard.getTuningName()).toBe('openG');
+
+                fretboard.setTuning(['D4', 'A3', 'E3', 'C3', 'G2', 'C2']);
+                expect(fretboard.getTuningName()).toBeNull();
+                expect(fretboard.getStringName(5)).toBe('Low C');
+            });
+
+            test('should reject unknown presets and malformed tunings', () => {
+                expect(() => fretboard.setTuning('openZ')).toThrow('Unknown tuning: openZ');
+                expect(() => fretboard.setTuning(['E4', 'B3'])).toThrow('A guitar tuning needs 6 open-string pitches');
+                expect(() => fretboard.setTuning(['E4', 'B3', 'G3', 'D3', 'A2', 'H2'])).toThrow('Invalid pitch notation');
+            });
+        });
+
+        describe('Instruments', () => {
+            test('should list the instrument presets', () => {
+                expect(GuitarFretboard.getInstruments()).toEqual([
+                    'guitar', 'sevenString', 'eightString', 'bass', 'fiveStringBass', 'ukulele', 'mandolin'
+                ]);
+                expect(fretboard.getInstrument()).toEqual({ key: 'guitar', name: 'Guitar', stringCount: 6, frets: 25 });
+            });
+
+            test('should use every string of a 7-string guitar', () => {
+                const sevenString = new GuitarFretboard(null, 'sevenString');
+
+                expect(sevenString.fretToPitch(6, 0).toString()).toBe('B1');
+                expect(sevenString.getStringName(6)).toBe('Low B');
+                expect(() => sevenString.fretToPitch(7, 0)).toThrow('Invalid string index: 7. Must be 0-6.');
+                expect(sevenString.findPositionsForNote('C2', 12)).toEqual([{ string: 6, fret: 1, note: 'C2' }]);
+            });
+
+            test('should model four-string bass and its tunings', () => {
+                const bass = new GuitarFretboard('dropD', 'bass');
+
+                expect(bass.getTuning()).toEqual(['G2', 'D2', 'A1', 'D1']);
+                expect(bass.getStringName(3)).toBe('Low D');
+                expect(() => bass.fretToPitch(4, 0)).toThrow('Invalid string index');
+                expect(() => bass.setTuning(['G2', 'D2', 'A1'])).toThrow('A bass tuning needs 4 open-string pitches');
+            });
+
+            test('should keep the re-entrant G of a ukulele and its shorter neck', () => {
+                const ukulele = new GuitarFretboard(null, 'ukulele');
+
+                expect(ukulele.fretToPitch(3, 0).toString()).toBe('G4');
+                expect(ukulele.fretToPitch(2, 0).toString()).toBe('C4');
+                expect(() => ukulele.fretToPitch(0, 19)).toThrow('Invalid fret number: 19. Must be 0-18.');
+                ukulele.setTuning('lowG');
+                expect(ukulele.fretToPitch(3, 0).toString()).toBe('G3');
+            });
+
+            test('should switch instruments at runtime', () => {
+                fretboard.setInstrument('mandolin');
+
+                expect(fretboard.getTuning()).toEqual(['E5', 'A4', 'D4', 'G3']);
+                expect(fretboard.getTuningName()).toBe('standard');
+                expect(fretboard.isStandardGuitar()).toBe(false);
+            });
+
+            test('should accept a custom instrument definition', () => {
+                const baritone = new GuitarFretboard(null, {
+                    name: 'Baritone Ukulele',
+                    frets: 19,
+                    tunings: { standard: { name: 'Standard', strings: ['E4', 'B3', 'G3', 'D3'] } }
+                });
+
+                expect(baritone.getInstrument()).toEqual({ key: null, name: 'Baritone Ukulele', stringCount: 4, frets: 19 });
+                expect(baritone.fretToPitch(3, 2).toString()).toBe('E3');
+            });
+
+            test('should give each instrument its inlay frets, up to the 24th on guitars and basses', () => {
+                expect(INSTRUMENTS.guitar.inlays).toEqual([3, 5, 7, 9, 12, 15, 17, 19, 21, 24]);
+                expect(INSTRUMENTS.bass.inlays).toEqual(INSTRUMENTS.guitar.inlays);
+                expect(INSTRUMENTS.ukulele.inlays).toEqual([5, 7, 10, 12, 15]);
+                expect(INSTRUMENTS.mandolin.inlays).toEqual([5, 7, 10, 12, 15, 17]);
+            });
+
+            test('should reject unknown instruments', () => {
+                expect(() => new GuitarFretboard(null, 'banjo')).toThrow('Unknown instrument: banjo');
+                expect(() => GuitarFretboard.getTuningPresets('banjo')).toThrow('Unknown instrument: banjo');
+                expect(GuitarFretboard.getTuningPresets('ukulele')).toEqual(Object.keys(INSTRUMENTS.ukulele.tunings));
+            });
+        });
+
+        describe('Capo', () => {
+            test('should sound open strings at the capo fret', () => {
+                fretboard.setCapo(2);
+
+                expect(fretboard.getCapo()).toEqual({ fret: 2, strings: [0, 1, 2, 3, 4, 5] });
+                expect(fretboard.fretToPitch(5, 0).toString()).toBe('F#2');
+                expect(fretboard.fretToPitch(5, 2).toString()).toBe('F#2');
+                expect(fretboard.fretToPitch(5, 5).toString()).toBe('A2');
+                expect(() => fretboard.fretToPitch(5, 1)).toThrow('Fret 1 is behind the capo at fret 2');
+            });
+
+            test('should support a partial capo over some strings', () => {
+                // The classic "drop D without retuning" partial capo over strings 1-5
+                fretboard.setCapo(2, [4, 3, 2, 1, 0]);
+
+                expect(fretboard.getCapo()).toEqual({ fret: 2, strings: [0, 1, 2, 3, 4] });
+                expect(fretboard.fretToPitch(5, 0).toString()).toBe('E2');
+                expect(fretboard.fretToPitch(5, 1).toString()).toBe('F2');
+                expect(fretboard.fretToPitch(4, 0).toString()).toBe('B2');
+            });
+
+            test('should convert between absolute and capo-relative frets', () => {
+                fretboard.setCapo(3, [0, 1, 2]);
+
+                expect(fretboard.toRelativeFret(0, 5)).toBe(2);
+                expect(fretboard.toAbsoluteFret(0, 2)).toBe(5);
+                expect(fretboard.toRelativeFret(5, 5)).toBe(5);
+            });
+
+            test('should only find positions at or above the capo', () => {
+                fretboard.setCapo(5);
+
+                expect(fretboard.findPositionsForNote('A2', 12)).toEqual([{ string: 5, fret: 5, note: 'A2' }]);
+                expect(fretboard.findPositionsForNote('E2', 12)).toEqual([]);
+            });
+
+            test('should validate and remove the capo', () => {
+                expect(() => fretboard.setCapo(25)).toThrow('Invalid capo fret: 25. Must be 1-24.');
+                expect(() => fretboard.setCapo(2, [])).toThrow('A capo must cover at least one string');
+                expect(() => fretboard.setCapo(2, [6])).toThrow('Invalid string index: 6. Must be 0-5.');
+
+                fretboard.setCapo(4);
+                fretboard.setCapo(0);
+                expect(fretboard.getCapo()).toBeNull();
+
+                fretboard.setCapo(4);
+                fretboard.removeCapo();
+                expect(fretboard.fretToPitch(5, 0).toString()).toBe('E2');
+            });
+
+            test('should drop the capo when switching instruments', () => {
+                fretboard.setCapo(2);
+                fretboard.setInstrument('ukulele');
+
+                expect(fretboard.getCapo()).toBeNull();
+            });
+        });
+
+        describe('Scale length', () => {
+            test('should take fret geometry from the instrument or an override', () => {
+                expect(fretboard.getGeometry().getFretDistance(12)).toBeCloseTo(324);
+
+                fretboard.setScaleLength('fanned');
+                expect(fretboard.getScaleLength()).toBeCloseTo(647.7);
+                expect(fretboard.getGeometry().isMultiscale()).toBe(true);
+
+                fretboard.setInstrument('bass');
+                expect(fretboard.getScaleLength()).toBe(864);
+                expect(fretboard.getGeometry().stringCount).toBe(4);
+            });
+
+            test('should score stretches on the chosen scale', () => {
+                const database = new GuitarChordDatabase(fretboard);
+                const stretch = database.scorePlayability('x-x-5-9-x-x').stretch;
+
+                fretboard.setScaleLength('baritone');
+                expect(database.scorePlayability('x-x-5-9-x-x').stretch).toBeGreaterThan(stretch);
+            });
+        });
+
+        describe('Harmonics', () => {
+            test('should place natural harmonic nodes at fractional frets', () => {
+                const harmonics = fretboard.getNaturalHarmonics(5);
+                const at = fret => harmonics.find(harmonic => harmonic.fret === fret);
+
+                expect(harmonics.filter(harmonic => harmonic.node === 1).map(harmonic => harmonic.fret))
+                    .toEqual([12, 7.02, 4.98, 3.86, 3.16]);
+                expect(at(12)).toMatchObject({ partial: 2, note: 'E3', cents: 0, distanceFromNut: 324 });
+                expect(at(19.02)).toMatchObject({ partial: 3, node: 2, note: 'B3', cents: 1.96 });
+                expect(at(8.84)).toMatchObject({ partial: 5, node: 2, note: 'G#4', cents: -13.69 });
+            });
+
+            test('should follow the tuning, the capo and the partial limit', () => {
+                const dropD = new GuitarFretboard('dropD');
+                expect(dropD.getNaturalHarmonics(5, { maxPartial: 7 }).find(h => h.partial === 7).note).toBe('C5');
+
+                fretboard.setCapo(2);
+                const harmonics = fretboard.getNaturalHarmonics(5, { maxPartial: 3 });
+                expect(harmonics.map(harmonic => [harmonic.fret, harmonic.note]))
+                    .toEqual([[14, 'F#3'], [9.02, 'C#4'], [21.02, 'C#4']]);
+                expect(() => fretboard.getNaturalHarmonics(5, { maxPartial: 11 }))
+                    .toThrow('Invalid harmonic partial: 11. Must be 2-10.');
+            });
+
+            test('should measure touch points on the neck\'s own scale length', () => {
+                const bass = new GuitarFretboard(null, 'bass');
+
+                expect(bass.getNaturalHarmonics(3)[0]).toMatchObject({ fret: 12, distanceFromNut: 432 });
+                fretboard.setScaleLength('gibson');
+                expect(fretboard.getArtificialHarmonic(0, 0).distanceFromNut).toBeCloseTo(314.3, 1);
+            });
+
+            test('should find the touch point of an artificial harmonic above a fretted note', () => {
+                expect(fretboard.getArtificialHarmonic(0, 5)).toMatchObject({
+                    touchFret: 17, partial: 2, note: 'A5', frequency: 880, overFretboard: false
+                });
+                expect(fretboard.getArtificialHarmonic(1, 10, 3)).toMatchObject({ touchFret: 17.02, note: 'E6' });
+                expect(fretboard.getArtificialHarmonic(0, 14).overFretboard).toBe(true);
+            });
+        });
     });
 
     describe('GuitarChordDatabase Class', () => {
@@ -67,6 +306,310 @@ describe('Guitar Fretboard Functionality', () => {
             expect(chords.some(chord => chord.getStandardName().includes('G_major'))).toBe(true);
         });
 
+        test('should rank chords identified from an open C shape', () => {
+            const openC = [
+                { string: 4, fret: 3 }, // C3
+                { string: 3, fret: 2 }, // E3
+                { string: 2, fret: 0 }, // G3
+                { string: 1, fret: 1 }, // C4
+                { string: 0, fret: 0 }  // E4
+            ];
+
+            const chords = chordDb.identifyChordFromPositions(openC);
+            expect(chords[0].getSymbol()).toBe('C');
+        });
+
+        test('should find voicings above a capo and name them by their sounding pitches', () => {
+            const capoDb = new GuitarChordDatabase(new GuitarFretboard());
+            capoDb.fretboard.setCapo(2);
+            const positions = capoDb.getChordPositions(capoDb.chordTheory.parseChordName('D'));
+
+            expect(positions.length).toBeGreaterThan(0);
+            expect(positions.some(position => position.difficulty === 'beginner' && position.name === 'D_major')).toBe(false);
+            positions.forEach(position => {
+                position.positions.forEach(p => expect(p.fret).toBeGreaterThanOrEqual(2));
+            });
+
+            // An open C shape played behind a capo at fret 2 sounds as D
+            const cShape = [
+                { string: 4, fret: 5 },
+                { string: 3, fret: 4 },
+                { string: 2, fret: 0 },
+                { string: 1, fret: 3 },
+                { string: 0, fret: 2 }
+            ];
+            expect(capoDb.identifyChordFromPositions(cShape)[0].getSymbol()).toBe('D');
+        });
+
+        test('should explain shapes with an omitted 5th or a slash bass', () => {
+            const noFifth = chordDb.analyzeChordFromPositions([
+                { string: 5, fret: 3 }, // G2
+                { string: 4, fret: 2 }, // B2
+                { string: 2, fret: 0 }  // G3
+            ]);
+            expect(noFifth[0].explanation).toBe('G major, root position, 5th omitted');
+
+            const slash = chordDb.analyzeChordFromPositions([
+                { string: 4, fret: 5 }, // D3
+                { string: 3, fret: 5 }, // G3
+                { string: 2, fret: 5 }, // C4
+                { string: 1, fret: 5 }  // E4
+            ]);
+            expect(slash[0].symbol).toBe('C/D');
+            expect(slash[0].explanation).toBe('C major, D in the bass');
+        });
+
+        test('should name clusters that match no chord quality by set class', () => {
+            const cluster = chordDb.describePitchClassSetFromPositions([
+                { string: 4, fret: 3 }, // C3
+                { string: 3, fret: 0 }, // D3
+                { string: 2, fret: 2 }, // A3
+                { string: 1, fret: 1 }  // C4
+            ]);
+
+            expect(cluster.forteNumber).toBe('3-7');
+            expect(cluster.tertianNames).toEqual([]);
+            expect(cluster.name).toBe('3-7 [025]');
+        });
+
+        test('should search voicings in the active tuning', () => {
+            const { Chord } = require('./music-theory-core.js');
+            const dropDDb = new GuitarChordDatabase(new GuitarFretboard('dropD'));
+            const positions = dropDDb.getChordPositions(new Chord('C4', 'major'));
+
+            // The standard-tuning open C shape no longer applies
+            expect(positions.some(position => position.name === 'C_major_root_closed')).toBe(false);
+            positions.forEach(position => {
+                const pitches = position.positions.map(pos => dropDDb.fretboard.fretToPitch(pos.string, pos.fret));
+                expect(pitches.map(pitch => pitch.semitoneValue % 12).sort()).toEqual([0, 4, 7]);
+            });
+        });
+
+        test('should identify chords in the active tuning', () => {
+            const openGDb = new GuitarChordDatabase(new GuitarFretboard('openG'));
+            const strum = [0, 1, 2, 3, 4, 5].map(string => ({ string, fret: 0 }));
+
+            expect(openGDb.identifyChordFromPositions(strum)[0].getSymbol()).toBe('G/D');
+        });
+
+        test('should find triads and identify chords on a ukulele', () => {
+            const { Chord } = require('./music-theory-core.js');
+            const ukuleleDb = new GuitarChordDatabase(new GuitarFretboard(null, 'ukulele'));
+            const strum = [0, 1, 2, 3].map(string => ({ string, fret: 0 }));
+
+            expect(ukuleleDb.identifyChordFromPositions(strum)[0].getSymbol()).toBe('C6');
+            ukuleleDb.getChordPositions(new Chord('F4', 'major')).forEach(position => {
+                position.positions.forEach(pos => expect(pos.string).toBeLessThan(4));
+            });
+        });
+
+        describe('Voicing enumeration', () => {
+            const { Chord } = require('./music-theory-core.js');
+            const cMajor = new Chord('C4', 'major');
+
+            test('should list adjacent string sets before skip-string sets', () => {
+                const names = chordDb.getStringSets(3).map(set => chordDb.formatStringSet(set));
+
+                expect(names.length).toBe(20);
+                expect(names.slice(0, 4)).toEqual(['1-2-3', '2-3-4', '3-4-5', '4-5-6']);
+                expect(names).toContain('1-3-4');
+                expect(chordDb.parseStringSet('1-3-4')).toEqual([0, 2, 3]);
+            });
+
+            test('should find every voicing with each chord tone once and a playable span', () => {
+                const voicings = chordDb.enumerateVoicings(cMajor);
+
+                expect(voicings.length).toBeGreaterThan(100);
+                voicings.forEach(voicing => {
+                    const letters = voicing.notes.map(note => note.replace(/-?\d+$/, '')).sort();
+                    expect(letters).toEqual(['C', 'E', 'G']);
+                    expect(new Set(voicing.positions.map(p => p.string)).size).toBe(3);
+                    expect(voicing.fretSpan).toBeLessThanOrEqual(4);
+                    expect(voicing.highestFret).toBeLessThanOrEqual(25);
+                });
+            });
+
+            test('should describe inversion, voicing, string set and span', () => {
+                const voicings = chordDb.enumerateVoicings(cMajor, { stringSets: ['1-2-3'] });
+
+                expect(voicings[0]).toMatchObject({
+                    positions: [{ string: 2, fret: 0 }, { string: 1, fret: 1 }, { string: 0, fret: 0 }],
+                    notes: ['G3', 'C4', 'E4'],
+                    symbol: 'C/G',
+                    stringSet: [0, 1, 2],
+                    stringSetName: '1-2-3',
+                    adjacent: true,
+                    inversion: 'second',
+                    voicing: 'closed',
+                    fretSpan: 0
+                });
+
+                const skipString = chordDb.enumerateVoicings(cMajor, { stringSets: [[3, 4, 5]], maxFret: 5 });
+                expect(skipString[0].notes).toEqual(['E2', 'C3', 'G3']);
+                expect(skipString[0].voicing).toBe('open');
+                expect(chordDb.enumerateVoicings(cMajor, { stringSets: ['1-3-4'] })[0].adjacent).toBe(false);
+            });
+
+            test('should find shapes the greedy pattern search misses', () => {
+                // The A-shape triad on the middle strings at the 8th-10th frets
+                const voicings = chordDb.enumerateVoicings(cMajor, { stringSets: ['2-3-4'] });
+
+                expect(voicings.some(voicing =>
+                    JSON.stringify(voicing.positions) ===
+                    JSON.stringify([{ string: 3, fret: 10 }, { string: 2, fret: 9 }, { string: 1, fret: 8 }])
+                )).toBe(true);
+            });
+
+            test('should filter by inversion, voicing, fret and span', () => {
+                const voicings = chordDb.enumerateVoicings(cMajor, {
+                    inversions: ['first'],
+                    voicings: ['closed'],
+                    maxFret: 7,
+                    maxSpan: 2
+                });
+
+                expect(voicings.length).toBeGreaterThan(0);
+                voicings.forEach(voicing => {
+                    expect(voicing.notes[0]).toMatch(/^E/);
+                    expect(voicing.voicing).toBe('closed');
+                    expect(voicing.highestFret).toBeLessThanOrEqual(7);
+                    expect(voicing.fretSpan).toBeLessThanOrEqual(2);
+                });
+            });
+
+            test('should spell notes from the chord and voice four-note chords on four strings', () => {
+                const fMinor = chordDb.enumerateVoicings(new Chord('F4', 'minor'), { stringSets: ['2-3-4'] });
+                expect(fMinor[0].notes).toEqual(['F3', 'Ab3', 'C4']);
+
+                const dominant = chordDb.enumerateVoicings(new Chord('G3', '7'), { stringSets: ['1-2-3-4'] });
+                expect(dominant.length).toBeGreaterThan(0);
+                expect(dominant.every(voicing => voicing.notes.length === 4)).toBe(true);
+                expect(() => chordDb.enumerateVoicings(cMajor, { stringSets: ['1-2-3-4'] }))
+                    .toThrow('String set 1-2-3-4 has 4 strings; C needs 3');
+            });
+
+            test('should respect the capo and re-entrant tunings', () => {
+                const capoDb = new GuitarChordDatabase(new GuitarFretboard());
+                capoDb.fretboard.setCapo(3);
+                capoDb.enumerateVoicings(cMajor).forEach(voicing => {
+                    voicing.positions.forEach(p => expect(p.fret).toBeGreaterThanOrEqual(3));
+                });
+
+                // Open C on a ukulele puts the bass on the middle string of 2-3-4
+                const ukuleleDb = new GuitarChordDatabase(new GuitarFretboard(null, 'ukulele'));
+                const [openC] = ukuleleDb.enumerateVoicings(cMajor, { stringSets: ['2-3-4'], maxFret: 0 });
+                expect(openC.notes).toEqual(['C4', 'E4', 'G4']);
+                expect(openC.inversion).toBe('root');
+            });
+        });
+
+        describe('CAGED shapes and neck positions', () => {
+            const { Chord } = require('./music-theory-core.js');
+            const cMajor = new Chord('C4', 'major');
+            // Frets from the low E string up, null for unplayed strings
+            const shape = frets => frets
+                .map((fret, index) => (fret === null ? null : { string: 5 - index, fret }))
+                .filter(position => position);
+
+            test('should name the CAGED family of each moved C major shape', () => {
+                expect(chordDb.getCagedShape(cMajor, shape([null, 3, 2, 0, 1, 0]))).toBe('C');
+                expect(chordDb.getCagedShape(cMajor, shape([null, 3, 5, 5, 5, 3]))).toBe('A');
+                expect(chordDb.getCagedShape(cMajor, shape([8, 7, 5, 5, 5, 8]))).toBe('G');
+                expect(chordDb.getCagedShape(cMajor, shape([8, 10, 10, 9, 8, 8]))).toBe('E');
+                expect(chordDb.getCagedShape(cMajor, shape([null, null, 10, 12, 13, 12]))).toBe('D');
+            });
+
+            test('should follow altered chord tones and other tunings', () => {
+                expect(chordDb.getCagedShape(new Chord('A3', 'minor'), shape([5, 7, 7, 5, 5, 5]))).toBe('E');
+                expect(chordDb.getCagedShape(new Chord('G3', '7'), shape([3, 5, 3, 4, 3, 3]))).toBe('E');
+
+                const ebDb = new GuitarChordDatabase(new GuitarFretboard('ebStandard'));
+                expect(ebDb.getCagedShape(new Chord('Bb3', 'major'), shape([null, 3, 2, 0, 1, 0]))).toBe('C');
+
+                const dropDDb = new GuitarChordDatabase(new GuitarFretboard('dropD'));
+                expect(dropDDb.getCagedShape(cMajor, shape([null, 3, 2, 0, 1, 0]))).toBeNull();
+            });
+
+            test('should read shapes from the capo', () => {
+                const capoDb = new GuitarChordDatabase(new GuitarFretboard());
+                capoDb.fretboard.setCapo(2);
+
+                expect(capoDb.getCagedShape(new Chord('D4', 'major'), shape([null, 5, 4, 2, 3, 2]))).toBe('C');
+                expect(capoDb.getNeckPosition(shape([null, 5, 4, 2, 3, 2]))).toBe(3);
+            });
+
+            test('should place the neck position at the index finger', () => {
+                expect(chordDb.getNeckPosition(shape([null, 3, 2, 0, 1, 0]))).toBe(1);
+                expect(chordDb.getNeckPosition(shape([8, 10, 10, 9, 8, 8]))).toBe(8);
+                // Fingers 2, 3 and 4 on the upper strings leave the index a fret lower
+                expect(chordDb.getNeckPosition(shape([null, null, null, 5, 6, 7]))).toBe(5);
+                expect(chordDb.getNeckPosition(shape([0, null, null, null, null, 0]))).toBe(0);
+            });
+
+            test('should tag chord positions and enumerated voicings', () => {
+                const [openC] = chordDb.getChordPositions(cMajor);
+                expect(openC).toMatchObject({ name: 'C_major_root_closed', cagedShape: 'C', position: 1 });
+
+                const [voicing] = chordDb.enumerateVoicings(cMajor, { stringSets: ['1-2-3'] });
+                expect(voicing).toHaveProperty('cagedShape', 'C');
+                expect(voicing).toHaveProperty('position');
+            });
+
+            test('should leave out the CAGED shape and neck position without details', () => {
+                const detailed = chordDb.enumerateVoicings(cMajor, { stringSets: ['1-2-3'] });
+                const plain = chordDb.enumerateVoicings(cMajor, { stringSets: ['1-2-3'], details: false });
+
+                expect(plain.map(voicing => voicing.shape)).toEqual(detailed.map(voicing => voicing.shape));
+                expect(plain[0]).not.toHaveProperty('cagedShape');
+                expect(plain[0]).not.toHaveProperty('position');
+            });
+
+            test('should find triads inside a CAGED shape or a fret range', () => {
+                const eShape = chordDb.findVoicingsInRegion(cMajor, { cagedShape: 'E' });
+                expect(eShape.length).toBeGreaterThan(0);
+                eShape.forEach(voicing => {
+                    expect(voicing.cagedShape).toBe('E');
+                    // The E shape of C sits at frets 8-10 and again an octave up
+                    voicing.positions.forEach(p => expect([8, 9, 10, 20, 21, 22]).toContain(p.fret));
+                });
+
+                const fretWindow = chordDb.findVoicingsInRegion(cMajor, { frets: [5, 9], stringSets: ['1-2-3', '2-3-4'] });
+                expect(fretWindow.length).toBeGreaterThan(0);
+                fretWindow.forEach(voicing => {
+                    voicing.positions.forEach(p => {
+                        expect(p.fret).toBeGreaterThanOrEqual(5);
+                        expect(p.fret).toBeLessThanOrEqual(9);
+                    });
+                });
+
+                expect(() => chordDb.findVoicingsInRegion(cMajor, { cagedShape: 'F' })).toThrow('Unknown CAGED shape: F');
+            });
+        });
+
+        test('should accept chord-chart strings wherever positions are taken', () => {
+            const { ChordShape } = require('./chord-shape.js');
+
+            expect(chordDb.identifyChordFromPositions('x32010')[0].getSymbol()).toBe('C');
+            expect(chordDb.identifyChordFromPositions(ChordShape.parse('x-x-10-9-8-x'))[0].getSymbol()).toBe('C');
+            expect(chordDb.identifyChordFromPositions([[4, 3], [3, 2], [2, 0]])[0].getSymbol()).toBe('C');
+            expect(chordDb.scorePlayability('x32010').fingering.map(note => note.finger)).toEqual([3, 2, null, 1, null]);
+            expect(chordDb.describePitchClassSetFromPositions('x-x-10-9-8-x').forteNumber).toBe('3-11');
+            expect(chordDb.calculateDifficulty('133211')).toBe('beginner');
+            expect(chordDb.getNeckPosition('x-x-10-9-8-x')).toBe(8);
+            expect(() => chordDb.identifyChordFromPositions('x3201')).toThrow('Chord shape x3201 has 5 strings; expected 6');
+        });
+
+        test('should return chord-chart strings with found voicings', () => {
+            const { Chord } = require('./music-theory-core.js');
+            const [openC] = chordDb.getChordPositions(new Chord('C4', 'major'));
+
+            expect(openC.shape).toBe('x32010');
+            expect(chordDb.toShapeString(openC.positions)).toBe('x32010');
+            chordDb.enumerateVoicings(new Chord('C4', 'major'), { stringSets: ['2-3-4'] }).forEach(voicing => {
+                expect(chordDb.toPositions(voicing.shape)).toEqual(voicing.positions);
+            });
+        });
+
         test('should get chord positions for a chord', () => {
             const { Chord } = require('./music-theory-core.js');
             const cMajor = new Chord('C4', 'major', 'root', 'closed');
@@ -77,6 +620,30 @@ describe('Guitar Fretboard Functionality', () => {
             expect(positions[0]).toHaveProperty('difficulty');
         });
 
+        test('should list each chord shape once', () => {
+            const { Chord } = require('./music-theory-core.js');
+            const shapes = chordDb.getChordPositions(new Chord('C4', 'major')).map(position => position.shape);
+
+            expect(new Set(shapes).size).toBe(shapes.length);
+            expect(shapes).toEqual(['x32010', 'xxx553', '875xxx', 'x-x-10-9-8-x', 'x-x-10-12-x-12', 'x-15-14-12-x-x']);
+        });
+
+        test('should pick the best-scored enumerated voicing of each neck region', () => {
+            const { Chord } = require('./music-theory-core.js');
+            const gFirst = new Chord('G4', 'major', 'first');
+            const score = voicing => chordDb.scorePlayability(voicing.positions).score;
+            const voicings = chordDb.enumerateVoicings(gFirst, { inversions: ['first'], details: false });
+
+            chordDb.getChordPositions(gFirst).forEach(position => {
+                const baseFret = parseInt(position.name.split('_fret_')[1], 10);
+                const region = voicings.filter(voicing =>
+                    voicing.positions.every(p => p.fret >= baseFret && p.fret <= baseFret + 4));
+
+                expect(chordDb.identifyChordFromPositions(position.positions)[0].inversion).toBe('first');
+                expect(score(position)).toBe(Math.max(...region.map(score)));
+            });
+        });
+
         test('should have common chord patterns', () => {
             const patterns = chordDb.getCommonChordPatterns();
             
@@ -85,6 +652,19 @@ describe('Guitar Fretboard Functionality', () => {
             expect(patterns['C_major_root_closed'].length).toBeGreaterThan(0);
         });
 
+        test('should score playability with the instrument scale length and capo', () => {
+            const shape = [{ string: 3, fret: 1 }, { string: 2, fret: 4 }];
+            const ukuleleDb = new GuitarChordDatabase(new GuitarFretboard(null, 'ukulele'));
+
+            expect(ukuleleDb.fretboard.getScaleLength()).toBe(380);
+            expect(chordDb.fretboard.getScaleLength()).toBe(648);
+            expect(ukuleleDb.scorePlayability(shape).stretch).toBeLessThan(chordDb.scorePlayability(shape).stretch);
+
+            chordDb.fretboard.setCapo(1);
+            expect(chordDb.scorePlayability(shape).fingering.map(note => note.finger)).toEqual([null, 1]);
+            expect(chordDb.scorePlayability(shape, { hand: 'small' }).hand).toBe('small');
+        });
+
         test('should calculate chord difficulty', () => {
             const pattern = [
                 { string: 5, fret: 3 },
@@ -139,6 +719,47 @@ describe('Guitar Fretboard Functionality', () => {
             expect(tableData).toContain('String-5-Fret-2: B2');
         });
 
+        test('should follow the active tuning in mapping tables', () => {
+            const openG = new GuitarFretboard('openG');
+            const openGMapper = new GuitarPositionMapper(openG);
+            const tableData = openGMapper.generateMappingTable({ maxFrets: 5 });
+
+            expect(tableData).toContain('Tuning: D4 - B3 - G3 - D3 - G2 - D2');
+            expect(tableData).toContain('String 6 (Low D)');
+            expect(tableData).toContain('String-5-Fret-2: A2');
+            expect(tableData).toContain('A440 (Concert A): String-1-Fret-07 = A4');
+            expect(tableData).toContain('Low D (Open):     String-6-Fret-00 = D2');
+            expect(openGMapper.generateCompleteMapping(2).metadata.tuningName).toBe('openG');
+        });
+
+        test('should start mapping tables at the capo', () => {
+            const capoFretboard = new GuitarFretboard();
+            capoFretboard.setCapo(3, [0, 1, 2]);
+            const capoMapper = new GuitarPositionMapper(capoFretboard);
+            const tableData = capoMapper.generateMappingTable({ maxFrets: 5 });
+            const mapping = capoMapper.generateCompleteMapping(5);
+
+            expect(tableData).toContain('Capo: Fret 3 (Strings 1, 2, 3)');
+            expect(tableData).not.toContain('String-1-Fret-01');
+            expect(tableData).toContain('String-6-Fret-1: F2');
+            expect(tableData).toContain('High E (Open):    String-1-Fret-03 = G4');
+            expect(mapping.metadata.capo).toEqual({ fret: 3, strings: [0, 1, 2] });
+            expect(mapping.strings[0].positions[0].fret).toBe(3);
+        });
+
+        test('should map every string of other instruments up to their last fret', () => {
+            const mandolinMapper = new GuitarPositionMapper(new GuitarFretboard(null, 'mandolin'));
+            const mapping = mandolinMapper.generateCompleteMapping(24);
+            const tableData = mandolinMapper.generateMappingTable({ maxFrets: 5 });
+
+            expect(mapping.strings.length).toBe(4);
+            expect(mapping.strings[3].positions.length).toBe(21); // Frets 0-20
+            expect(mapping.metadata.instrument).toBe('Mandolin');
+            expect(tableData).toContain('Mandolin Fretboard Position to SPN Mapping');
+            expect(tableData).toContain('String 4 (G)');
+            expect(tableData).not.toContain('String 5');
+        });
+
         test('should generate mapping file', async () => {
             const fs = require('fs');
             const path = require('path');
@@ -173,4 +794,4 @@ describe('Guitar Fretboard Functionality', () => {
             });
         });
     });
-});
\ No newline at end of file
+});
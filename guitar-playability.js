@@ -0,0 +1,280 @@
+// Guitar Playability Module - Fretted Instruments
+// Assigns fretting-hand fingers to a voicing, detects barres and scores the stretch from real fret distances
+
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { FretGeometry } = isCommonJS ? require('./fret-geometry.js') : window.FretGeometry;
+
+// Nut-to-bridge length of a standard electric guitar, in millimetres
+const DEFAULT_SCALE_LENGTH = 648;
+
+// Reach of the fretting hand in millimetres: the comfortable and the largest index-to-pinky stretch,
+// and the comfortable distance between neighbouring fingers
+const HAND_PROFILES = {
+    'small': { name: 'Small', comfortableStretch: 70, maxStretch: 105, fingerSpacing: 30 },
+    'medium': { name: 'Medium', comfortableStretch: 90, maxStretch: 130, fingerSpacing: 35 },
+    'large': { name: 'Large', comfortableStretch: 105, maxStretch: 150, fingerSpacing: 40 }
+};
+
+// Points deducted from a perfect score of 100
+const PLAYABILITY_PENALTIES = {
+    finger: 3,             // Each fretting finger
+    pinky: 4,              // Using the 4th finger
+    thumb: 8,              // Fretting over the top of the neck with the thumb
+    barre: 6,              // Laying the index finger across strings
+    barreString: 1.5,      // Each string under the barre
+    stretch: 0.4,          // Each millimetre of stretch beyond the comfortable reach
+    fingerGap: 0.3,        // Each millimetre two fingers spread beyond their comfortable spacing
+    mutedString: 3         // Each unplayed string inside the voicing that must be damped
+};
+
+class PlayabilityScorer {
+    // Options: hand profile name, allowThumb, scaleLength in millimetres (or a FretGeometry as geometry for
+    // a fanned neck), stringCount and a capo { fret, strings }
+    constructor(options = {}) {
+        this.options = {
+            hand: 'medium',
+            allowThumb: false,
+            scaleLength: DEFAULT_SCALE_LENGTH,
+            geometry: null,
+            stringCount: 6,
+            capo: null,
+            ...options
+        };
+    }
+
+    static getHandProfiles() {
+        return Object.keys(HAND_PROFILES);
+    }
+
+    // Distance from the nut to a fret wire along the string
+    static fretDistance(scaleLength, fret) {
+        return new FretGeometry({ scaleLength }).getFretDistance(fret);
+    }
+
+    // Score positions ({string, fret}, absolute frets) from 0 (unplayable) to 100, with the fingering
+    // and the reasons for every deduction. Per-call options override the constructor's.
+    score(positions, options = {}) {
+        const settings = { ...this.options, ...options };
+        settings.geometry = settings.geometry ||
+            new FretGeometry({ scaleLength: settings.scaleLength, stringCount: settings.stringCount });
+        const hand = HAND_PROFILES[settings.hand];
+        if (!hand) {
+            throw new Error(`Unknown hand profile: ${settings.hand}`);
+        }
+
+        const capoFret = string =>
+            settings.capo && settings.capo.strings.includes(string) ? settings.capo.fret : 0;
+        const fretted = positions.filter(position => position.fret > capoFret(position.string));
+        const open = positions.filter(position => position.fret <= capoFret(position.string));
+        const reasons = [];
+        let penalty = 0;
+
+        const mutedStrings = this.getMutedStrings(positions);
+        if (mutedStrings.length) {
+            penalty += mutedStrings.length * PLAYABILITY_PENALTIES.mutedString;
+            reasons.push(`Damp string${mutedStrings.length > 1 ? 's' : ''} ${mutedStrings.map(s => s + 1).join(', ')}`);
+        }
+
+        const result = {
+            score: 0,
+            playable: false,
+            fingering: open.map(({ string, fret }) => ({ string, fret, finger: null })),
+            barre: null,
+            stretch: 0,
+            fingersUsed: 0,
+            hand: settings.hand,
+            reasons: reasons
+        };
+
+        if (fretted.length === 0) {
+            reasons.push('Every note rings open');
+            return { ...result, score: Math.max(0, 100 - penalty), playable: true };
+        }
+
+        const frets = fretted.map(position => position.fret);
+        const stretch = this.getStretch(Math.min(...frets), Math.max(...frets), settings.geometry);
+        result.stretch = Math.round(stretch);
+        if (stretch > hand.maxStretch) {
+            reasons.push(`Stretch of ${result.stretch} mm is beyond a ${hand.name.toLowerCase()} hand's ${hand.maxStretch} mm reach`);
+            return result;
+        }
+        if (stretch > hand.comfortableStretch) {
+            penalty += (stretch - hand.comfortableStretch) * PLAYABILITY_PENALTIES.stretch;
+            reasons.push(`Stretch of ${result.stretch} mm across frets ${Math.min(...frets)}-${Math.max(...frets)}`);
+        }
+
+        // Try the voicing with and without an index-finger barre and keep the easier fingering
+        const candidates = [this.findFingering(fretted, null, settings, hand)];
+        const barre = this.findBarre(fretted, open);
+        if (barre) {
+            candidates.push(this.findFingering(fretted, barre, settings, hand));
+        }
+
+        const best = candidates
+            .filter(candidate => candidate)
+            .sort((a, b) => a.penalty - b.penalty)[0];
+        if (!best) {
+            reasons.push(`Needs more than four fingers${settings.allowThumb ? ' and the thumb' : ''}`);
+            return result;
+        }
+
+        const barredNotes = best.barre ? fretted.filter(note => note.fret === best.barre.fret) : [];
+        const fingerNotes = [
+            ...barredNotes.map(({ string, fret }) => ({ string, fret, finger: 1 })),
+            ...best.assignments.map(({ note, finger }) => ({ string: note.string, fret: note.fret, finger }))
+        ];
+        const fingers = new Set(fingerNotes.map(note => note.finger));
+        return {
+            ...result,
+            score: Math.max(0, Math.round(100 - penalty - best.penalty)),
+            playable: true,
+            fingering: [...result.fingering, ...fingerNotes].sort((a, b) => b.string - a.string),
+            barre: best.barre,
+            fingersUsed: fingers.size,
+            reasons: [...reasons, ...best.reasons]
+        };
+    }
+
+    // Strings between the outermost played strings that are not played and must be damped
+    getMutedStrings(positions) {
+        const strings = positions.map(position => position.string);
+        const muted = [];
+
+        for (let string = Math.min(...strings) + 1; string < Math.max(...strings); string++) {
+            if (!strings.includes(string)) {
+                muted.push(string);
+            }
+        }
+        return muted;
+    }
+
+    // Span between two frets for a scale length in millimetres or a FretGeometry (its widest string)
+    getStretch(lowFret, highFret, scale) {
+        return FretGeometry.from(scale).getStretch(lowFret, highFret);
+    }
+
+    // Index-finger barre over every note at the lowest fretted fret, when no open string lies beneath it
+    findBarre(fretted, open) {
+        const baseFret = Math.min(...fretted.map(position => position.fret));
+        const barred = fretted.filter(position => position.fret === baseFret).map(position => position.string);
+        if (barred.length < 2) {
+            return null;
+        }
+
+        const from = Math.min(...barred);
+        const to = Math.max(...barred);
+        if (open.some(position => position.string >= from && position.string <= to)) {
+            return null;
+        }
+        return { finger: 1, fret: baseFret, strings: Array.from({ length: to - from + 1 }, (_, i) => from + i) };
+    }
+
+    // Cheapest assignment of fingers 1-4 (and the thumb when allowed) to the fretted notes. Higher fingers
+    // sit on higher frets; at the same fret the lower finger takes the lower-pitched string.
+    findFingering(fretted, barre, settings, hand) {
+        const notes = fretted
+            .filter(note => !barre || note.fret !== barre.fret)
+            .sort((a, b) => a.fret - b.fret || b.string - a.string);
+        const fingers = barre ? [2, 3, 4] : [1, 2, 3, 4];
+        if (settings.allowThumb) {
+            fingers.push('T');
+        }
+
+        let best = null;
+        const assign = (index, assignments) => {
+            if (index === notes.length) {
+                const evaluation = this.evaluateFingering(assignments, barre, settings, hand);
+                if (evaluation && (!best || evaluation.penalty < best.penalty)) {
+                    best = evaluation;
+                }
+                return;
+            }
+            for (const finger of fingers) {
+                if (assignments.some(assignment => assignment.finger === finger)) continue;
+                assign(index + 1, [...assignments, { note: notes[index], finger }]);
+            }
+        };
+        assign(0, []);
+
+        return best;
+    }
+
+    evaluateFingering(assignments, barre, settings, hand) {
+        const numbered = assignments.filter(assignment => assignment.finger !== 'T');
+        if (barre) {
+            barre.strings.forEach(string => {
+                numbered.push({ note: { string, fret: barre.fret }, finger: 1 });
+            });
+        }
+
+        // Fingers stay in order along the neck and across the strings
+        for (const a of numbered) {
+            for (const b of numbered) {
+                if (a.finger >= b.finger) continue;
+                if (a.note.fret > b.note.fret) return null;
+                if (a.note.fret === b.note.fret && a.note.string < b.note.string) return null;
+            }
+        }
+
+        const reasons = [];
+        let penalty = 0;
+        const thumb = assignments.find(assignment => assignment.finger === 'T');
+        if (thumb) {
+            // Over the top of the neck the thumb only reaches the lowest strings, beside the index finger
+            const lowestFingerFret = Math.min(...numbered.map(assignment => assignment.note.fret));
+            const lowestPlayed = Math.max(...assignments.map(assignment => assignment.note.string));
+            if (thumb.note.string < settings.stringCount - 2 || thumb.note.string !== lowestPlayed ||
+                Math.abs(thumb.note.fret - lowestFingerFret) > 1) {
+                return null;
+            }
+            penalty += PLAYABILITY_PENALTIES.thumb;
+            reasons.push(`Thumb frets string ${thumb.note.string + 1}`);
+        }
+
+        const used = [...new Set(numbered.map(assignment => assignment.finger))].sort((a, b) => a - b);
+        penalty += used.length * PLAYABILITY_PENALTIES.finger;
+        if (used.includes(4)) {
+            penalty += PLAYABILITY_PENALTIES.pinky;
+            reasons.push('Uses the 4th finger');
+        }
+
+        if (barre) {
+            penalty += PLAYABILITY_PENALTIES.barre + barre.strings.length * PLAYABILITY_PENALTIES.barreString;
+            reasons.push(
+                `Barre across strings ${barre.strings[0] + 1}-${barre.strings[barre.strings.length - 1] + 1} at fret ${barre.fret}`
+            );
+        }
+
+        // Neighbouring fingers spread wider than the hand comfortably allows
+        const fretOf = finger => numbered.find(assignment => assignment.finger === finger).note.fret;
+        for (let index = 1; index < used.length; index++) {
+            const lower = used[index - 1];
+            const upper = used[index];
+            const gap = this.getStretch(fretOf(lower), fretOf(upper), settings.geometry);
+            const allowed = (upper - lower) * hand.fingerSpacing;
+            if (gap > allowed) {
+                penalty += (gap - allowed) * PLAYABILITY_PENALTIES.fingerGap;
+                reasons.push(`Fingers ${lower} and ${upper} spread ${Math.round(gap)} mm`);
+            }
+        }
+
+        return {
+            penalty: penalty,
+            reasons: reasons,
+            assignments: assignments,
+            barre: barre ? { ...barre, strings: [...barre.strings] } : null
+        };
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlayabilityScorer, HAND_PROFILES, DEFAULT_SCALE_LENGTH };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.GuitarPlayability = { PlayabilityScorer, HAND_PROFILES, DEFAULT_SCALE_LENGTH };
+}
+})();
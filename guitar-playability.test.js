@@ -0,0 +1,150 @@
+// Tests for fretting-hand playability scoring
+const { PlayabilityScorer, HAND_PROFILES } = require('./guitar-playability.js');
+
+describe('Guitar Playability', () => {
+    let scorer;
+
+    const openC = [
+        { string: 4, fret: 3 },
+        { string: 3, fret: 2 },
+        { string: 2, fret: 0 },
+        { string: 1, fret: 1 },
+        { string: 0, fret: 0 }
+    ];
+    const fBarre = [
+        { string: 5, fret: 1 },
+        { string: 4, fret: 3 },
+        { string: 3, fret: 3 },
+        { string: 2, fret: 2 },
+        { string: 1, fret: 1 },
+        { string: 0, fret: 1 }
+    ];
+
+    beforeEach(() => {
+        scorer = new PlayabilityScorer();
+    });
+
+    describe('Fret distances', () => {
+        test('should place the 12th fret halfway along the string', () => {
+            expect(PlayabilityScorer.fretDistance(648, 12)).toBeCloseTo(324);
+            expect(PlayabilityScorer.fretDistance(648, 0)).toBe(0);
+        });
+
+        test('should measure the same fret span as shorter higher up the neck', () => {
+            expect(scorer.getStretch(1, 4, 648)).toBeGreaterThan(scorer.getStretch(12, 15, 648));
+            expect(scorer.getStretch(1, 4, 864)).toBeGreaterThan(scorer.getStretch(1, 4, 648));
+        });
+
+        test('should measure stretch on the long side of a fanned neck', () => {
+            const { FretGeometry } = require('./fret-geometry.js');
+            const fanned = FretGeometry.from('fanned');
+            const barreF = [0, 1, 2, 3, 4, 5].map(string => ({ string, fret: [1, 1, 2, 3, 3, 1][string] }));
+
+            expect(scorer.score(barreF, { geometry: fanned }).stretch)
+                .toBeGreaterThan(scorer.score(barreF, { scaleLength: 647.7 }).stretch);
+        });
+    });
+
+    describe('Finger assignment', () => {
+        test('should finger an open C chord 3-2-0-1-0', () => {
+            const result = scorer.score(openC);
+
+            expect(result.playable).toBe(true);
+            expect(result.fingering.map(note => note.finger)).toEqual([3, 2, null, 1, null]);
+            expect(result.barre).toBeNull();
+            expect(result.fingersUsed).toBe(3);
+        });
+
+        test('should detect a full barre', () => {
+            const result = scorer.score(fBarre);
+
+            expect(result.barre).toEqual({ finger: 1, fret: 1, strings: [0, 1, 2, 3, 4, 5] });
+            expect(result.fingering.map(note => note.finger)).toEqual([1, 3, 4, 2, 1, 1]);
+            expect(result.reasons).toContain('Barre across strings 1-6 at fret 1');
+            expect(result.score).toBeLessThan(scorer.score(openC).score);
+        });
+
+        test('should not barre over a ringing open string', () => {
+            const result = scorer.score([
+                { string: 3, fret: 2 },
+                { string: 2, fret: 0 },
+                { string: 1, fret: 2 }
+            ]);
+
+            expect(result.barre).toBeNull();
+            expect(result.fingering.map(note => note.finger)).toEqual([1, null, 2]);
+        });
+
+        test('should use the thumb only when allowed', () => {
+            // Five fretted notes with an open string blocking any barre
+            const thumbShape = [
+                { string: 5, fret: 2 },
+                { string: 4, fret: 0 },
+                { string: 3, fret: 2 },
+                { string: 2, fret: 3 },
+                { string: 1, fret: 4 },
+                { string: 0, fret: 4 }
+            ];
+
+            const withoutThumb = scorer.score(thumbShape);
+            expect(withoutThumb.playable).toBe(false);
+            expect(withoutThumb.reasons).toContain('Needs more than four fingers');
+
+            const withThumb = scorer.score(thumbShape, { allowThumb: true });
+            expect(withThumb.playable).toBe(true);
+            expect(withThumb.fingering.map(note => note.finger)).toEqual(['T', null, 1, 2, 3, 4]);
+            expect(withThumb.reasons).toContain('Thumb frets string 6');
+        });
+
+        test('should treat notes at the capo as open', () => {
+            const capoC = openC.map(({ string, fret }) => ({ string, fret: fret + 2 }));
+            const result = scorer.score(capoC, { capo: { fret: 2, strings: [0, 1, 2, 3, 4, 5] } });
+
+            expect(result.fingering.map(note => note.finger)).toEqual([3, 2, null, 1, null]);
+        });
+    });
+
+    describe('Scoring', () => {
+        test('should score open strings as perfectly playable', () => {
+            const result = scorer.score([{ string: 0, fret: 0 }, { string: 1, fret: 0 }]);
+
+            expect(result.score).toBe(100);
+            expect(result.reasons).toEqual(['Every note rings open']);
+        });
+
+        test('should penalise strings that must be damped', () => {
+            const result = scorer.score([
+                { string: 5, fret: 8 },
+                { string: 3, fret: 10 },
+                { string: 2, fret: 9 }
+            ]);
+
+            expect(result.reasons).toContain('Damp string 5');
+        });
+
+        test('should judge stretch by hand size', () => {
+            const wideStretch = [{ string: 5, fret: 1 }, { string: 4, fret: 5 }];
+
+            const small = scorer.score(wideStretch, { hand: 'small' });
+            const medium = scorer.score(wideStretch, { hand: 'medium' });
+            const large = scorer.score(wideStretch, { hand: 'large' });
+
+            expect(small.playable).toBe(false);
+            expect(small.reasons[0]).toMatch(/^Stretch of 126 mm is beyond a small hand's 105 mm reach/);
+            expect(medium.playable).toBe(true);
+            expect(large.score).toBeGreaterThan(medium.score);
+        });
+
+        test('should find the same shape easier on a shorter scale', () => {
+            const stretch = [{ string: 5, fret: 1 }, { string: 4, fret: 4 }, { string: 3, fret: 5 }];
+
+            expect(scorer.score(stretch, { scaleLength: 380 }).score)
+                .toBeGreaterThan(scorer.score(stretch, { scaleLength: 864 }).score);
+        });
+
+        test('should list the hand profiles and reject unknown ones', () => {
+            expect(PlayabilityScorer.getHandProfiles()).toEqual(Object.keys(HAND_PROFILES));
+            expect(() => scorer.score(openC, { hand: 'huge' })).toThrow('Unknown hand profile: huge');
+        });
+    });
+});
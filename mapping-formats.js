@@ -0,0 +1,283 @@
+// Mapping Formats Module - Fretted Instruments
+// Writes a fretboard position-to-pitch mapping as plain text, Markdown, CSV, JSON or an HTML grid
+
+(function () {
+// Output formats with the file extensions that select them
+const MAPPING_FORMATS = {
+    'text': { name: 'Plain text', extensions: ['.txt'] },
+    'markdown': { name: 'Markdown', extensions: ['.md', '.markdown'] },
+    'csv': { name: 'CSV', extensions: ['.csv'] },
+    'json': { name: 'JSON', extensions: ['.json'] },
+    'html': { name: 'HTML', extensions: ['.html', '.htm'] }
+};
+
+// Optional columns in the order they are printed, with their headings
+const MAPPING_COLUMNS = [
+    { key: 'partial', heading: 'Partial' },
+    { key: 'cents', heading: 'Cents' },
+    { key: 'midi', heading: 'MIDI' },
+    { key: 'frequency', heading: 'Frequency (Hz)' },
+    { key: 'interval', heading: 'Interval' },
+    { key: 'enharmonics', heading: 'Enharmonics' }
+];
+
+class MappingFormatter {
+    static getFormats() {
+        return Object.keys(MAPPING_FORMATS);
+    }
+
+    // Format named by a file extension; paths with no known extension get plain text
+    static getFormatForPath(outputPath) {
+        const match = String(outputPath).toLowerCase().match(/\.[a-z]+$/);
+        const format = match && MappingFormatter.getFormats()
+            .find(name => MAPPING_FORMATS[name].extensions.includes(match[0]));
+        return format || 'text';
+    }
+
+    // Mapping sheet: { title, layer, tuning, capo, key, fretRange: {min, max}, generatedAt, columns: {midi, ...},
+    // strings: [{ number, name, openNote, positions: [{ fret, position, note, midi, ... }] }], referenceNotes }
+    format(sheet, format = 'text') {
+        switch (format) {
+            case 'text': return this.toText(sheet);
+            case 'markdown': return this.toMarkdown(sheet);
+            case 'csv': return this.toCsv(sheet);
+            case 'json': return this.toJson(sheet);
+            case 'html': return this.toHtml(sheet);
+            default:
+                throw new Error(`Unknown mapping format: ${format}. Must be one of ${MappingFormatter.getFormats().join(', ')}.`);
+        }
+    }
+
+    getColumns(sheet) {
+        return MAPPING_COLUMNS.filter(column => sheet.columns[column.key]);
+    }
+
+    // Column value as printed in a table cell
+    formatValue(position, key) {
+        const value = position[key];
+        if (key === 'frequency') return value.toFixed(2);
+        if (key === 'cents') return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+        if (key === 'enharmonics') return value.join(', ');
+        return String(value);
+    }
+
+    // Column value labelled for a grid cell
+    formatDetail(position, key) {
+        const value = this.formatValue(position, key);
+        if (key === 'partial') return `Partial ${value}`;
+        if (key === 'cents') return `${value} cents`;
+        if (key === 'midi') return `MIDI ${value}`;
+        if (key === 'frequency') return `${value} Hz`;
+        return value;
+    }
+
+    // Tuning, capo, key and fret range lines shared by the text formats
+    getDetails(sheet) {
+        const details = [
+            `Generated: ${sheet.generatedAt.toLocaleString()}`,
+            `Tuning: ${sheet.tuning.join(' - ')}`
+        ];
+        if (sheet.capo) {
+            details.push(`Capo: Fret ${sheet.capo.fret} (Strings ${sheet.capo.strings.map(index => index + 1).join(', ')})`);
+        }
+        if (sheet.key) {
+            details.push(`Key: ${sheet.key}`);
+        }
+        details.push(`Fret Range: ${sheet.fretRange.min}-${sheet.fretRange.max}`);
+        return details;
+    }
+
+    toText(sheet) {
+        const lines = [sheet.title, '='.repeat(50), ...this.getDetails(sheet), ''];
+
+        sheet.strings.forEach(string => {
+            lines.push(`String ${string.number} (${string.name}):`, '-'.repeat(30));
+
+            string.positions.forEach(position => {
+                let line = `  ${position.position}: ${position.note}`;
+                if (sheet.columns.partial) line += ` (Partial: ${position.partial})`;
+                if (sheet.columns.cents) line += ` (${this.formatValue(position, 'cents')} cents)`;
+                if (sheet.columns.midi) line += ` (MIDI: ${position.midi})`;
+                if (sheet.columns.frequency) line += ` (${this.formatValue(position, 'frequency')} Hz)`;
+                if (sheet.columns.interval) line += ` (Interval: ${position.interval})`;
+                if (sheet.columns.enharmonics && position.enharmonics.length > 0) {
+                    line += ` [${position.enharmonics.join(', ')}]`;
+                }
+                lines.push(line);
+            });
+            lines.push('');
+        });
+
+        lines.push('REFERENCE NOTES:', '-'.repeat(20));
+        sheet.referenceNotes.forEach(reference => {
+            lines.push(`  ${(reference.label + ':').padEnd(18)}${reference.position} = ${reference.note}`);
+        });
+
+        return lines.join('\n') + '\n\n';
+    }
+
+    // One table per string, with the optional columns after the note
+    toMarkdown(sheet) {
+        const columns = this.getColumns(sheet);
+        const row = cells => `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+        const lines = [`# ${sheet.title}`, '', ...this.getDetails(sheet).map(detail => `- ${detail}`), ''];
+
+        sheet.strings.forEach(string => {
+            const headings = ['Position', 'Fret', 'Note', ...columns.map(column => column.heading)];
+            lines.push(`## String ${string.number} (${string.name})`, '', row(headings), row(headings.map(() => '---')));
+            string.positions.forEach(position => {
+                lines.push(row([
+                    position.position,
+                    position.fret,
+                    position.note,
+                    ...columns.map(column => this.formatValue(position, column.key))
+                ]));
+            });
+            lines.push('');
+        });
+
+        lines.push('## Reference Notes', '', row(['Reference', 'Position', 'Note']), row(['---', '---', '---']));
+        sheet.referenceNotes.forEach(reference => {
+            lines.push(row([reference.label, reference.position, reference.note]));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // A single header row and one row per position, ready for a spreadsheet
+    toCsv(sheet) {
+        const columns = this.getColumns(sheet);
+        const field = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const row = cells => cells.map(cell => field(String(cell))).join(',');
+        const lines = [row(['String', 'String Name', 'Fret', 'Position', 'Note', ...columns.map(column => column.heading)])];
+
+        sheet.strings.forEach(string => {
+            string.positions.forEach(position => {
+                lines.push(row([
+                    string.number,
+                    string.name,
+                    position.fret,
+                    position.position,
+                    position.note,
+                    ...columns.map(column => this.formatValue(position, column.key))
+                ]));
+            });
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    toJson(sheet) {
+        const columns = this.getColumns(sheet);
+        const data = {
+            metadata: {
+                title: sheet.title,
+                layer: sheet.layer,
+                instrument: sheet.instrument,
+                tuning: sheet.tuning,
+                tuningName: sheet.tuningName,
+                capo: sheet.capo,
+                key: sheet.key,
+                fretRange: sheet.fretRange,
+                generatedAt: sheet.generatedAt.toISOString()
+            },
+            strings: sheet.strings.map(string => ({
+                stringNumber: string.number,
+                name: string.name,
+                openNote: string.openNote,
+                positions: string.positions.map(position => {
+                    const entry = { fret: position.fret, position: position.position, note: position.note };
+                    columns.forEach(column => {
+                        entry[column.key] = column.key === 'frequency'
+                            ? Math.round(position.frequency * 100) / 100
+                            : position[column.key];
+                    });
+                    return entry;
+                })
+            })),
+            referenceNotes: sheet.referenceNotes
+        };
+
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    // Standalone page with one row per string and one column per fret (or harmonic node) in use on any
+    // string; frets behind a capo stay empty
+    toHtml(sheet) {
+        const columns = this.getColumns(sheet);
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const frets = [...new Set(sheet.strings.flatMap(string => string.positions.map(position => position.fret)))]
+            .sort((a, b) => a - b);
+
+        const cell = position => {
+            const details = columns
+                .filter(column => column.key !== 'enharmonics' || position.enharmonics.length > 0)
+                .map(column => `<span class="detail">${escape(this.formatDetail(position, column.key))}</span>`);
+            return `<td title="${escape(position.position)}"><span class="note">${escape(position.note)}</span>${details.join('')}</td>`;
+        };
+
+        const rows = sheet.strings.map(string => {
+            const cells = frets.map(fret => {
+                const position = string.positions.find(entry => entry.fret === fret);
+                return position ? cell(position) : '<td class="unplayed"></td>';
+            });
+            return `      <tr><th scope="row">${escape(`String ${string.number} (${string.name})`)}</th>${cells.join('')}</tr>`;
+        });
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '  <meta charset="utf-8">',
+            `  <title>${escape(sheet.title)}</title>`,
+            '  <style>',
+            '    body { font-family: sans-serif; margin: 2em; color: #222; }',
+            '    table { border-collapse: collapse; }',
+            '    th, td { border: 1px solid #999; padding: 4px 6px; text-align: center; vertical-align: top; }',
+            '    thead th, tbody th { background: #eee; }',
+            '    tbody th { text-align: left; white-space: nowrap; }',
+            '    td.unplayed { background: #ddd; }',
+            '    .note { display: block; font-weight: bold; }',
+            '    .detail { display: block; font-size: 0.75em; color: #555; }',
+            '  </style>',
+            '</head>',
+            '<body>',
+            `  <h1>${escape(sheet.title)}</h1>`,
+            '  <ul>',
+            ...this.getDetails(sheet).map(detail => `    <li>${escape(detail)}</li>`),
+            '  </ul>',
+            '  <table>',
+            '    <thead>',
+            `      <tr><th scope="col">String</th>${frets.map(fret => `<th scope="col">${fret}</th>`).join('')}</tr>`,
+            '    </thead>',
+            '    <tbody>',
+            ...rows,
+            '    </tbody>',
+            '  </table>',
+            '  <h2>Reference Notes</h2>',
+            '  <ul>',
+            ...sheet.referenceNotes.map(reference =>
+                `    <li>${escape(reference.label)}: ${escape(reference.position)} = ${escape(reference.note)}</li>`
+            ),
+            '  </ul>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MappingFormatter, MAPPING_FORMATS };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.MappingFormats = { MappingFormatter, MAPPING_FORMATS };
+}
+})();
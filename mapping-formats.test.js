@@ -0,0 +1,128 @@
+// Tests for fretboard mapping export formats
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GuitarFretboard, GuitarPositionMapper } = require('./guitar-fretboard.js');
+const { MappingFormatter } = require('./mapping-formats.js');
+
+describe('Mapping Formats', () => {
+    let mapper;
+
+    beforeEach(() => {
+        mapper = new GuitarPositionMapper(new GuitarFretboard());
+    });
+
+    describe('Choosing a format', () => {
+        test('should pick the format from the file extension', () => {
+            expect(MappingFormatter.getFormatForPath('sheet.md')).toBe('markdown');
+            expect(MappingFormatter.getFormatForPath('out/Sheet.CSV')).toBe('csv');
+            expect(MappingFormatter.getFormatForPath('sheet.htm')).toBe('html');
+            expect(MappingFormatter.getFormatForPath('sheet.json')).toBe('json');
+            expect(MappingFormatter.getFormatForPath('sheet')).toBe('text');
+        });
+
+        test('should reject unknown formats', () => {
+            expect(() => mapper.generateMappingTable({ format: 'pdf' })).toThrow('Unknown mapping format: pdf');
+        });
+    });
+
+    describe('Columns and options', () => {
+        test('should write real newlines in plain text', () => {
+            const text = mapper.generateMappingTable({ maxFrets: 2 });
+
+            expect(text).not.toContain('\\n');
+            expect(text.split('\n')).toContain('  String-5-Fret-2: B2');
+        });
+
+        test('should add MIDI, frequency and interval-from-key columns', () => {
+            const text = mapper.generateMappingTable({ maxFrets: 5, includeMIDI: true, includeFrequency: true, key: 'D' });
+
+            expect(text).toContain('Key: D major');
+            expect(text).toContain('String-1-Fret-5: A4 (MIDI: 69) (440.00 Hz) (Interval: P5)');
+            expect(text).toContain('String-2-Fret-3: D4 (MIDI: 62) (293.66 Hz) (Interval: P1)');
+        });
+
+        test('should spell notes with sharps, flats or as the key writes them', () => {
+            const sheet = options => mapper.buildMappingSheet({ maxFrets: 3, ...options }).strings[0].positions;
+
+            expect(sheet({})[2].note).toBe('F#4');
+            expect(sheet({ spelling: 'flats' })[2].note).toBe('Gb4');
+            expect(sheet({ key: 'Db' })[2].note).toBe('Gb4');
+            expect(sheet({ key: 'E minor' })[2]).toMatchObject({ note: 'F#4', interval: 'M2' });
+            expect(() => sheet({ spelling: 'key' })).toThrow('Spelling notes by key needs a key');
+        });
+
+        test('should limit the fret range and never list frets behind a capo', () => {
+            const fretboard = new GuitarFretboard();
+            fretboard.setCapo(4);
+            const sheet = new GuitarPositionMapper(fretboard).buildMappingSheet({ minFret: 2, maxFrets: 6 });
+
+            expect(sheet.fretRange).toEqual({ min: 2, max: 6 });
+            expect(sheet.strings[0].positions.map(position => position.fret)).toEqual([4, 5, 6]);
+            expect(() => mapper.buildMappingSheet({ minFret: 8, maxFrets: 5 })).toThrow('Invalid fret range: 8-5');
+        });
+    });
+
+    describe('Output formats', () => {
+        test('should write one Markdown table per string', () => {
+            const markdown = mapper.generateMappingTable({ format: 'markdown', maxFrets: 2, includeMIDI: true });
+
+            expect(markdown).toContain('# Guitar Fretboard Position to SPN Mapping');
+            expect(markdown).toContain('## String 5 (A)');
+            expect(markdown).toContain('| Position | Fret | Note | MIDI |');
+            expect(markdown).toContain('| String-5-Fret-2 | 2 | B2 | 47 |');
+        });
+
+        test('should write a spreadsheet-ready CSV with quoted lists', () => {
+            const csv = mapper.generateMappingTable({ format: 'csv', maxFrets: 1, includeEnharmonics: true });
+            const rows = csv.trim().split('\r\n');
+
+            expect(rows[0]).toBe('String,String Name,Fret,Position,Note,Enharmonics');
+            expect(rows).toContain('6,Low E,1,String-6-Fret-1,F2,"E#2, Gbb2"');
+            expect(rows.length).toBe(1 + 6 * 2);
+        });
+
+        test('should write JSON with only the requested columns', () => {
+            const data = JSON.parse(mapper.generateMappingTable({ format: 'json', maxFrets: 5, includeFrequency: true }));
+
+            expect(data.metadata.fretRange).toEqual({ min: 0, max: 5 });
+            expect(data.strings[0].positions[5]).toEqual({
+                fret: 5, position: 'String-1-Fret-5', note: 'A4', frequency: 440
+            });
+            expect(data.referenceNotes[0]).toEqual({ label: 'A440 (Concert A)', note: 'A4', position: 'String-1-Fret-05' });
+        });
+
+        test('should write a self-contained HTML grid with a cell per fret', () => {
+            const html = mapper.generateMappingTable({ format: 'html', maxFrets: 3 });
+
+            expect(html).toMatch(/^<!DOCTYPE html>/);
+            expect(html).toContain('<style>');
+            expect(html).not.toMatch(/<(script|link)\b/);
+            expect(html).toContain('<th scope="row">String 6 (Low E)</th>');
+            expect((html.match(/<td /g) || []).length).toBe(6 * 4);
+        });
+
+        test('should export natural harmonics as a separate layer', () => {
+            const text = mapper.generateMappingTable({ layer: 'harmonics', maxFrets: 12 });
+            const csv = mapper.generateMappingTable({ layer: 'harmonics', format: 'csv', maxPartial: 3 });
+
+            expect(text).toContain('Guitar Natural Harmonic Position to SPN Mapping');
+            expect(text).toContain('String-1-Harmonic-7.02: B5 (Partial: 3) (+1.96 cents)');
+            expect(text).not.toContain('Harmonic-19.02');
+            expect(csv.split('\r\n')[0]).toBe('String,String Name,Fret,Position,Note,Partial,Cents');
+            expect(csv).toContain('6,Low E,12,String-6-Harmonic-12,E3,2,0.00');
+            expect(() => mapper.generateMappingTable({ layer: 'chords' })).toThrow('Unknown mapping layer: chords');
+        });
+
+        test('should write the file in the format of its extension', async () => {
+            const outputPath = path.join(os.tmpdir(), `mapping-${process.pid}.csv`);
+
+            await mapper.generateMappingFile(outputPath, { maxFrets: 2, includeMIDI: true });
+            const content = fs.readFileSync(outputPath, 'utf8');
+            fs.unlinkSync(outputPath);
+
+            expect(content.split('\r\n')[0]).toBe('String,String Name,Fret,Position,Note,MIDI');
+            expect(content).toContain('5,A,2,String-5-Fret-2,B2,47');
+        });
+    });
+});
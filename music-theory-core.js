@@ -1,15 +1,45 @@
 // Core Music Theory Module - Instrument-Agnostic
 // Pure music theory classes without instrument-specific logic
 
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { SeededRandom } = isCommonJS ? require('./seeded-random.js') : window.SeededRandom;
+
+// Letter names in staff order with their natural semitone offsets from C
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_SEMITONES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+// Accidental spellings accepted by the parser, mapped to their alteration in semitones
+const ACCIDENTAL_ALTERATIONS = {
+    '': 0,
+    '#': 1, '♯': 1,
+    'b': -1, '♭': -1,
+    '##': 2, 'x': 2, '𝄪': 2,
+    'bb': -2, '𝄫': -2
+};
+
+// MIDI note range (C-1 to G9) and the concert pitch of A4
+const MIDI_MIN = 0;
+const MIDI_MAX = 127;
+const DEFAULT_A4_FREQUENCY = 440;
+
+// Canonical accidental spelling for each alteration
+const ALTERATION_ACCIDENTALS = { '-2': 'bb', '-1': 'b', '0': '', '1': '#', '2': '##' };
+
 class Pitch {
     constructor(notation) {
         this.parseNotation(notation);
         this.calculateSemitoneValue();
+
+        // The octave check alone lets B9, B#9 and Cb-1 through
+        if (!Pitch.isValidMidi(this.semitoneValue)) {
+            throw new Error(`MIDI note out of range: ${this.semitoneValue}. Must be ${MIDI_MIN}-${MIDI_MAX}.`);
+        }
     }
 
     parseNotation(notation) {
-        // Validate and parse Scientific Pitch Notation (e.g., C4, F#3, Bb2)
-        const spnRegex = /^([A-G])([#b]?)(\d+)$/;
+        // Validate and parse Scientific Pitch Notation (e.g., C4, F#3, Bb2, Fx4, Ebb3, B♭2)
+        const spnRegex = /^([A-G])(##|bb|x|#|b|♯|♭|𝄪|𝄫)?(-?\d+)$/u;
         const match = notation.match(spnRegex);
         
         if (!match) {
@@ -17,114 +47,536 @@ class Pitch {
         }
 
         this.noteLetter = match[1];
-        this.accidental = match[2] || '';
+        this.alteration = ACCIDENTAL_ALTERATIONS[match[2] || ''];
+        this.accidental = ALTERATION_ACCIDENTALS[this.alteration];
         this.octave = parseInt(match[3]);
         this.note = this.noteLetter + this.accidental;
 
-        // Validate octave range (0-9 for practical use)
-        if (this.octave < 0 || this.octave > 9) {
+        // Validate octave range (-1 to 9 covers the MIDI range, C-1 = MIDI 0)
+        if (this.octave < -1 || this.octave > 9) {
             throw new Error('Invalid octave range');
         }
     }
 
     calculateSemitoneValue() {
-        // Calculate MIDI note number (C4 = 60)
-        const noteValues = {
-            'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3,
-            'E': 4, 'F': 5, 'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8,
-            'Ab': 8, 'A': 9, 'A#': 10, 'Bb': 10, 'B': 11
-        };
+        // Calculate MIDI note number (C4 = 60). The octave belongs to the letter,
+        // so B#3 sounds as C4 and Cb4 sounds as B3.
+        this.semitoneValue = (this.octave * 12) + LETTER_SEMITONES[this.noteLetter] + this.alteration + 12;
+    }
 
-        this.semitoneValue = (this.octave * 12) + noteValues[this.note] + 12;
+    // Spell a pitch from a letter, an alteration and the letter's octave
+    static fromSpelling(letter, alteration, octave) {
+        const accidental = ALTERATION_ACCIDENTALS[alteration];
+        if (accidental === undefined) {
+            throw new Error(`Unsupported alteration: ${alteration}`);
+        }
+        return new Pitch(letter + accidental + octave);
     }
 
     getEnharmonicEquivalents() {
-        const enharmonics = {
-            'C#': ['Db'], 'Db': ['C#'],
-            'D#': ['Eb'], 'Eb': ['D#'],
-            'F#': ['Gb'], 'Gb': ['F#'],
-            'G#': ['Ab'], 'Ab': ['G#'],
-            'A#': ['Bb'], 'Bb': ['A#']
-        };
+        // Every other spelling of the same sound using at most a double accidental,
+        // simplest spellings first
+        const equivalents = [];
+
+        for (const letterOffset of [-2, -1, 1, 2]) {
+            const spelling = this.spellWithLetterOffset(letterOffset);
+            if (spelling) {
+                equivalents.push(spelling);
+            }
+        }
 
-        const equivalents = enharmonics[this.note] || [];
-        return equivalents.map(note => note + this.octave);
+        return equivalents
+            .sort((a, b) => Math.abs(a.alteration) - Math.abs(b.alteration))
+            .map(pitch => pitch.toString());
     }
 
     toString() {
         return this.note + this.octave;
     }
 
-    // Add semitones to create new pitch
+    // Add semitones to create new pitch (spelled with sharps, as no letter is implied)
     addSemitones(semitones) {
-        const newMidi = this.semitoneValue + semitones;
-        const newOctave = Math.floor((newMidi - 12) / 12);
-        const newNoteValue = (newMidi - 12) % 12;
-        
+        return Pitch.fromMidi(this.semitoneValue + semitones);
+    }
+
+    static isValidMidi(midiNumber) {
+        return Number.isInteger(midiNumber) && midiNumber >= MIDI_MIN && midiNumber <= MIDI_MAX;
+    }
+
+    // Pitch for a MIDI note number (0-127), spelled with sharps
+    static fromMidi(midiNumber) {
+        if (!Pitch.isValidMidi(midiNumber)) {
+            throw new Error(`MIDI note out of range: ${midiNumber}. Must be ${MIDI_MIN}-${MIDI_MAX}.`);
+        }
+
         const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const newNote = notes[newNoteValue];
-        
-        return new Pitch(newNote + newOctave);
+        const octave = Math.floor(midiNumber / 12) - 1;
+        return new Pitch(notes[midiNumber % 12] + octave);
+    }
+
+    // Nearest pitch to a frequency, with the offset from it in cents (-50 to +50)
+    static fromFrequency(frequency, referenceA4 = DEFAULT_A4_FREQUENCY) {
+        if (!(frequency > 0)) {
+            throw new Error(`Invalid frequency: ${frequency}`);
+        }
+
+        const exactMidi = 69 + (12 * Math.log2(frequency / referenceA4));
+        const midiNumber = Math.round(exactMidi);
+        const cents = Math.round((exactMidi - midiNumber) * 10000) / 100;
+
+        return { pitch: Pitch.fromMidi(midiNumber), cents: cents };
+    }
+
+    toMidi() {
+        return this.semitoneValue;
+    }
+
+    // Equal-tempered frequency in Hz, tuned to the given A4
+    toFrequency(referenceA4 = DEFAULT_A4_FREQUENCY) {
+        return referenceA4 * Math.pow(2, (this.semitoneValue - 69) / 12);
+    }
+
+    // Move by a number of letter steps and semitones, keeping the spelling correct:
+    // E up (2 steps, 3 semitones) is G, while E up (1 step, 3 semitones) is F##
+    transpose(letterSteps, semitones) {
+        const letterIndex = LETTERS.indexOf(this.noteLetter) + letterSteps;
+        const newLetter = LETTERS[((letterIndex % 7) + 7) % 7];
+        const newOctave = this.octave + Math.floor(letterIndex / 7);
+        const naturalMidi = (newOctave * 12) + LETTER_SEMITONES[newLetter] + 12;
+
+        return Pitch.fromSpelling(newLetter, this.semitoneValue + semitones - naturalMidi, newOctave);
+    }
+
+    // Transpose up by an Interval (or interval notation such as 'm3')
+    addInterval(interval) {
+        const step = typeof interval === 'string' ? new Interval(interval) : interval;
+        return this.transpose(step.getLetterSteps(), step.semitones);
+    }
+
+    // Count of letter steps from C0, used to measure interval numbers
+    getDiatonicIndex() {
+        return (this.octave * 7) + LETTERS.indexOf(this.noteLetter);
+    }
+
+    // Respell this pitch on a letter N steps away, or null if that needs more than a double accidental
+    spellWithLetterOffset(letterOffset) {
+        const letterIndex = LETTERS.indexOf(this.noteLetter) + letterOffset;
+        const letter = LETTERS[((letterIndex % 7) + 7) % 7];
+        const octave = this.octave + Math.floor(letterIndex / 7);
+        const alteration = this.semitoneValue - ((octave * 12) + LETTER_SEMITONES[letter] + 12);
+
+        if (Math.abs(alteration) > 2) {
+            return null;
+        }
+        return Pitch.fromSpelling(letter, alteration, octave);
+    }
+}
+
+// Semitones of the major/perfect form of each simple interval number (1-7)
+const SIMPLE_INTERVAL_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+// Quality offsets from the perfect or major form, by interval family
+const PERFECT_QUALITY_OFFSETS = { 'dd': -2, 'd': -1, 'P': 0, 'A': 1, 'AA': 2 };
+const IMPERFECT_QUALITY_OFFSETS = { 'dd': -3, 'd': -2, 'm': -1, 'M': 0, 'A': 1, 'AA': 2 };
+
+const INTERVAL_QUALITY_NAMES = {
+    'dd': 'doubly diminished', 'd': 'diminished', 'm': 'minor', 'M': 'major',
+    'P': 'perfect', 'A': 'augmented', 'AA': 'doubly augmented'
+};
+
+const INVERTED_QUALITIES = { 'dd': 'AA', 'd': 'A', 'm': 'M', 'M': 'm', 'P': 'P', 'A': 'd', 'AA': 'dd' };
+
+class Interval {
+    constructor(notation) {
+        // Parse quality + number notation (e.g., m3, P5, d5, A5, M10)
+        const match = String(notation).match(/^(dd|d|m|M|P|A|AA)(\d+)$/);
+        if (!match || parseInt(match[2]) < 1) {
+            throw new Error(`Invalid interval notation: ${notation}`);
+        }
+
+        this.quality = match[1];
+        this.number = parseInt(match[2]);
+
+        const offsets = this.isPerfectType() ? PERFECT_QUALITY_OFFSETS : IMPERFECT_QUALITY_OFFSETS;
+        if (!(this.quality in offsets)) {
+            throw new Error(`Invalid interval quality for ${this.number}: ${this.quality}`);
+        }
+
+        this.semitones = SIMPLE_INTERVAL_SEMITONES[this.getSimpleNumber() - 1] +
+            (12 * this.getOctaves()) + offsets[this.quality];
+    }
+
+    // Build an interval from letter steps (0 = unison) and a semitone count
+    static fromStepsAndSemitones(letterSteps, semitones) {
+        if (letterSteps < 0) {
+            throw new Error('Intervals are measured upwards; letter steps must not be negative');
+        }
+
+        const number = letterSteps + 1;
+        const simpleIndex = letterSteps % 7;
+        const octaves = Math.floor(letterSteps / 7);
+        const offset = semitones - SIMPLE_INTERVAL_SEMITONES[simpleIndex] - (12 * octaves);
+        const perfectType = [0, 3, 4].includes(simpleIndex);
+        const offsets = perfectType ? PERFECT_QUALITY_OFFSETS : IMPERFECT_QUALITY_OFFSETS;
+        const quality = Object.keys(offsets).find(key => offsets[key] === offset);
+
+        if (!quality) {
+            throw new Error(`No interval spans ${letterSteps} letter steps and ${semitones} semitones`);
+        }
+        return new Interval(quality + number);
+    }
+
+    // Interval from a lower pitch up to a higher one, by spelling (C4-Eb4 is m3, C4-D#4 is A2)
+    static between(lower, upper) {
+        const lowerPitch = typeof lower === 'string' ? new Pitch(lower) : lower;
+        const upperPitch = typeof upper === 'string' ? new Pitch(upper) : upper;
+        const letterSteps = upperPitch.getDiatonicIndex() - lowerPitch.getDiatonicIndex();
+
+        if (letterSteps < 0) {
+            return Interval.between(upperPitch, lowerPitch);
+        }
+        return Interval.fromStepsAndSemitones(letterSteps, upperPitch.semitoneValue - lowerPitch.semitoneValue);
+    }
+
+    isPerfectType() {
+        return [1, 4, 5].includes(this.getSimpleNumber());
+    }
+
+    isCompound() {
+        return this.number > 8;
+    }
+
+    // Simple interval number (1-7); octaves reduce to 1
+    getSimpleNumber() {
+        return ((this.number - 1) % 7) + 1;
+    }
+
+    getOctaves() {
+        return Math.floor((this.number - 1) / 7);
+    }
+
+    getLetterSteps() {
+        return this.number - 1;
+    }
+
+    // Reduce a compound interval to its simple form (M10 becomes M3); octaves stay P8
+    getSimple() {
+        if (!this.isCompound()) {
+            return this;
+        }
+        return new Interval(this.quality + this.getSimpleNumber());
+    }
+
+    // Inversion of the simple interval: m3 becomes M6, A4 becomes d5, P8 becomes P1
+    invert() {
+        const simpleNumber = this.number === 8 ? 8 : this.getSimpleNumber();
+        return new Interval(INVERTED_QUALITIES[this.quality] + (9 - simpleNumber));
+    }
+
+    // Stack two intervals: M3 + m3 = P5
+    add(other) {
+        const interval = typeof other === 'string' ? new Interval(other) : other;
+        return Interval.fromStepsAndSemitones(
+            this.getLetterSteps() + interval.getLetterSteps(),
+            this.semitones + interval.semitones
+        );
+    }
+
+    // Transpose a pitch up by this interval
+    transpose(pitch) {
+        const startPitch = typeof pitch === 'string' ? new Pitch(pitch) : pitch;
+        return startPitch.addInterval(this);
+    }
+
+    equals(other) {
+        return this.quality === other.quality && this.number === other.number;
+    }
+
+    // Readable name, e.g. "minor 3rd", "perfect 5th", "major 10th"
+    getName() {
+        return `${INTERVAL_QUALITY_NAMES[this.quality]} ${Interval.ordinal(this.number)}`;
+    }
+
+    static ordinal(number) {
+        if (number === 1) return 'unison';
+        if (number === 8) return 'octave';
+
+        const lastTwo = number % 100;
+        if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        return `${number}${suffixes[number % 10] || 'th'}`;
+    }
+
+    toString() {
+        return this.quality + this.number;
+    }
+}
+
+// Inversion names in order of which chord tone sits in the bass
+const INVERSIONS = ['root', 'first', 'second', 'third'];
+
+class ChordQualityRegistry {
+    constructor() {
+        this.qualities = new Map();
+    }
+
+    // Register a chord quality by its intervals above the root (e.g., ['P1', 'M3', 'P5', 'm7']).
+    // The symbol is the suffix printed after the root (Cm7); aliases are extra suffixes the parser accepts.
+    register(name, intervalNames, options = {}) {
+        const { description = name, symbol = name, aliases = [] } = options;
+
+        if (!name || typeof name !== 'string' || name.includes('_')) {
+            throw new Error(`Invalid chord quality name: ${name}`);
+        }
+        if (!Array.isArray(intervalNames) || intervalNames.length < 3) {
+            throw new Error(`Chord quality ${name} needs at least 3 intervals`);
+        }
+
+        const intervals = intervalNames.map(intervalName => new Interval(intervalName));
+        if (intervals[0].semitones !== 0) {
+            throw new Error(`Chord quality ${name} must start with the root (P1)`);
+        }
+
+        this.qualities.set(name, { name, intervals, description, symbol, aliases });
+        return this;
+    }
+
+    // Find the quality whose symbol or alias matches a chord-symbol suffix ('' is major)
+    findBySymbol(suffix) {
+        for (const quality of this.qualities.values()) {
+            if (quality.symbol === suffix || quality.aliases.includes(suffix)) {
+                return quality;
+            }
+        }
+        return null;
+    }
+
+    has(name) {
+        return this.qualities.has(name);
+    }
+
+    get(name) {
+        const quality = this.qualities.get(name);
+        if (!quality) {
+            throw new Error(`Unknown chord quality: ${name}`);
+        }
+        return quality;
+    }
+
+    unregister(name) {
+        return this.qualities.delete(name);
+    }
+
+    getNames() {
+        return [...this.qualities.keys()];
     }
 }
 
+// Shared registry used by Chord; extend it at runtime with chordQualities.register(...)
+const chordQualities = new ChordQualityRegistry()
+    .register('major', ['P1', 'M3', 'P5'], { description: 'major triad', symbol: '', aliases: ['M', 'maj'] })
+    .register('minor', ['P1', 'm3', 'P5'], { description: 'minor triad', symbol: 'm', aliases: ['min', '-'] })
+    .register('diminished', ['P1', 'm3', 'd5'], { description: 'diminished triad', symbol: 'dim', aliases: ['°', 'o'] })
+    .register('augmented', ['P1', 'M3', 'A5'], { description: 'augmented triad', symbol: 'aug', aliases: ['+'] })
+    .register('sus2', ['P1', 'M2', 'P5'], { description: 'suspended 2nd' })
+    .register('sus4', ['P1', 'P4', 'P5'], { description: 'suspended 4th', aliases: ['sus'] })
+    .register('6', ['P1', 'M3', 'P5', 'M6'], { description: 'major 6th', aliases: ['M6', 'maj6'] })
+    .register('m6', ['P1', 'm3', 'P5', 'M6'], { description: 'minor 6th', aliases: ['min6', '-6'] })
+    .register('maj7', ['P1', 'M3', 'P5', 'M7'], { description: 'major 7th', aliases: ['M7', 'Δ', 'Δ7'] })
+    .register('7', ['P1', 'M3', 'P5', 'm7'], { description: 'dominant 7th', aliases: ['dom7'] })
+    .register('m7', ['P1', 'm3', 'P5', 'm7'], { description: 'minor 7th', aliases: ['min7', '-7'] })
+    .register('m7b5', ['P1', 'm3', 'd5', 'm7'], { description: 'half-diminished 7th', aliases: ['ø', 'ø7', 'min7b5', '-7b5'] })
+    .register('dim7', ['P1', 'm3', 'd5', 'd7'], { description: 'diminished 7th', aliases: ['°7', 'o7'] })
+    .register('mMaj7', ['P1', 'm3', 'P5', 'M7'], { description: 'minor-major 7th', aliases: ['mM7', 'm(maj7)', 'minMaj7'] });
+
+class VoicingTemplateRegistry {
+    constructor() {
+        this.templates = new Map();
+    }
+
+    // Register a voicing template. Arrangements are keyed by chord size; each lists the order in which
+    // the upper tones of the close-position chord (1 = the tone just above the bass) are stacked above
+    // the bass, every tone placed at the nearest octave above the previous one. An arrangement can also
+    // be { upperOrder, extraOctaves } to lift voices further.
+    register(name, arrangements, options = {}) {
+        const { description = name } = options;
+
+        if (!name || typeof name !== 'string' || name.includes('_')) {
+            throw new Error(`Invalid voicing name: ${name}`);
+        }
+
+        const normalized = {};
+        for (const [toneCount, arrangement] of Object.entries(arrangements)) {
+            const { upperOrder, extraOctaves = [] } = Array.isArray(arrangement)
+                ? { upperOrder: arrangement }
+                : arrangement;
+            const expected = Array.from({ length: toneCount - 1 }, (_, index) => index + 1);
+
+            if (!Array.isArray(upperOrder) || [...upperOrder].sort((a, b) => a - b).join() !== expected.join()) {
+                throw new Error(`Voicing ${name} must order each upper tone of a ${toneCount}-note chord once`);
+            }
+            normalized[toneCount] = { upperOrder, extraOctaves };
+        }
+
+        this.templates.set(name, { name, arrangements: normalized, description });
+        return this;
+    }
+
+    has(name) {
+        return this.templates.has(name);
+    }
+
+    get(name) {
+        const template = this.templates.get(name);
+        if (!template) {
+            throw new Error(`Unknown voicing: ${name}`);
+        }
+        return template;
+    }
+
+    // Arrangement of a template for a chord size
+    getArrangement(name, toneCount) {
+        const arrangement = this.get(name).arrangements[toneCount];
+        if (!arrangement) {
+            throw new Error(`Voicing ${name} does not apply to ${toneCount}-note chords`);
+        }
+        return arrangement;
+    }
+
+    unregister(name) {
+        return this.templates.delete(name);
+    }
+
+    getNames() {
+        return [...this.templates.keys()];
+    }
+
+    // Templates usable for a chord size, in registration order
+    getNamesFor(toneCount) {
+        return this.getNames().filter(name => this.get(name).arrangements[toneCount]);
+    }
+}
+
+// Shared voicing templates used by Chord; 'open' is the spread triad or the drop-2 four-note chord
+const voicingTemplates = new VoicingTemplateRegistry()
+    .register('closed', { 3: [1, 2], 4: [1, 2, 3] }, { description: 'close position' })
+    .register('open', { 3: [2, 1], 4: [2, 3, 1] }, { description: 'open position' })
+    .register('spread', { 3: [2, 1] }, { description: 'spread triad, middle voice up an octave' })
+    .register('drop2', { 4: [2, 3, 1] }, { description: 'drop-2' })
+    .register('drop3', { 4: [3, 1, 2] }, { description: 'drop-3' });
+
 class Chord {
-    constructor(root, quality, inversion = 'root', voicing = 'closed') {
+    constructor(root, quality, inversion = 'root', voicing = 'closed', bass = null) {
         this.root = typeof root === 'string' ? new Pitch(root) : root;
         this.quality = quality;
         this.inversion = inversion;
         this.voicing = voicing;
+        // Optional non-chord-tone bass note from a slash chord (e.g., G in Am/G)
+        this.bass = typeof bass === 'string' ? new Pitch(bass) : bass;
         this.intervals = this.getIntervals();
+        this.validateInversion();
+        this.validateVoicing();
+    }
+
+    validateVoicing() {
+        voicingTemplates.getArrangement(this.voicing, this.intervals.length);
+    }
+
+    validateInversion() {
+        const inversionIndex = INVERSIONS.indexOf(this.inversion);
+        if (inversionIndex === -1) {
+            throw new Error(`Unknown inversion: ${this.inversion}`);
+        }
+        if (inversionIndex >= this.intervals.length) {
+            throw new Error(`A ${this.intervals.length}-note chord has no ${this.inversion} inversion`);
+        }
     }
 
     getIntervals() {
-        // Define intervals for each chord quality (in semitones from root)
-        const intervals = {
-            'major': [0, 4, 7],        // Root, Major 3rd, Perfect 5th
-            'minor': [0, 3, 7],        // Root, Minor 3rd, Perfect 5th
-            'diminished': [0, 3, 6],   // Root, Minor 3rd, Diminished 5th
-            'augmented': [0, 4, 8]     // Root, Major 3rd, Augmented 5th
-        };
+        // Semitones from root for each chord tone
+        return this.getToneIntervals().map(interval => interval.semitones);
+    }
+
+    getToneIntervals() {
+        // Named intervals above the root, from the chord quality registry
+        return chordQualities.get(this.quality).intervals;
+    }
+
+    // Letter steps above the root for each chord tone (root, 3rd, 5th, ...)
+    getIntervalSteps() {
+        return this.getToneIntervals().map(interval => interval.getLetterSteps());
+    }
+
+    // Inversions this chord supports: triads stop at second, four-note chords add third
+    getAvailableInversions() {
+        return INVERSIONS.slice(0, this.intervals.length);
+    }
+
+    // False when a tone would need more than a double accidental, as Cb dim7 needs Bbbb
+    isSpellable() {
+        const rootLetterIndex = LETTERS.indexOf(this.root.noteLetter);
+        const rootSemitones = LETTER_SEMITONES[this.root.noteLetter] + this.root.alteration;
+
+        return this.getToneIntervals().every(interval => {
+            const letterIndex = rootLetterIndex + interval.getLetterSteps();
+            const naturalSemitones = LETTER_SEMITONES[LETTERS[letterIndex % 7]] + 12 * Math.floor(letterIndex / 7);
+            return ALTERATION_ACCIDENTALS[rootSemitones + interval.semitones - naturalSemitones] !== undefined;
+        });
+    }
+
+    // Spell each chord tone from the root, so F minor gives Ab rather than G#
+    getSpelledTones() {
+        return this.getToneIntervals().map(interval => this.root.addInterval(interval));
+    }
 
-        return intervals[this.quality] || intervals['major'];
+    // Describe each tone against the root, e.g. "Ab is a minor 3rd above the root"
+    describeChordTones() {
+        const tones = this.getSpelledTones();
+        return this.getToneIntervals().map((interval, index) => {
+            if (index === 0) {
+                return `${tones[0].note} is the root`;
+            }
+            return `${tones[index].note} is a ${interval.getName()} above the root`;
+        });
     }
 
     getPitches() {
-        let pitches = this.intervals.map(interval => 
-            this.root.addSemitones(interval)
-        );
+        let pitches = this.getSpelledTones();
 
-        // Apply inversion
-        switch (this.inversion) {
-            case 'first':
-                // Third becomes bass note
-                pitches = [
-                    pitches[1], // Third
-                    pitches[2], // Fifth
-                    pitches[0].addSemitones(12) // Root up octave
-                ];
-                break;
-            case 'second':
-                // Fifth becomes bass note
-                pitches = [
-                    pitches[2], // Fifth
-                    pitches[0].addSemitones(12), // Root up octave
-                    pitches[1].addSemitones(12)  // Third up octave
-                ];
-                break;
-            // 'root' case - no change needed
-        }
-
-        // Apply voicing
-        if (this.voicing === 'open') {
-            // Spread chord tones across wider range
+        // Apply inversion: rotate the chord so the chosen tone is in the bass,
+        // raising the tones that were below it by an octave
+        const inversionIndex = INVERSIONS.indexOf(this.inversion);
+        if (inversionIndex > 0) {
             pitches = [
-                pitches[0], // Keep bass note
-                pitches[2], // Move fifth to middle
-                pitches[1].addSemitones(12) // Third up octave
+                ...pitches.slice(inversionIndex),
+                ...pitches.slice(0, inversionIndex).map(pitch => pitch.transpose(7, 12))
             ];
         }
 
+        // Apply voicing: keep the bass and restack the upper tones in the template's order
+        const { upperOrder, extraOctaves } = voicingTemplates.getArrangement(this.voicing, pitches.length);
+        const closePitches = pitches;
+        pitches = [closePitches[0]];
+        upperOrder.forEach((toneIndex, position) => {
+            let pitch = closePitches[toneIndex];
+            while (pitch.semitoneValue <= pitches[pitches.length - 1].semitoneValue) {
+                pitch = pitch.transpose(7, 12);
+            }
+            for (let octave = 0; octave < (extraOctaves[position] || 0); octave++) {
+                pitch = pitch.transpose(7, 12);
+            }
+            pitches.push(pitch);
+        });
+
+        // Place a slash-chord bass note below the chord
+        if (this.bass) {
+            let bassPitch = this.bass;
+            while (bassPitch.semitoneValue >= pitches[0].semitoneValue) {
+                bassPitch = bassPitch.transpose(-7, -12);
+            }
+            pitches = [bassPitch, ...pitches];
+        }
+
         return pitches;
     }
 
@@ -132,23 +584,198 @@ class Chord {
         return `${this.root.note}_${this.quality}_${this.inversion}_${this.voicing}`;
     }
 
+    // Lead-sheet symbol, e.g. "Bbm", "C/E", "Am/G", "Cmaj7"
+    getSymbol() {
+        const symbol = this.root.note + chordQualities.get(this.quality).symbol;
+        const inversionIndex = INVERSIONS.indexOf(this.inversion);
+
+        if (this.bass) {
+            return `${symbol}/${this.bass.note}`;
+        }
+        if (inversionIndex > 0) {
+            return `${symbol}/${this.getChordTones()[inversionIndex]}`;
+        }
+        return symbol;
+    }
+
     // Get all chord tones (without octave consideration)
     getChordTones() {
-        return this.intervals.map(interval => {
-            const pitch = this.root.addSemitones(interval);
-            return pitch.note;
+        return this.getSpelledTones().map(pitch => pitch.note);
+    }
+}
+
+// Readable inversion names for chord explanations
+const INVERSION_LABELS = {
+    'root': 'root position',
+    'first': '1st inversion',
+    'second': '2nd inversion',
+    'third': '3rd inversion'
+};
+
+const TRIAD_QUALITY_NAMES = ['major', 'minor', 'diminished', 'augmented'];
+
+// Confidence deductions used when ranking chord candidates
+const IDENTIFICATION_PENALTIES = {
+    omittedTone: 0.15,     // Each omitted perfect 5th
+    extraTone: 0.2,        // Each note the chord does not explain
+    slashBass: 0.1,        // Bass note outside the chord
+    inversion: 0.03,       // Root position is the likelier reading
+    spelling: 0.02         // Each note spelled differently from the chord
+};
+
+class ChordIdentifier {
+    constructor(qualities = chordQualities) {
+        this.qualities = qualities;
+    }
+
+    // Rank every chord that could explain the notes. Notes are names with the bass first
+    // (['E', 'G', 'C']) or Pitch objects / pitch notation, where the lowest pitch is the bass.
+    // Duplicated notes are ignored, a perfect 5th may be omitted, and extra notes lower confidence.
+    identify(notes, options = {}) {
+        const { minConfidence = 0.3 } = options;
+        const inputs = this.normalizeNotes(notes);
+        const candidates = [];
+
+        if (inputs.length < 2) {
+            return candidates;
+        }
+
+        for (const rootInput of inputs) {
+            for (const quality of this.qualities.getNames()) {
+                const candidate = this.matchChord(rootInput.note, quality, inputs);
+                if (candidate && candidate.confidence >= minConfidence) {
+                    candidates.push(candidate);
+                }
+            }
+        }
+
+        return candidates.sort((a, b) =>
+            b.confidence - a.confidence ||
+            a.chord.intervals.length - b.chord.intervals.length
+        );
+    }
+
+    // Best-ranked candidate, or null when nothing explains the notes
+    identifyBest(notes, options = {}) {
+        return this.identify(notes, options)[0] || null;
+    }
+
+    matchChord(rootNote, quality, inputs) {
+        const chord = new Chord(rootNote + '4', quality);
+        if (!chord.isSpellable()) {
+            return null;
+        }
+
+        const tones = chord.getSpelledTones();
+        const toneIntervals = chord.getToneIntervals();
+        const toneClasses = tones.map(tone => this.pitchClass(tone));
+        const inputClasses = inputs.map(input => input.pitchClass);
+
+        // Only a perfect 5th may be left out, and only when a 3rd still defines the chord
+        const hasThird = toneIntervals.some(interval => interval.number === 3);
+        const omittedIndexes = toneClasses
+            .map((toneClass, index) => (inputClasses.includes(toneClass) ? -1 : index))
+            .filter(index => index !== -1);
+        if (omittedIndexes.some(index => !hasThird || toneIntervals[index].toString() !== 'P5')) {
+            return null;
+        }
+
+        const bass = inputs[0];
+        const bassToneIndex = toneClasses.indexOf(bass.pitchClass);
+        const isSlash = bassToneIndex === -1;
+        const extraInputs = inputs.filter(input => !toneClasses.includes(input.pitchClass) && input !== bass);
+        const spellingMismatches = inputs.filter(input => {
+            const toneIndex = toneClasses.indexOf(input.pitchClass);
+            return toneIndex !== -1 && tones[toneIndex].note !== input.note;
+        }).length;
+
+        const inversion = isSlash ? 'root' : INVERSIONS[bassToneIndex];
+        const identified = new Chord(rootNote + '4', quality, inversion, 'closed', isSlash ? bass.note + '3' : null);
+        const omitted = omittedIndexes.map(index => Interval.ordinal(toneIntervals[index].number));
+        const extraNotes = extraInputs.map(input => input.note);
+
+        const confidence = 1 -
+            (IDENTIFICATION_PENALTIES.omittedTone * omitted.length) -
+            (IDENTIFICATION_PENALTIES.extraTone * extraNotes.length) -
+            (isSlash ? IDENTIFICATION_PENALTIES.slashBass : 0) -
+            (inversion !== 'root' ? IDENTIFICATION_PENALTIES.inversion : 0) -
+            (IDENTIFICATION_PENALTIES.spelling * spellingMismatches);
+
+        return {
+            chord: identified,
+            symbol: identified.getSymbol(),
+            confidence: Math.max(0, Math.round(confidence * 100) / 100),
+            inversion: inversion,
+            omitted: omitted,
+            extraNotes: extraNotes,
+            bassNote: bass.note,
+            isSlash: isSlash,
+            explanation: this.explain(identified, omitted, extraNotes, isSlash ? bass.note : null)
+        };
+    }
+
+    // e.g. "C major, 1st inversion, 5th omitted" or "C major, D in the bass"
+    explain(chord, omitted, extraNotes, slashBass) {
+        const quality = this.qualities.get(chord.quality);
+        const qualityName = TRIAD_QUALITY_NAMES.includes(chord.quality) ? chord.quality : quality.description;
+        const parts = [`${chord.root.note} ${qualityName}`];
+
+        parts.push(slashBass ? `${slashBass} in the bass` : INVERSION_LABELS[chord.inversion]);
+        omitted.forEach(tone => parts.push(`${tone} omitted`));
+        if (extraNotes.length > 0) {
+            parts.push(`extra ${extraNotes.join(', ')}`);
+        }
+
+        return parts.join(', ');
+    }
+
+    // Unique notes with the bass first; pitches with octaves are ordered low to high
+    normalizeNotes(notes) {
+        const hasOctaves = notes.every(note => typeof note !== 'string' || /-?\d+$/.test(note));
+        let pitches = notes.map(note => {
+            if (typeof note !== 'string') return note;
+            return new Pitch(hasOctaves ? note : note + '4');
         });
+
+        if (hasOctaves) {
+            pitches = [...pitches].sort((a, b) => a.semitoneValue - b.semitoneValue);
+        }
+
+        const seen = new Set();
+        return pitches
+            .map(pitch => ({ note: pitch.note, pitchClass: this.pitchClass(pitch) }))
+            .filter(input => {
+                if (seen.has(input.pitchClass)) return false;
+                seen.add(input.pitchClass);
+                return true;
+            });
+    }
+
+    pitchClass(pitch) {
+        return ((pitch.semitoneValue % 12) + 12) % 12;
     }
 }
 
 class ChordTheory {
-    constructor() {
-        // Pure music theory, no instrument-specific logic
+    constructor(random = null) {
+        // Pure music theory, no instrument-specific logic; random is anything with next() in [0, 1)
+        this.random = random || new SeededRandom();
     }
 
-    parseChordName(standardName) {
+    // Replace the random source with a fresh one seeded for a reproducible sequence
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        return this.random.seed;
+    }
+
+    parseChordName(name) {
+        // Accept both the standard name ("C_major_root_closed") and chord symbols ("Am/G")
+        if (!name.includes('_')) {
+            return this.parseChordSymbol(name);
+        }
+
         // Parse standard chord name: "C_major_root_closed"
-        const parts = standardName.split('_');
+        const parts = name.split('_');
         if (parts.length !== 4) {
             throw new Error('Invalid standard chord name format');
         }
@@ -157,24 +784,79 @@ class ChordTheory {
         return new Chord(root + '4', quality, inversion, voicing);
     }
 
+    // Parse a lead-sheet chord symbol: root, quality suffix and optional slash bass.
+    // A slash bass that is a chord tone becomes an inversion (C/E is C major, first inversion).
+    parseChordSymbol(symbol, voicing = 'closed') {
+        const symbolRegex = /^([A-G](?:##|bb|x|#|b|♯|♭)?)(.*?)(?:\/([A-G](?:##|bb|x|#|b|♯|♭)?))?$/u;
+        const match = String(symbol).trim().match(symbolRegex);
+
+        if (!match) {
+            throw new Error(`Invalid chord symbol: ${symbol}`);
+        }
+
+        const [, root, suffix, bassNote] = match;
+        const quality = chordQualities.findBySymbol(suffix);
+        if (!quality) {
+            throw new Error(`Unknown chord symbol quality: ${suffix}`);
+        }
+
+        const chord = new Chord(root + '4', quality.name, 'root', voicing);
+        if (!bassNote) {
+            return chord;
+        }
+
+        const bassPitch = new Pitch(bassNote + '4');
+        const chordTones = chord.getChordTones();
+        const bassToneIndex = chordTones.indexOf(bassPitch.note) !== -1
+            ? chordTones.indexOf(bassPitch.note)
+            : chordTones.findIndex(tone => this.notesMatch(bassPitch.note, tone));
+
+        if (bassToneIndex >= 0) {
+            return new Chord(root + '4', quality.name, INVERSIONS[bassToneIndex], voicing);
+        }
+        return new Chord(root + '4', quality.name, 'root', voicing, bassPitch);
+    }
+
+    formatChordSymbol(chord) {
+        return chord.getSymbol();
+    }
+
     generateRandomChord(constraints = {}) {
         const {
             roots = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
             qualities = ['major', 'minor', 'diminished', 'augmented'],
             inversions = ['root', 'first', 'second'],
-            voicings = ['closed', 'open']
+            voicings = ['closed', 'open'],
+            key = null
         } = constraints;
 
-        const randomRoot = roots[Math.floor(Math.random() * roots.length)];
-        const randomQuality = qualities[Math.floor(Math.random() * qualities.length)];
-        const randomInversion = inversions[Math.floor(Math.random() * inversions.length)];
-        const randomVoicing = voicings[Math.floor(Math.random() * voicings.length)];
+        const randomInversion = this.pickRandom(inversions);
+        const randomVoicing = this.pickRandom(voicings);
+
+        // With a key (see music-theory-keys.js), pick one of its diatonic triads of an allowed quality
+        if (key) {
+            const diatonicTriads = key.getDiatonicTriads().filter(triad => qualities.includes(triad.quality));
+            if (diatonicTriads.length === 0) {
+                throw new Error(`No diatonic triads in ${key.getName()} match the requested qualities`);
+            }
+
+            const triad = this.pickRandom(diatonicTriads);
+            return new Chord(triad.chord.root.note + '4', triad.quality, randomInversion, randomVoicing);
+        }
+
+        const randomRoot = this.pickRandom(roots);
+        const randomQuality = this.pickRandom(qualities);
 
         return new Chord(randomRoot + '4', randomQuality, randomInversion, randomVoicing);
     }
 
+    pickRandom(items) {
+        return items[Math.floor(this.random.next() * items.length)];
+    }
+
     validateProgression(chordNames) {
-        // Basic validation - ensure all chords can be parsed
+        // Basic validation - ensure all chords can be parsed (ProgressionAnalyzer in
+        // progression-analysis.js explains the harmony)
         try {
             chordNames.forEach(name => this.parseChordName(name));
             return true;
@@ -183,62 +865,35 @@ class ChordTheory {
         }
     }
 
+    // Every inversion in every applicable voicing, skipping voicings that repeat a pitch set
     getAllChordVariations(root, quality) {
         const variations = [];
-        const inversions = ['root', 'first', 'second'];
-        const voicings = ['closed', 'open'];
+        const seenPitchSets = new Set();
+        const chord = new Chord(root + '4', quality);
+        const voicings = voicingTemplates.getNamesFor(chord.intervals.length);
 
-        for (const inversion of inversions) {
+        for (const inversion of chord.getAvailableInversions()) {
             for (const voicing of voicings) {
-                variations.push(new Chord(root + '4', quality, inversion, voicing));
+                const variation = new Chord(root + '4', quality, inversion, voicing);
+                const pitchSet = variation.getPitches().map(pitch => pitch.toString()).join(',');
+
+                if (!seenPitchSets.has(pitchSet)) {
+                    seenPitchSets.add(pitchSet);
+                    variations.push(variation);
+                }
             }
         }
 
         return variations;
     }
 
-    // Identify chord from a collection of note names (no octave info)
+    // Identify chord from a collection of note names (no octave info, bass first),
+    // best match first; see ChordIdentifier for confidence scores and explanations
     identifyChordFromNotes(noteNames) {
-        const possibleChords = [];
-        
-        // Only proceed if we have at least 3 unique notes
-        if (noteNames.length >= 3) {
-            for (const note of ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']) {
-                for (const quality of ['major', 'minor', 'diminished', 'augmented']) {
-                    const testChord = new Chord(note + '4', quality);
-                    const chordTones = testChord.getChordTones();
-                    
-                    // Count how many chord tones are present
-                    let matchCount = 0;
-                    for (const tone of chordTones) {
-                        if (noteNames.includes(tone)) {
-                            matchCount++;
-                        } else {
-                            // Check enharmonic equivalents
-                            const enharmonics = new Pitch(tone + '4').getEnharmonicEquivalents();
-                            if (enharmonics.some(enh => noteNames.includes(enh.replace(/\d+$/, '')))) {
-                                matchCount++;
-                            }
-                        }
-                    }
-                    
-                    // If all 3 chord tones are present, this is a valid chord
-                    if (matchCount === 3) {
-                        // Determine inversion based on bass note (first note in the array)
-                        const bassNote = noteNames[0];
-                        let inversion = 'root';
-                        
-                        // Check inversion
-                        if (this.notesMatch(bassNote, chordTones[1])) inversion = 'first';
-                        else if (this.notesMatch(bassNote, chordTones[2])) inversion = 'second';
-                        
-                        possibleChords.push(new Chord(note + '4', quality, inversion, 'closed'));
-                    }
-                }
-            }
-        }
-
-        return possibleChords;
+        return new ChordIdentifier()
+            .identify(noteNames)
+            .filter(candidate => candidate.omitted.length === 0)
+            .map(candidate => candidate.chord);
     }
 
     // Helper method to check if two notes match (including enharmonics)
@@ -253,10 +908,11 @@ class ChordTheory {
 
 // Export for CommonJS (Node.js/Jest)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Pitch, Chord, ChordTheory };
+    module.exports = { Pitch, Interval, Chord, ChordTheory, ChordIdentifier, SeededRandom, ChordQualityRegistry, chordQualities, VoicingTemplateRegistry, voicingTemplates };
 }
 
 // Export for ES6 modules (browser)
 if (typeof window !== 'undefined') {
-    window.MusicTheoryCore = { Pitch, Chord, ChordTheory };
-}
\ No newline at end of file
+    window.MusicTheoryCore = { Pitch, Interval, Chord, ChordTheory, ChordIdentifier, SeededRandom, ChordQualityRegistry, chordQualities, VoicingTemplateRegistry, voicingTemplates };
+}
+})();
@@ -1,5 +1,5 @@
 // Tests for core music theory (instrument-agnostic)
-const { Pitch, Chord, ChordTheory } = require('./music-theory-core.js');
+const { Pitch, Interval, Chord, ChordTheory, ChordIdentifier, SeededRandom, chordQualities, voicingTemplates } = require('./music-theory-core.js');
 
 describe('Core Music Theory (Instrument-Agnostic)', () => {
     describe('Pitch Class', () => {
@@ -47,6 +47,132 @@ describe('Core Music Theory (Instrument-Agnostic)', () => {
             expect(e4.toString()).toBe('E4');
             expect(e4.semitoneValue).toBe(64);
         });
+
+        test('should cover the full MIDI range', () => {
+            expect(new Pitch('C-1').semitoneValue).toBe(0);
+            expect(new Pitch('G9').semitoneValue).toBe(127);
+            expect(new Pitch('C0').addSemitones(-1).toString()).toBe('B-1');
+            expect(new Pitch('E1').addSemitones(-20).toString()).toBe('G#-1');
+            expect(() => new Pitch('C-1').addSemitones(-1)).toThrow('MIDI note out of range');
+            expect(() => new Pitch('G9').addSemitones(1)).toThrow('MIDI note out of range');
+        });
+
+        test('should reject spellings outside the MIDI range', () => {
+            expect(() => new Pitch('B9')).toThrow('MIDI note out of range: 131');
+            expect(() => new Pitch('G#9')).toThrow('MIDI note out of range: 128');
+            expect(() => new Pitch('Cb-1')).toThrow('MIDI note out of range: -1');
+            expect(new Pitch('Dbb-1').semitoneValue).toBe(0);
+        });
+
+        test('should build pitches from MIDI numbers', () => {
+            expect(Pitch.fromMidi(60).toString()).toBe('C4');
+            expect(Pitch.fromMidi(0).toString()).toBe('C-1');
+            expect(Pitch.fromMidi(127).toString()).toBe('G9');
+            expect(Pitch.fromMidi(28).toMidi()).toBe(28);
+            expect(() => Pitch.fromMidi(128)).toThrow('MIDI note out of range');
+            expect(() => Pitch.fromMidi(60.5)).toThrow('MIDI note out of range');
+        });
+
+        test('should convert pitches to frequencies', () => {
+            expect(new Pitch('A4').toFrequency()).toBe(440);
+            expect(new Pitch('A4').toFrequency(432)).toBe(432);
+            expect(new Pitch('C4').toFrequency()).toBeCloseTo(261.63, 2);
+            expect(new Pitch('E2').toFrequency()).toBeCloseTo(82.41, 2);
+        });
+
+        test('should find the nearest pitch and cents offset for a frequency', () => {
+            const exact = Pitch.fromFrequency(440);
+            expect(exact.pitch.toString()).toBe('A4');
+            expect(exact.cents).toBe(0);
+
+            const sharp = Pitch.fromFrequency(445);
+            expect(sharp.pitch.toString()).toBe('A4');
+            expect(sharp.cents).toBeCloseTo(19.56, 2);
+
+            expect(Pitch.fromFrequency(432, 432).pitch.toString()).toBe('A4');
+            expect(Pitch.fromFrequency(30.87).pitch.toString()).toBe('B0');
+            expect(() => Pitch.fromFrequency(0)).toThrow('Invalid frequency');
+        });
+
+        test('should parse double accidentals and accidental glyphs', () => {
+            expect(new Pitch('Fx4').note).toBe('F##');
+            expect(new Pitch('F##4').semitoneValue).toBe(new Pitch('G4').semitoneValue);
+            expect(new Pitch('Ebb4').semitoneValue).toBe(new Pitch('D4').semitoneValue);
+            expect(new Pitch('B♭3').toString()).toBe('Bb3');
+            expect(new Pitch('C♯4').toString()).toBe('C#4');
+        });
+
+        test('should keep the octave with the letter for B# and Cb', () => {
+            expect(new Pitch('B#3').semitoneValue).toBe(60);
+            expect(new Pitch('Cb4').semitoneValue).toBe(59);
+        });
+
+        test('should get enharmonic equivalents for naturals and double accidentals', () => {
+            expect(new Pitch('E#4').getEnharmonicEquivalents()).toContain('F4');
+            expect(new Pitch('Fb4').getEnharmonicEquivalents()).toContain('E4');
+            expect(new Pitch('B#3').getEnharmonicEquivalents()).toContain('C4');
+            expect(new Pitch('Cb4').getEnharmonicEquivalents()).toContain('B3');
+            expect(new Pitch('G##4').getEnharmonicEquivalents()).toEqual(['A4', 'Bbb4']);
+        });
+
+        test('should transpose by letter steps keeping the spelling', () => {
+            const f4 = new Pitch('F4');
+
+            expect(f4.transpose(2, 3).toString()).toBe('Ab4');
+            expect(f4.transpose(1, 3).toString()).toBe('G#4');
+            expect(new Pitch('B3').transpose(1, 1).toString()).toBe('C4');
+        });
+    });
+
+    describe('Interval Class', () => {
+        test('should parse quality and number', () => {
+            expect(new Interval('m3').semitones).toBe(3);
+            expect(new Interval('P5').semitones).toBe(7);
+            expect(new Interval('d5').semitones).toBe(6);
+            expect(new Interval('A5').semitones).toBe(8);
+            expect(new Interval('M10').semitones).toBe(16);
+            expect(new Interval('P8').semitones).toBe(12);
+        });
+
+        test('should reject invalid intervals', () => {
+            expect(() => new Interval('P3')).toThrow('Invalid interval quality');
+            expect(() => new Interval('m5')).toThrow('Invalid interval quality');
+            expect(() => new Interval('X3')).toThrow('Invalid interval notation');
+        });
+
+        test('should compute the interval between two pitches by spelling', () => {
+            expect(Interval.between(new Pitch('C4'), new Pitch('Eb4')).toString()).toBe('m3');
+            expect(Interval.between(new Pitch('C4'), new Pitch('D#4')).toString()).toBe('A2');
+            expect(Interval.between(new Pitch('B3'), new Pitch('F4')).toString()).toBe('d5');
+            expect(Interval.between(new Pitch('C4'), new Pitch('E5')).toString()).toBe('M10');
+        });
+
+        test('should invert intervals', () => {
+            expect(new Interval('m3').invert().toString()).toBe('M6');
+            expect(new Interval('A4').invert().toString()).toBe('d5');
+            expect(new Interval('P5').invert().toString()).toBe('P4');
+            expect(new Interval('P8').invert().toString()).toBe('P1');
+            expect(new Interval('M10').invert().toString()).toBe('m6');
+        });
+
+        test('should add intervals', () => {
+            expect(new Interval('M3').add(new Interval('m3')).toString()).toBe('P5');
+            expect(new Interval('m3').add('m3').toString()).toBe('d5');
+            expect(new Interval('P5').add('M6').toString()).toBe('M10');
+        });
+
+        test('should transpose pitches by an interval', () => {
+            expect(new Pitch('F4').addInterval('m3').toString()).toBe('Ab4');
+            expect(new Interval('A5').transpose('G#3').toString()).toBe('D##4');
+            expect(new Interval('M10').transpose('C4').toString()).toBe('E5');
+        });
+
+        test('should name intervals', () => {
+            expect(new Interval('m3').getName()).toBe('minor 3rd');
+            expect(new Interval('P5').getName()).toBe('perfect 5th');
+            expect(new Interval('P8').getName()).toBe('perfect octave');
+            expect(new Interval('M10').getName()).toBe('major 10th');
+        });
     });
 
     describe('Chord Class', () => {
@@ -91,6 +217,161 @@ describe('Core Music Theory (Instrument-Agnostic)', () => {
             
             expect(chordTones).toEqual(['C', 'E', 'G']);
         });
+
+        test('should spell chord tones by letter for every root', () => {
+            expect(new Chord('F4', 'minor').getChordTones()).toEqual(['F', 'Ab', 'C']);
+            expect(new Chord('Gb4', 'major').getChordTones()).toEqual(['Gb', 'Bb', 'Db']);
+            expect(new Chord('Cb4', 'major').getChordTones()).toEqual(['Cb', 'Eb', 'Gb']);
+            expect(new Chord('F#4', 'major').getChordTones()).toEqual(['F#', 'A#', 'C#']);
+            expect(new Chord('G#4', 'augmented').getChordTones()).toEqual(['G#', 'B#', 'D##']);
+            expect(new Chord('Eb4', 'diminished').getChordTones()).toEqual(['Eb', 'Gb', 'Bbb']);
+        });
+
+        test('should describe chord tones as intervals above the root', () => {
+            const fMinor = new Chord('F4', 'minor');
+
+            expect(fMinor.getToneIntervals().map(i => i.toString())).toEqual(['P1', 'm3', 'P5']);
+            expect(fMinor.describeChordTones()).toEqual([
+                'F is the root',
+                'Ab is a minor 3rd above the root',
+                'C is a perfect 5th above the root'
+            ]);
+        });
+
+        test('should build suspended, sixth and seventh chords from the registry', () => {
+            expect(new Chord('C4', 'sus4').getChordTones()).toEqual(['C', 'F', 'G']);
+            expect(new Chord('D4', 'sus2').getChordTones()).toEqual(['D', 'E', 'A']);
+            expect(new Chord('A4', 'm6').getChordTones()).toEqual(['A', 'C', 'E', 'F#']);
+            expect(new Chord('F4', 'maj7').getChordTones()).toEqual(['F', 'A', 'C', 'E']);
+            expect(new Chord('G4', '7').getChordTones()).toEqual(['G', 'B', 'D', 'F']);
+            expect(new Chord('B4', 'm7b5').getChordTones()).toEqual(['B', 'D', 'F', 'A']);
+            expect(new Chord('C4', 'dim7').getChordTones()).toEqual(['C', 'Eb', 'Gb', 'Bbb']);
+            expect(new Chord('C4', 'mMaj7').getChordTones()).toEqual(['C', 'Eb', 'G', 'B']);
+        });
+
+        test('should throw for unknown chord qualities', () => {
+            expect(() => new Chord('C4', 'sus3')).toThrow('Unknown chord quality: sus3');
+        });
+
+        test('should allow registering chord qualities at runtime', () => {
+            chordQualities.register('add9', ['P1', 'M3', 'P5', 'M9'], { description: 'added 9th' });
+            try {
+                expect(new Chord('C4', 'add9').getChordTones()).toEqual(['C', 'E', 'G', 'D']);
+            } finally {
+                chordQualities.unregister('add9');
+            }
+            expect(chordQualities.has('add9')).toBe(false);
+        });
+
+        test('should support a third inversion for four-note chords only', () => {
+            const g7Third = new Chord('G3', '7', 'third', 'closed');
+
+            expect(g7Third.getPitches().map(p => p.toString())).toEqual(['F4', 'G4', 'B4', 'D5']);
+            expect(() => new Chord('C4', 'major', 'third')).toThrow('no third inversion');
+        });
+
+        test('should spread triads by raising the middle voice an octave', () => {
+            const toStrings = chord => chord.getPitches().map(p => p.toString());
+
+            expect(toStrings(new Chord('C4', 'major', 'root', 'open'))).toEqual(['C4', 'G4', 'E5']);
+            expect(toStrings(new Chord('C4', 'major', 'first', 'spread'))).toEqual(['E4', 'C5', 'G5']);
+            expect(toStrings(new Chord('C4', 'major', 'second', 'open'))).toEqual(['G4', 'E5', 'C6']);
+        });
+
+        test('should build drop-2 and drop-3 voicings for four-note chords', () => {
+            const toStrings = chord => chord.getPitches().map(p => p.toString());
+
+            expect(toStrings(new Chord('C3', 'maj7', 'root', 'drop2'))).toEqual(['C3', 'G3', 'B3', 'E4']);
+            expect(toStrings(new Chord('C3', 'maj7', 'root', 'drop3'))).toEqual(['C3', 'B3', 'E4', 'G4']);
+            expect(toStrings(new Chord('G3', '7', 'first', 'drop2'))).toEqual(['B3', 'F4', 'G4', 'D5']);
+            expect(() => new Chord('C4', 'major', 'root', 'drop2')).toThrow('does not apply to 3-note chords');
+            expect(() => new Chord('C4', 'major', 'root', 'cluster')).toThrow('Unknown voicing: cluster');
+        });
+
+        test('should allow user-defined voicing templates', () => {
+            voicingTemplates.register('wide', { 3: { upperOrder: [1, 2], extraOctaves: [1, 0] } });
+            try {
+                const wide = new Chord('C4', 'major', 'root', 'wide');
+                expect(wide.getPitches().map(p => p.toString())).toEqual(['C4', 'E5', 'G5']);
+            } finally {
+                voicingTemplates.unregister('wide');
+            }
+            expect(() => voicingTemplates.register('bad', { 3: [1, 1] })).toThrow('must order each upper tone');
+        });
+
+        test('should keep spelling when inverting', () => {
+            const fMinorFirst = new Chord('F4', 'minor', 'first', 'closed');
+            expect(fMinorFirst.getPitches().map(p => p.toString())).toEqual(['Ab4', 'C5', 'F5']);
+        });
+    });
+
+    describe('ChordIdentifier Class', () => {
+        let identifier;
+
+        beforeEach(() => {
+            identifier = new ChordIdentifier();
+        });
+
+        test('should rank the root-position reading of a triad first', () => {
+            const candidates = identifier.identify(['C', 'E', 'G']);
+
+            expect(candidates[0].symbol).toBe('C');
+            expect(candidates[0].confidence).toBe(1);
+            expect(candidates[0].explanation).toBe('C major, root position');
+            candidates.slice(1).forEach(candidate => expect(candidate.confidence).toBeLessThan(1));
+        });
+
+        test('should ignore duplicated notes and read the bass from octaves', () => {
+            const best = identifier.identifyBest(['E3', 'C4', 'G4', 'C5', 'E5']);
+
+            expect(best.symbol).toBe('C/E');
+            expect(best.explanation).toBe('C major, 1st inversion');
+        });
+
+        test('should allow an omitted 5th with lower confidence', () => {
+            const best = identifier.identifyBest(['E', 'C']);
+
+            expect(best.symbol).toBe('C/E');
+            expect(best.omitted).toEqual(['5th']);
+            expect(best.explanation).toBe('C major, 1st inversion, 5th omitted');
+            expect(best.confidence).toBeLessThan(1);
+        });
+
+        test('should not omit the altered 5th of diminished or augmented chords', () => {
+            expect(identifier.identify(['C', 'Eb']).some(c => c.chord.quality === 'diminished')).toBe(false);
+        });
+
+        test('should report extra notes', () => {
+            const candidate = identifier.identify(['C', 'E', 'G', 'D']).find(c => c.symbol === 'C');
+
+            expect(candidate.extraNotes).toEqual(['D']);
+            expect(candidate.explanation).toBe('C major, root position, extra D');
+        });
+
+        test('should name slash chords when the bass is not a chord tone', () => {
+            const best = identifier.identifyBest(['D', 'C', 'E', 'G']);
+
+            expect(best.symbol).toBe('C/D');
+            expect(best.isSlash).toBe(true);
+            expect(best.chord.bass.note).toBe('D');
+        });
+
+        test('should separate the readings of a symmetric augmented triad', () => {
+            const candidates = identifier.identify(['C', 'E', 'G#'])
+                .filter(candidate => candidate.chord.quality === 'augmented');
+
+            expect(candidates.map(c => c.symbol)).toEqual(['Caug', 'Eaug/B#', 'G#aug/B#']);
+            expect(candidates[0].confidence).toBeGreaterThan(candidates[1].confidence);
+            expect(candidates[1].confidence).toBeGreaterThan(candidates[2].confidence);
+        });
+
+        test('should skip candidates whose tones cannot be spelled', () => {
+            expect(new Chord('Cb4', 'dim7').isSpellable()).toBe(false);
+            expect(new Chord('C4', 'dim7').isSpellable()).toBe(true);
+            expect(identifier.identifyBest(['Cb', 'Eb', 'Gb']).symbol).toBe('Cb');
+            expect(identifier.identify(['Cb', 'Eb', 'Gb']).some(c => c.chord.root.note === 'Cb' && c.chord.quality === 'dim7'))
+                .toBe(false);
+        });
     });
 
     describe('ChordTheory Class', () => {
@@ -121,6 +402,28 @@ describe('Core Music Theory (Instrument-Agnostic)', () => {
             expect(randomChord.voicing).toBe('closed');
         });
 
+        test('should replay the same random chords from the same seed', () => {
+            const generate = theory => Array.from({ length: 10 }, () => theory.generateRandomChord().getStandardName());
+            const first = generate(new ChordTheory(new SeededRandom(42)));
+            const replay = generate(new ChordTheory(new SeededRandom(42)));
+            const other = generate(new ChordTheory(new SeededRandom(43)));
+
+            expect(replay).toEqual(first);
+            expect(other).not.toEqual(first);
+        });
+
+        test('should reseed and accept any injected random source', () => {
+            const seed = chordTheory.setSeed(7);
+            const chord = chordTheory.generateRandomChord().getStandardName();
+
+            expect(seed).toBe(7);
+            chordTheory.random.reset();
+            expect(chordTheory.generateRandomChord().getStandardName()).toBe(chord);
+
+            const fixed = new ChordTheory({ next: () => 0 });
+            expect(fixed.generateRandomChord().getStandardName()).toBe('C_major_root_closed');
+        });
+
         test('should validate chord progressions', () => {
             const progression = [
                 'C_major_root_closed',
@@ -142,6 +445,84 @@ describe('Core Music Theory (Instrument-Agnostic)', () => {
             expect(variations.some(c => c.voicing === 'open')).toBe(true);
         });
 
+        test('should parse chord symbols', () => {
+            const bbMinor = chordTheory.parseChordName('Bbm');
+            expect(bbMinor.root.note).toBe('Bb');
+            expect(bbMinor.quality).toBe('minor');
+
+            expect(chordTheory.parseChordName('F#dim').quality).toBe('diminished');
+            expect(chordTheory.parseChordName('Caug').quality).toBe('augmented');
+            expect(chordTheory.parseChordName('Gsus4').quality).toBe('sus4');
+            expect(chordTheory.parseChordName('Cmaj7').quality).toBe('maj7');
+            expect(chordTheory.parseChordName('CΔ7').quality).toBe('maj7');
+            expect(chordTheory.parseChordName('Bø7').quality).toBe('m7b5');
+            expect(() => chordTheory.parseChordName('Cfoo')).toThrow('Unknown chord symbol quality');
+        });
+
+        test('should map slash chord basses onto inversions', () => {
+            const cOverE = chordTheory.parseChordName('C/E');
+            expect(cOverE.inversion).toBe('first');
+            expect(cOverE.getPitches()[0].note).toBe('E');
+
+            expect(chordTheory.parseChordName('G7/F').inversion).toBe('third');
+            expect(chordTheory.parseChordName('Bbm/Db').inversion).toBe('first');
+        });
+
+        test('should keep a non-chord-tone slash bass below the chord', () => {
+            const aMinorOverG = chordTheory.parseChordName('Am/G');
+
+            expect(aMinorOverG.inversion).toBe('root');
+            expect(aMinorOverG.getPitches().map(p => p.toString())).toEqual(['G4', 'A4', 'C5', 'E5']);
+        });
+
+        test('should round-trip chords through their symbols', () => {
+            const chords = [
+                new Chord('Bb4', 'minor'),
+                new Chord('C4', 'major', 'first'),
+                new Chord('F#4', 'diminished', 'second'),
+                new Chord('G4', '7', 'third'),
+                chordTheory.parseChordName('Am/G')
+            ];
+
+            expect(chords.map(chord => chord.getSymbol())).toEqual(['Bbm', 'C/E', 'F#dim/C', 'G7/F', 'Am/G']);
+            chords.forEach(chord => {
+                const parsed = chordTheory.parseChordSymbol(chordTheory.formatChordSymbol(chord));
+                expect(parsed.getSymbol()).toBe(chord.getSymbol());
+                expect(parsed.inversion).toBe(chord.inversion);
+            });
+        });
+
+        test('should enumerate triad variations without duplicate pitch sets', () => {
+            const variations = chordTheory.getAllChordVariations('C', 'major');
+            const pitchSets = variations.map(c => c.getPitches().map(p => p.toString()).join(','));
+
+            expect(variations).toHaveLength(6); // 3 inversions × closed and open
+            expect(new Set(pitchSets).size).toBe(pitchSets.length);
+        });
+
+        test('should list third inversions among four-note chord variations', () => {
+            const variations = chordTheory.getAllChordVariations('G', '7');
+
+            expect(variations).toHaveLength(12); // 4 inversions × closed, drop-2 and drop-3
+            expect(variations.some(c => c.voicing === 'drop3')).toBe(true);
+            expect(variations.some(c => c.inversion === 'third')).toBe(true);
+            expect(chordTheory.getAllChordVariations('C', 'major').some(c => c.inversion === 'third')).toBe(false);
+        });
+
+        test('should identify seventh chords and their third inversion', () => {
+            const possibleChords = chordTheory.identifyChordFromNotes(['F', 'G', 'B', 'D']);
+            const dominant = possibleChords.find(chord => chord.quality === '7');
+
+            expect(dominant.root.note).toBe('G');
+            expect(dominant.inversion).toBe('third');
+        });
+
+        test('should identify chords rooted on Cb and Fb', () => {
+            expect(chordTheory.identifyChordFromNotes(['Cb', 'Eb', 'Gb'])[0].getSymbol()).toBe('Cb');
+            expect(chordTheory.identifyChordFromNotes(['Fb', 'Ab', 'Cb'])[0].getSymbol()).toBe('Fb');
+            expect(chordTheory.identifyChordFromNotes(['Ab', 'Cb', 'Fb'])[0].getSymbol()).toBe('Fb/Ab');
+        });
+
         test('should identify chord from note collection', () => {
             const notes = ['C', 'E', 'G'];
             const possibleChords = chordTheory.identifyChordFromNotes(notes);
@@ -152,4 +533,4 @@ describe('Core Music Theory (Instrument-Agnostic)', () => {
             )).toBe(true);
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,183 @@
+// Keys and Scales Module - Instrument-Agnostic
+// Scales, modes, key signatures and diatonic harmony built on the core theory classes
+
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { Pitch, Interval, Chord } = isCommonJS ? require('./music-theory-core.js') : window.MusicTheoryCore;
+
+// Scale patterns as named intervals above the tonic
+const SCALE_PATTERNS = {
+    'major': ['P1', 'M2', 'M3', 'P4', 'P5', 'M6', 'M7'],
+    'minor': ['P1', 'M2', 'm3', 'P4', 'P5', 'm6', 'm7'],          // Natural minor
+    'harmonicMinor': ['P1', 'M2', 'm3', 'P4', 'P5', 'm6', 'M7'],
+    'melodicMinor': ['P1', 'M2', 'm3', 'P4', 'P5', 'M6', 'M7'],   // Ascending form
+    'ionian': ['P1', 'M2', 'M3', 'P4', 'P5', 'M6', 'M7'],
+    'dorian': ['P1', 'M2', 'm3', 'P4', 'P5', 'M6', 'm7'],
+    'phrygian': ['P1', 'm2', 'm3', 'P4', 'P5', 'm6', 'm7'],
+    'lydian': ['P1', 'M2', 'M3', 'A4', 'P5', 'M6', 'M7'],
+    'mixolydian': ['P1', 'M2', 'M3', 'P4', 'P5', 'M6', 'm7'],
+    'aeolian': ['P1', 'M2', 'm3', 'P4', 'P5', 'm6', 'm7'],
+    'locrian': ['P1', 'm2', 'm3', 'P4', 'd5', 'm6', 'm7']
+};
+
+// Altered minor forms take their key signature from the natural minor
+const SIGNATURE_SCALES = { 'harmonicMinor': 'minor', 'melodicMinor': 'minor' };
+
+const ORDER_OF_SHARPS = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const ORDER_OF_FLATS = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Triad quality from the semitones of its 3rd and 5th above the root
+const TRIAD_QUALITIES = {
+    '4,7': 'major',
+    '3,7': 'minor',
+    '3,6': 'diminished',
+    '4,8': 'augmented'
+};
+
+class Scale {
+    constructor(tonic, type = 'major') {
+        if (!SCALE_PATTERNS[type]) {
+            throw new Error(`Unknown scale type: ${type}`);
+        }
+
+        this.tonic = new Pitch(tonic + '4');
+        this.type = type;
+        this.intervals = SCALE_PATTERNS[type].map(name => new Interval(name));
+    }
+
+    static getTypes() {
+        return Object.keys(SCALE_PATTERNS);
+    }
+
+    // Scale pitches ascending from the tonic in the given octave
+    getPitches(octave = 4) {
+        const tonic = new Pitch(this.tonic.note + octave);
+        return this.intervals.map(interval => tonic.addInterval(interval));
+    }
+
+    // Spelled note names without octave (e.g., F major gives Bb, not A#)
+    getNotes() {
+        return this.getPitches().map(pitch => pitch.note);
+    }
+
+    // Scale degree (1-7) of a note, matching enharmonic spellings; -1 if not in the scale
+    getDegree(noteName) {
+        const pitchClass = Scale.pitchClass(noteName);
+        const index = this.getPitches().findIndex(pitch => Scale.pitchClass(pitch.note) === pitchClass);
+        return index === -1 ? -1 : index + 1;
+    }
+
+    contains(noteName) {
+        return this.getDegree(noteName) !== -1;
+    }
+
+    static pitchClass(noteName) {
+        return new Pitch(noteName.replace(/\d+$/, '') + '4').semitoneValue % 12;
+    }
+}
+
+class Key extends Scale {
+    constructor(tonic, mode = 'major') {
+        super(tonic, mode);
+        this.mode = mode;
+    }
+
+    getName() {
+        return `${this.tonic.note} ${this.mode}`;
+    }
+
+    // Key signature as the accidentals written at the start of the staff, in conventional order
+    getKeySignature() {
+        const signatureScale = new Scale(this.tonic.note, SIGNATURE_SCALES[this.mode] || this.mode);
+        const altered = signatureScale.getPitches().filter(pitch => pitch.alteration !== 0);
+
+        if (altered.length === 0) {
+            return { type: 'none', count: 0, accidentals: [] };
+        }
+
+        const type = altered[0].alteration > 0 ? 'sharps' : 'flats';
+        const order = type === 'sharps' ? ORDER_OF_SHARPS : ORDER_OF_FLATS;
+        const accidentals = altered
+            .sort((a, b) => order.indexOf(a.noteLetter) - order.indexOf(b.noteLetter))
+            .map(pitch => pitch.note);
+        const count = altered.reduce((total, pitch) => total + Math.abs(pitch.alteration), 0);
+
+        return { type, count, accidentals };
+    }
+
+    // Triads built on each scale degree with their Roman numerals (I, ii, iii°, III+)
+    getDiatonicTriads() {
+        const pitches = [...this.getPitches(4), ...this.getPitches(5)];
+
+        return this.getPitches(4).map((root, index) => {
+            const third = pitches[index + 2];
+            const fifth = pitches[index + 4];
+            const key = `${third.semitoneValue - root.semitoneValue},${fifth.semitoneValue - root.semitoneValue}`;
+            const quality = TRIAD_QUALITIES[key];
+
+            return {
+                degree: index + 1,
+                numeral: Key.formatNumeral(index + 1, quality),
+                quality: quality,
+                chord: new Chord(root.note + '4', quality)
+            };
+        });
+    }
+
+    static formatNumeral(degree, quality) {
+        const numeral = ROMAN_NUMERALS[degree - 1];
+
+        switch (quality) {
+            case 'minor':
+                return numeral.toLowerCase();
+            case 'diminished':
+                return numeral.toLowerCase() + '°';
+            case 'augmented':
+                return numeral + '+';
+            default:
+                return numeral;
+        }
+    }
+
+    // Degree and numeral of a chord in this key, or null when the chord is not diatonic
+    getChordDegree(chord) {
+        const rootClass = Scale.pitchClass(chord.root.note);
+        const triad = this.getDiatonicTriads().find(candidate =>
+            Scale.pitchClass(candidate.chord.root.note) === rootClass &&
+            candidate.quality === chord.quality
+        );
+
+        return triad ? { degree: triad.degree, numeral: triad.numeral } : null;
+    }
+
+    getRomanNumeral(chord) {
+        const degree = this.getChordDegree(chord);
+        return degree ? degree.numeral : null;
+    }
+
+    // Chord on a degree, given as a number (1-7) or a Roman numeral ('ii', 'V', 'vii°')
+    getChordForDegree(degreeOrNumeral, inversion = 'root', voicing = 'closed') {
+        const triads = this.getDiatonicTriads();
+        const triad = typeof degreeOrNumeral === 'number'
+            ? triads[degreeOrNumeral - 1]
+            : triads.find(candidate => candidate.numeral === degreeOrNumeral);
+
+        if (!triad) {
+            throw new Error(`Invalid degree for ${this.getName()}: ${degreeOrNumeral}`);
+        }
+        return new Chord(triad.chord.root.note + '4', triad.quality, inversion, voicing);
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Scale, Key, SCALE_PATTERNS };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.MusicTheoryKeys = { Scale, Key, SCALE_PATTERNS };
+}
+})();
@@ -0,0 +1,81 @@
+// Tests for keys, scales and diatonic harmony
+const { Chord, ChordTheory } = require('./music-theory-core.js');
+const { Scale, Key } = require('./music-theory-keys.js');
+
+describe('Keys and Scales', () => {
+    describe('Scale Class', () => {
+        test('should spell major and minor scales by letter', () => {
+            expect(new Scale('F', 'major').getNotes()).toEqual(['F', 'G', 'A', 'Bb', 'C', 'D', 'E']);
+            expect(new Scale('A', 'minor').getNotes()).toEqual(['A', 'B', 'C', 'D', 'E', 'F', 'G']);
+            expect(new Scale('A', 'harmonicMinor').getNotes()).toEqual(['A', 'B', 'C', 'D', 'E', 'F', 'G#']);
+            expect(new Scale('A', 'melodicMinor').getNotes()).toEqual(['A', 'B', 'C', 'D', 'E', 'F#', 'G#']);
+        });
+
+        test('should support the modes', () => {
+            expect(new Scale('D', 'dorian').getNotes()).toEqual(['D', 'E', 'F', 'G', 'A', 'B', 'C']);
+            expect(new Scale('F', 'lydian').getNotes()).toEqual(['F', 'G', 'A', 'B', 'C', 'D', 'E']);
+            expect(new Scale('B', 'locrian').getNotes()).toEqual(['B', 'C', 'D', 'E', 'F', 'G', 'A']);
+            expect(Scale.getTypes()).toContain('mixolydian');
+        });
+
+        test('should find scale degrees including enharmonic spellings', () => {
+            const fMajor = new Scale('F', 'major');
+
+            expect(fMajor.getDegree('Bb')).toBe(4);
+            expect(fMajor.getDegree('A#')).toBe(4);
+            expect(fMajor.contains('B')).toBe(false);
+        });
+
+        test('should reject unknown scale types', () => {
+            expect(() => new Scale('C', 'bebop')).toThrow('Unknown scale type');
+        });
+    });
+
+    describe('Key Class', () => {
+        test('should give key signatures in conventional order', () => {
+            expect(new Key('C').getKeySignature()).toEqual({ type: 'none', count: 0, accidentals: [] });
+            expect(new Key('D').getKeySignature()).toEqual({ type: 'sharps', count: 2, accidentals: ['F#', 'C#'] });
+            expect(new Key('Eb').getKeySignature()).toEqual({ type: 'flats', count: 3, accidentals: ['Bb', 'Eb', 'Ab'] });
+            expect(new Key('C', 'minor').getKeySignature().accidentals).toEqual(['Bb', 'Eb', 'Ab']);
+            expect(new Key('A', 'harmonicMinor').getKeySignature().count).toBe(0);
+            expect(new Key('E', 'dorian').getKeySignature().accidentals).toEqual(['F#', 'C#']);
+        });
+
+        test('should list diatonic triads with Roman numerals', () => {
+            const cMajor = new Key('C', 'major');
+            const triads = cMajor.getDiatonicTriads();
+
+            expect(triads.map(t => t.numeral)).toEqual(['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°']);
+            expect(triads.map(t => t.chord.getSymbol())).toEqual(['C', 'Dm', 'Em', 'F', 'G', 'Am', 'Bdim']);
+        });
+
+        test('should mark augmented triads in harmonic minor', () => {
+            const triads = new Key('A', 'harmonicMinor').getDiatonicTriads();
+
+            expect(triads.map(t => t.numeral)).toEqual(['i', 'ii°', 'III+', 'iv', 'V', 'VI', 'vii°']);
+            expect(triads[2].chord.getChordTones()).toEqual(['C', 'E', 'G#']);
+        });
+
+        test('should convert between chords and degrees', () => {
+            const gMajor = new Key('G');
+
+            expect(gMajor.getChordDegree(new Chord('E4', 'minor'))).toEqual({ degree: 6, numeral: 'vi' });
+            expect(gMajor.getRomanNumeral(new Chord('F#4', 'diminished', 'first'))).toBe('vii°');
+            expect(gMajor.getRomanNumeral(new Chord('F4', 'major'))).toBeNull();
+            expect(gMajor.getChordForDegree('V').getSymbol()).toBe('D');
+            expect(gMajor.getChordForDegree(2, 'first').getSymbol()).toBe('Am/C');
+            expect(() => gMajor.getChordForDegree('VII')).toThrow('Invalid degree');
+        });
+
+        test('should restrict random chords to a key', () => {
+            const chordTheory = new ChordTheory();
+            const fMajor = new Key('F');
+
+            for (let i = 0; i < 20; i++) {
+                const chord = chordTheory.generateRandomChord({ key: fMajor, qualities: ['major', 'minor'] });
+                expect(fMajor.getRomanNumeral(chord)).not.toBeNull();
+                expect(['major', 'minor']).toContain(chord.quality);
+            }
+        });
+    });
+});
@@ -1,6 +1,15 @@
 // Music Theory Module - Comprehensive implementation
 // Following TDD principles with full chord theory support
 
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { SeededRandom } = isCommonJS ? require('./seeded-random.js') : window.SeededRandom;
+const { ChordTheory, chordQualities, voicingTemplates } = isCommonJS ? require('./music-theory-core.js') : window.MusicTheoryCore;
+const { GuitarFretboard, GuitarPositionMapper: FretboardMapper, TUNING_PRESETS, INSTRUMENTS } = isCommonJS ? require('./guitar-fretboard.js') : window.GuitarFretboard;
+const { PlayabilityScorer } = isCommonJS ? require('./guitar-playability.js') : window.GuitarPlayability;
+const { ChordShape } = isCommonJS ? require('./chord-shape.js') : window.ChordShapes;
+const { MappingFormatter } = isCommonJS ? require('./mapping-formats.js') : window.MappingFormats;
+
 class Pitch {
     constructor(notation) {
         this.parseNotation(notation);
@@ -68,25 +77,31 @@ class Pitch {
     }
 }
 
+// Inversion names in order of which chord tone sits in the bass
+const INVERSIONS = ['root', 'first', 'second', 'third'];
+
+// Note names this module's Pitch can read
+const READABLE_NOTE = /^([A-G]|[ACDFG]#|[ABDEG]b)$/;
+
 class Chord {
-    constructor(root, quality, inversion = 'root', voicing = 'closed') {
+    constructor(root, quality, inversion = 'root', voicing = 'closed', bass = null) {
         this.root = typeof root === 'string' ? new Pitch(root) : root;
         this.quality = quality;
         this.inversion = inversion;
         this.voicing = voicing;
+        // Optional non-chord-tone bass note from a slash chord (e.g., G in Am/G)
+        this.bass = typeof bass === 'string' ? new Pitch(bass) : bass;
         this.intervals = this.getIntervals();
     }
 
-    getIntervals() {
-        // Define intervals for each chord quality (in semitones from root)
-        const intervals = {
-            'major': [0, 4, 7],        // Root, Major 3rd, Perfect 5th
-            'minor': [0, 3, 7],        // Root, Minor 3rd, Perfect 5th
-            'diminished': [0, 3, 6],   // Root, Minor 3rd, Diminished 5th
-            'augmented': [0, 4, 8]     // Root, Major 3rd, Augmented 5th
-        };
+    // Intervals above the root from the core chord quality registry; an unknown quality reads as major
+    getToneIntervals() {
+        return chordQualities.get(chordQualities.has(this.quality) ? this.quality : 'major').intervals;
+    }
 
-        return intervals[this.quality] || intervals['major'];
+    getIntervals() {
+        // Semitones from root for each chord tone
+        return this.getToneIntervals().map(interval => interval.semitones);
     }
 
     getPitches() {
@@ -94,37 +109,38 @@ class Chord {
             this.root.addSemitones(interval)
         );
 
-        // Apply inversion
-        switch (this.inversion) {
-            case 'first':
-                // Third becomes bass note
-                pitches = [
-                    pitches[1], // Third
-                    pitches[2], // Fifth
-                    pitches[0].addSemitones(12) // Root up octave
-                ];
-                break;
-            case 'second':
-                // Fifth becomes bass note
-                pitches = [
-                    pitches[2], // Fifth
-                    pitches[0].addSemitones(12), // Root up octave
-                    pitches[1].addSemitones(12)  // Third up octave
-                ];
-                break;
-            // 'root' case - no change needed
-        }
-
-        // Apply voicing
-        if (this.voicing === 'open') {
-            // Spread chord tones across wider range
+        // Apply inversion: rotate the chosen tone into the bass, raising the tones below it an octave
+        const inversionIndex = INVERSIONS.indexOf(this.inversion);
+        if (inversionIndex > 0) {
             pitches = [
-                pitches[0], // Keep bass note
-                pitches[2], // Move fifth to middle
-                pitches[1].addSemitones(12) // Third up octave
+                ...pitches.slice(inversionIndex),
+                ...pitches.slice(0, inversionIndex).map(pitch => pitch.addSemitones(12))
             ];
         }
 
+        // Apply voicing: keep the bass and restack the upper tones in the core template's order
+        if (this.voicing !== 'closed') {
+            const { upperOrder } = voicingTemplates.getArrangement(this.voicing, pitches.length);
+            const closePitches = pitches;
+            pitches = [closePitches[0]];
+            upperOrder.forEach(toneIndex => {
+                let pitch = closePitches[toneIndex];
+                while (pitch.semitoneValue <= pitches[pitches.length - 1].semitoneValue) {
+                    pitch = pitch.addSemitones(12);
+                }
+                pitches.push(pitch);
+            });
+        }
+
+        // Place a slash-chord bass note below the chord
+        if (this.bass) {
+            let bassPitch = this.bass;
+            while (bassPitch.semitoneValue >= pitches[0].semitoneValue) {
+                bassPitch = bassPitch.addSemitones(-12);
+            }
+            pitches = [bassPitch, ...pitches];
+        }
+
         return pitches;
     }
 
@@ -132,6 +148,37 @@ class Chord {
         return `${this.root.note}_${this.quality}_${this.inversion}_${this.voicing}`;
     }
 
+    // Lead-sheet symbol, e.g. "Bbm", "C/E", "Am/G", "Gsus4"
+    getSymbol() {
+        const symbol = this.root.note + chordQualities.get(chordQualities.has(this.quality) ? this.quality : 'major').symbol;
+        const bassToneIndex = INVERSIONS.indexOf(this.inversion);
+
+        if (this.bass) {
+            return `${symbol}/${this.bass.note}`;
+        }
+        if (bassToneIndex > 0) {
+            return `${symbol}/${this.getSpelledChordTones()[bassToneIndex]}`;
+        }
+        return symbol;
+    }
+
+    // Chord tones spelled on the letters of their intervals (Bb minor: Bb, Db, F; G sus4: G, C, D); a tone that
+    // would need an accidental this module cannot read, such as E# or a double flat, keeps its sharp name
+    getSpelledChordTones() {
+        const letters = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+        const rootLetterIndex = letters.indexOf(this.root.noteLetter);
+        const fallback = this.getChordTones();
+
+        return this.getToneIntervals().map((interval, index) => {
+            const letter = letters[(rootLetterIndex + interval.getLetterSteps()) % 7];
+            const target = (this.root.semitoneValue + interval.semitones) % 12;
+            const spelled = ['', '#', 'b']
+                .map(accidental => letter + accidental)
+                .find(name => READABLE_NOTE.test(name) && new Pitch(`${name}4`).semitoneValue % 12 === target);
+            return spelled || fallback[index];
+        });
+    }
+
     // Get all chord tones (without octave consideration)
     getChordTones() {
         return this.intervals.map(interval => {
@@ -142,11 +189,29 @@ class Chord {
 }
 
 class ChordDatabase {
-    constructor() {
-        this.guitarTuning = ['E4', 'B3', 'G3', 'D3', 'A2', 'E2']; // Standard tuning (high to low E)
+    constructor(tuning = 'standard') {
+        this.setTuning(tuning);
         this.initializeDatabase();
     }
 
+    // Preset name or an array of open-string pitches (high to low) for any number of strings
+    setTuning(tuning) {
+        let strings = tuning;
+        if (typeof tuning === 'string') {
+            if (!TUNING_PRESETS[tuning]) {
+                throw new Error(`Unknown tuning: ${tuning}`);
+            }
+            strings = TUNING_PRESETS[tuning].strings;
+        }
+        if (!Array.isArray(strings) || strings.length === 0) {
+            throw new Error('A tuning needs at least one open-string pitch');
+        }
+
+        strings.forEach(pitch => new Pitch(pitch)); // Validate before switching
+        this.guitarTuning = [...strings];
+        this.isStandardTuning = TUNING_PRESETS.standard.strings.every((open, index) => open === strings[index]);
+    }
+
     initializeDatabase() {
         // Common chord patterns on guitar fretboard
         this.commonChordPatterns = {
@@ -178,21 +243,22 @@ class ChordDatabase {
     // Convert fret position to pitch
     fretToPitch(stringIndex, fret) {
         // Validate inputs
-        if (stringIndex < 0 || stringIndex >= 6) {
-            throw new Error(`Invalid string index: ${stringIndex}. Must be 0-5.`);
+        if (stringIndex < 0 || stringIndex >= this.guitarTuning.length) {
+            throw new Error(`Invalid string index: ${stringIndex}. Must be 0-${this.guitarTuning.length - 1}.`);
         }
         if (fret < 0 || fret > 25) {
             throw new Error(`Invalid fret number: ${fret}. Must be 0-25.`);
         }
         
+        // Open strings keep the tuning's spelling (Eb standard stays Eb, not D#)
         const openString = new Pitch(this.guitarTuning[stringIndex]);
-        return openString.addSemitones(fret);
+        return fret === 0 ? openString : openString.addSemitones(fret);
     }
 
-    // Identify chord from fretboard positions
+    // Identify chord from fretboard positions: {string, fret} objects, a ChordShape or a chart string such as 'x32010'
     identifyChord(fretPositions) {
         // Extract pitches from fret positions
-        const pitches = fretPositions.map(pos => 
+        const pitches = ChordShape.from(fretPositions, this.guitarTuning.length).toPositions().map(pos =>
             this.fretToPitch(pos.string, pos.fret)
         );
 
@@ -267,7 +333,7 @@ class ChordDatabase {
         
         // Check if we have a predefined pattern
         const standardName = chord.getStandardName();
-        if (this.commonChordPatterns[standardName]) {
+        if (this.isStandardTuning && this.commonChordPatterns[standardName]) {
             positions.push({
                 name: standardName,
                 positions: this.commonChordPatterns[standardName],
@@ -283,11 +349,15 @@ class ChordDatabase {
 
     generateChordPositions(chord, positions) {
         const chordPitches = chord.getPitches();
+        const toShape = pattern => ChordShape.fromPositions(pattern, this.guitarTuning.length).toString();
+        const shapes = new Set(positions.map(voicing => toShape(voicing.positions)));
         
-        // Try to find the chord across different fret positions
+        // Try to find the chord across different fret positions; neighbouring base frets often find the same shape
         for (let baseFret = 0; baseFret <= 12; baseFret++) {
             const pattern = this.findChordPattern(chordPitches, baseFret);
-            if (pattern && pattern.length >= 3) {
+            const shape = pattern && pattern.length >= 3 ? toShape(pattern) : null;
+            if (shape && !shapes.has(shape)) {
+                shapes.add(shape);
                 const difficulty = this.calculateDifficulty(pattern);
                 positions.push({
                     name: `${chord.getStandardName()}_fret_${baseFret}`,
@@ -303,7 +373,7 @@ class ChordDatabase {
         const usedStrings = new Set();
 
         for (const pitch of chordPitches) {
-            for (let string = 0; string < 6; string++) {
+            for (let string = 0; string < this.guitarTuning.length; string++) {
                 if (usedStrings.has(string)) continue;
 
                 const openStringPitch = new Pitch(this.guitarTuning[string]);
@@ -348,13 +418,25 @@ class ChordDatabase {
 }
 
 class MusicTheory {
-    constructor() {
+    constructor(random = null) {
         this.chordDatabase = new ChordDatabase();
+        this.chordTheory = new ChordTheory();
+        this.random = random || new SeededRandom();
     }
 
-    parseChordName(standardName) {
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        return this.random.seed;
+    }
+
+    parseChordName(name) {
+        // Accept both the standard name ("C_major_root_closed") and chord symbols ("Am/G")
+        if (!name.includes('_')) {
+            return this.parseChordSymbol(name);
+        }
+
         // Parse standard chord name: "C_major_root_closed"
-        const parts = standardName.split('_');
+        const parts = name.split('_');
         if (parts.length !== 4) {
             throw new Error('Invalid standard chord name format');
         }
@@ -363,6 +445,27 @@ class MusicTheory {
         return new Chord(root + '4', quality, inversion, voicing);
     }
 
+    // Parse a chord symbol with the core parser and its quality registry; a slash bass that is a chord tone
+    // becomes an inversion
+    parseChordSymbol(symbol, voicing = 'closed') {
+        const chord = this.chordTheory.parseChordSymbol(symbol, voicing);
+        return new Chord(
+            this.toPitch(chord.root),
+            chord.quality,
+            chord.inversion,
+            chord.voicing,
+            chord.bass ? this.toPitch(chord.bass) : null
+        );
+    }
+
+    // This module's Pitch for a core pitch; spellings it cannot read (Cb, E#, double accidentals) become sharps
+    toPitch(corePitch) {
+        if (READABLE_NOTE.test(corePitch.note)) {
+            return new Pitch(corePitch.toString());
+        }
+        return new Pitch('C0').addSemitones(corePitch.semitoneValue - new Pitch('C0').semitoneValue);
+    }
+
     identifyChordFromFretboard(positions) {
         return this.chordDatabase.identifyChord(positions);
     }
@@ -379,14 +482,18 @@ class MusicTheory {
             voicings = ['closed', 'open']
         } = constraints;
 
-        const randomRoot = roots[Math.floor(Math.random() * roots.length)];
-        const randomQuality = qualities[Math.floor(Math.random() * qualities.length)];
-        const randomInversion = inversions[Math.floor(Math.random() * inversions.length)];
-        const randomVoicing = voicings[Math.floor(Math.random() * voicings.length)];
+        const randomRoot = this.pickRandom(roots);
+        const randomQuality = this.pickRandom(qualities);
+        const randomInversion = this.pickRandom(inversions);
+        const randomVoicing = this.pickRandom(voicings);
 
         return new Chord(randomRoot + '4', randomQuality, randomInversion, randomVoicing);
     }
 
+    pickRandom(items) {
+        return items[Math.floor(this.random.next() * items.length)];
+    }
+
     validateProgression(chordNames) {
         // Basic validation - ensure all chords can be parsed
         try {
@@ -397,33 +504,43 @@ class MusicTheory {
         }
     }
 
-    getOptimalFingerings(chord) {
+    // Options: hand ('small', 'medium', 'large') and allowThumb
+    getOptimalFingerings(chord, options = {}) {
+        const scorer = new PlayabilityScorer({ stringCount: this.chordDatabase.guitarTuning.length, ...options });
         const positions = this.mapChordToFretboard(chord);
         
         return positions.map(pattern => {
             const frets = pattern.positions.map(p => p.fret).filter(f => f > 0);
             const fretSpan = frets.length > 0 ? Math.max(...frets) - Math.min(...frets) : 0;
+            const playability = scorer.score(pattern.positions);
             
             return {
                 ...pattern,
                 fretSpan: fretSpan,
-                difficulty: pattern.difficulty
+                difficulty: pattern.difficulty,
+                score: playability.score,
+                playability: playability
             };
-        }).sort((a, b) => a.fretSpan - b.fretSpan); // Sort by easiest fingering first
+        }).sort((a, b) => b.score - a.score || a.fretSpan - b.fretSpan); // Sort by easiest fingering first
     }
 }
 
 class GuitarPositionMapper {
-    constructor() {
-        this.chordDatabase = new ChordDatabase();
-        this.guitarTuning = ['E4', 'B3', 'G3', 'D3', 'A2', 'E2']; // Standard tuning (high to low E)
+    constructor(tuning = 'standard') {
+        this.chordDatabase = new ChordDatabase(tuning);
+        this.guitarTuning = this.chordDatabase.guitarTuning;
+    }
+
+    setTuning(tuning) {
+        this.chordDatabase.setTuning(tuning);
+        this.guitarTuning = this.chordDatabase.guitarTuning;
     }
 
     // Generate complete fretboard mapping with metadata
     generateCompleteMapping(maxFrets = 24) {
         const strings = [];
         
-        for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        for (let stringIndex = 0; stringIndex < this.guitarTuning.length; stringIndex++) {
             const stringData = {
                 stringNumber: stringIndex + 1,
                 openNote: this.guitarTuning[stringIndex],
@@ -458,7 +575,7 @@ class GuitarPositionMapper {
         const positions = [];
         const targetPitch = new Pitch(noteName);
         
-        for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        for (let stringIndex = 0; stringIndex < this.guitarTuning.length; stringIndex++) {
             for (let fret = 0; fret <= maxFrets; fret++) {
                 const pitch = this.chordDatabase.fretToPitch(stringIndex, fret);
                 
@@ -476,102 +593,55 @@ class GuitarPositionMapper {
         return positions;
     }
 
-    // Generate mapping table in specified format
+    // Generate mapping table in a text, markdown, csv, json or html format
     generateMappingTable(options = {}) {
-        const {
-            format = 'text',
-            maxFrets = 12,
-            includeEnharmonics = false,
-            includeMIDI = false
-        } = options;
-        
-        let table = '';
-        
-        // Header
-        table += 'Guitar Fretboard Position to SPN Mapping\n';
-        table += '=' .repeat(50) + '\n';
-        table += `Generated: ${new Date().toLocaleString()}\n`;
-        table += `Tuning: ${this.guitarTuning.join(' - ')}\n`;
-        table += `Fret Range: 0-${maxFrets}\n\n`;
-        
-        // String-by-string mapping
-        for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
-            const stringNumber = stringIndex + 1;
-            const stringName = this.getStringName(stringIndex);
-            
-            table += `String ${stringNumber} (${stringName}):\n`;
-            table += '-'.repeat(30) + '\n';
-            
-            for (let fret = 0; fret <= maxFrets; fret++) {
-                const pitch = this.chordDatabase.fretToPitch(stringIndex, fret);
-                let line = `  String-${stringNumber}-Fret-${fret}: ${pitch.toString()}`;
-                
-                if (includeMIDI) {
-                    line += ` (MIDI: ${pitch.semitoneValue})`;
-                }
-                
-                if (includeEnharmonics) {
-                    const enharmonics = pitch.getEnharmonicEquivalents();
-                    if (enharmonics.length > 0) {
-                        line += ` [${enharmonics.join(', ')}]`;
-                    }
-                }
-                
-                table += line + '\n';
-            }
-            
-            table += '\n';
+        const { format = 'text' } = options;
+        return new MappingFormatter().format(this.buildMappingSheet(options), format);
+    }
+
+    // Mapping sheet for MappingFormatter, built by the guitar-fretboard.js mapper for this tuning; it takes the
+    // same layer, fret range, spelling, key and column options
+    buildMappingSheet(options = {}) {
+        return this.getFretboardMapper().buildMappingSheet(options);
+    }
+
+    // The instrument with this tuning as a preset, or else the first with as many strings (guitar first)
+    getFretboardMapper() {
+        const stringCount = this.guitarTuning.length;
+        const instruments = Object.keys(INSTRUMENTS);
+        const instrument = instruments.find(key => Object.values(INSTRUMENTS[key].tunings).some(preset =>
+            preset.strings.length === stringCount && preset.strings.every((open, index) => open === this.guitarTuning[index])
+        )) || instruments.find(key => Object.values(INSTRUMENTS[key].tunings)[0].strings.length === stringCount);
+
+        if (!instrument) {
+            throw new Error(`No instrument has ${stringCount} strings`);
         }
-        
-        // Add reference notes section
-        table += 'REFERENCE NOTES:\n';
-        table += '-'.repeat(20) + '\n';
-        table += `  A440 (Concert A): String-1-Fret-05 = A4\n`;
-        table += `  Middle C:         String-2-Fret-01 = C4\n`;
-        table += `  Low E (Open):     String-6-Fret-00 = E2\n`;
-        table += `  High E (Open):    String-1-Fret-00 = E4\n\n`;
-        
-        return table;
+        return new FretboardMapper(new GuitarFretboard(this.guitarTuning, instrument));
     }
 
-    // Generate mapping file and save to disk
+    // Generate mapping file and save to disk, in the format named by its extension
     async generateMappingFile(outputPath, options = {}) {
         const fs = require('fs');
-        const {
-            maxFrets = 15,
-            includeEnharmonics = false,
-            includeMIDI = false
-        } = options;
-        
-        let tableContent = this.generateMappingTable({
-            maxFrets,
-            includeEnharmonics,
-            includeMIDI
-        });
-        
-        // For file output, use all-caps header
-        tableContent = tableContent.replace(
-            'Guitar Fretboard Position to SPN Mapping',
-            'GUITAR FRETBOARD POSITION TO SPN MAPPING'
-        );
+        const { format = MappingFormatter.getFormatForPath(outputPath), maxFrets = 15 } = options;
+        const sheet = this.buildMappingSheet({ ...options, maxFrets });
+
+        // Plain text files use an all-caps header
+        if (format === 'text') {
+            sheet.title = sheet.title.toUpperCase();
+        }
         
         // Write file synchronously for testing purposes
-        fs.writeFileSync(outputPath, tableContent, 'utf8');
-    }
-
-    // Helper method to get string name
-    getStringName(stringIndex) {
-        const names = ['High E', 'B', 'G', 'D', 'A', 'Low E'];
-        return names[stringIndex];
+        fs.writeFileSync(outputPath, new MappingFormatter().format(sheet, format), 'utf8');
     }
 }
 
 // Export for CommonJS (Node.js/Jest)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Pitch, Chord, ChordDatabase, MusicTheory, GuitarPositionMapper };
+    module.exports = { Pitch, Chord, ChordDatabase, MusicTheory, GuitarPositionMapper, SeededRandom, TUNING_PRESETS };
 }
 
 // Export for ES6 modules (browser)
 if (typeof window !== 'undefined') {
-    window.MusicTheory = { Pitch, Chord, ChordDatabase, MusicTheory, GuitarPositionMapper };
-}
\ No newline at end of file
+    window.MusicTheory = { Pitch, Chord, ChordDatabase, MusicTheory, GuitarPositionMapper, SeededRandom, TUNING_PRESETS };
+}
+})();
@@ -1,5 +1,9 @@
 const { Pitch, Chord, ChordTheory } = require('./music-theory-core.js');
 const { GuitarFretboard, GuitarChordDatabase } = require('./guitar-fretboard.js');
+const legacy = require('./music-theory.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Music Theory Module', () => {
     describe('Pitch Class', () => {
@@ -235,5 +239,114 @@ describe('Music Theory Module', () => {
             expect(patterns[0]).toHaveProperty('difficulty');
             // Note: fretSpan calculation would need to be added to GuitarChordDatabase if needed
         });
+
+        test('should rank fingerings by playability score', () => {
+            const guitarChordDb = new GuitarChordDatabase();
+            const fingerings = guitarChordDb.getOptimalFingerings(new Chord('C4', 'major'));
+
+            expect(fingerings[0].name).toBe('C_major_root_closed');
+            expect(fingerings[0].playability.fingering.map(note => note.finger)).toEqual([3, 2, null, 1, null]);
+            fingerings.slice(1).forEach((fingering, index) => {
+                expect(fingering.score).toBeLessThanOrEqual(fingerings[index].score);
+                expect(fingering).toHaveProperty('fretSpan');
+            });
+        });
+    });
+
+    describe('Legacy music-theory.js', () => {
+        test('should read a slash bass as the chord tone it names, whatever the voicing', () => {
+            const musicTheory = new legacy.MusicTheory();
+
+            expect(musicTheory.parseChordSymbol('C/E', 'open').inversion).toBe('first');
+            expect(musicTheory.parseChordSymbol('C/E', 'open').getSymbol()).toBe('C/E');
+            expect(musicTheory.parseChordSymbol('C/G', 'open').inversion).toBe('second');
+        });
+
+        test('should keep the spelled bass of a flat-key slash chord', () => {
+            const musicTheory = new legacy.MusicTheory();
+
+            expect(musicTheory.parseChordSymbol('Bbm/Db').getSymbol()).toBe('Bbm/Db');
+            expect(musicTheory.parseChordSymbol('Ab/C').getSymbol()).toBe('Ab/C');
+            expect(musicTheory.parseChordSymbol('F#/A#').getSymbol()).toBe('F#/A#');
+        });
+
+        test('should parse every quality in the core registry, sevenths and suspensions included', () => {
+            const musicTheory = new legacy.MusicTheory();
+            const sus = musicTheory.parseChordName('Gsus4');
+            const seventh = musicTheory.parseChordName('Cmaj7/E');
+
+            expect(sus.quality).toBe('sus4');
+            expect(sus.getSpelledChordTones()).toEqual(['G', 'C', 'D']);
+            expect(musicTheory.parseChordName('Cmaj7').getPitches().map(p => p.toString())).toEqual(['C4', 'E4', 'G4', 'B4']);
+            expect(seventh.inversion).toBe('first');
+            expect(seventh.getSymbol()).toBe('Cmaj7/E');
+            expect(() => musicTheory.parseChordName('Cwhat')).toThrow('Unknown chord symbol quality: what');
+        });
+
+        test('should identify chords from chord-chart strings', () => {
+            const musicTheory = new legacy.MusicTheory();
+
+            expect(musicTheory.identifyChordFromFretboard('x32010').map(chord => chord.getSymbol())).toEqual(['C']);
+            expect(musicTheory.identifyChordFromFretboard('x-x-10-9-8-x')[0].getSymbol()).toBe('C');
+            expect(() => musicTheory.identifyChordFromFretboard('x3201')).toThrow('expected 6');
+        });
+
+        test('should score each chord shape once', () => {
+            const musicTheory = new legacy.MusicTheory();
+            const fingerings = musicTheory.getOptimalFingerings(new legacy.Chord('C4', 'major'));
+            const shapes = fingerings.map(fingering => JSON.stringify(fingering.positions));
+
+            expect(new Set(shapes).size).toBe(shapes.length);
+            expect(fingerings).toHaveLength(4);
+            expect(fingerings[0].playability.fingering.length).toBeGreaterThan(0);
+        });
+
+        test('should write mapping tables in the requested format', () => {
+            const mapper = new legacy.GuitarPositionMapper();
+            const csv = mapper.generateMappingTable({ format: 'csv', maxFrets: 1, includeMIDI: true });
+            const data = JSON.parse(mapper.generateMappingTable({ format: 'json', maxFrets: 2 }));
+
+            expect(csv.split('\r\n')[0]).toBe('String,String Name,Fret,Position,Note,MIDI');
+            expect(csv).toContain('6,Low E,1,String-6-Fret-1,F2,41');
+            expect(data.strings[4].positions.map(position => position.note)).toEqual(['A2', 'A#2', 'B2']);
+            expect(() => mapper.generateMappingTable({ format: 'pdf' })).toThrow('Unknown mapping format: pdf');
+        });
+
+        test('should pass fret range, spelling, key and column options through to the sheet', () => {
+            const sheet = new legacy.GuitarPositionMapper('dropD').buildMappingSheet({
+                minFret: 2, maxFrets: 4, key: 'Bb', includeFrequency: true
+            });
+            const lowString = sheet.strings[5].positions;
+
+            expect([sheet.instrument, sheet.tuningName, sheet.key]).toEqual(['Guitar', 'dropD', 'Bb major']);
+            expect(sheet.fretRange).toEqual({ min: 2, max: 4 });
+            expect(lowString.map(position => `${position.note} ${position.interval}`)).toEqual(['E2 A4', 'F2 P5', 'Gb2 m6']);
+            expect(lowString[0].frequency).toBeCloseTo(82.41, 2);
+            expect(new legacy.GuitarPositionMapper().buildMappingSheet({ maxFrets: 1, spelling: 'flats' })
+                .strings[4].positions.map(position => position.note)).toEqual(['A2', 'Bb2']);
+            expect(new legacy.GuitarPositionMapper(['A4', 'E4', 'C4', 'G4']).buildMappingSheet().instrument).toBe('Ukulele');
+        });
+
+        test('should spell open strings as the tuning does', () => {
+            const mapper = new legacy.GuitarPositionMapper('ebStandard');
+            const openNotes = mapper.generateCompleteMapping(1).strings.map(string => string.positions[0].note);
+
+            expect(openNotes).toEqual(['Eb4', 'Bb3', 'Gb3', 'Db3', 'Ab2', 'Eb2']);
+            expect(mapper.findPositionsForNote('Eb2', 0)).toEqual([{ string: 5, fret: 0, note: 'Eb2' }]);
+            expect(mapper.buildMappingSheet({ maxFrets: 0 }).strings.map(string => string.name))
+                .toEqual(['High Eb', 'Bb', 'Gb', 'Db', 'Ab', 'Low Eb']);
+        });
+
+        test('should write mapping files in the format of their extension', async () => {
+            const mapper = new legacy.GuitarPositionMapper();
+            const outputPath = path.join(os.tmpdir(), `legacy-mapping-${process.pid}.md`);
+
+            await mapper.generateMappingFile(outputPath, { maxFrets: 2 });
+            const content = fs.readFileSync(outputPath, 'utf8');
+            fs.unlinkSync(outputPath);
+
+            expect(content.startsWith('# Guitar Fretboard Position to SPN Mapping\n')).toBe(true);
+            expect(content).toContain('| String-5-Fret-2 | 2 | B2 |');
+        });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,251 @@
+// Pitch-Class Set Module - Instrument-Agnostic
+// Normal form, prime form, Forte numbers and interval vectors for any collection of pitches
+
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { Pitch, ChordIdentifier } = isCommonJS ? require('./music-theory-core.js') : window.MusicTheoryCore;
+
+// Forte numbers of the 3-6 note set classes, keyed by Forte prime form
+const FORTE_NUMBERS = {
+    '012': '3-1', '013': '3-2', '014': '3-3', '015': '3-4', '016': '3-5', '024': '3-6',
+    '025': '3-7', '026': '3-8', '027': '3-9', '036': '3-10', '037': '3-11', '048': '3-12',
+
+    '0123': '4-1', '0124': '4-2', '0134': '4-3', '0125': '4-4', '0126': '4-5', '0127': '4-6',
+    '0145': '4-7', '0156': '4-8', '0167': '4-9', '0235': '4-10', '0135': '4-11', '0236': '4-12',
+    '0136': '4-13', '0237': '4-14', '0146': '4-Z15', '0157': '4-16', '0347': '4-17', '0147': '4-18',
+    '0148': '4-19', '0158': '4-20', '0246': '4-21', '0247': '4-22', '0257': '4-23', '0248': '4-24',
+    '0268': '4-25', '0358': '4-26', '0258': '4-27', '0369': '4-28', '0137': '4-Z29',
+
+    '01234': '5-1', '01235': '5-2', '01245': '5-3', '01236': '5-4', '01237': '5-5', '01256': '5-6',
+    '01267': '5-7', '02346': '5-8', '01246': '5-9', '01346': '5-10', '02347': '5-11', '01356': '5-Z12',
+    '01248': '5-13', '01257': '5-14', '01268': '5-15', '01347': '5-16', '01348': '5-Z17', '01457': '5-Z18',
+    '01367': '5-19', '01378': '5-20', '01458': '5-21', '01478': '5-22', '02357': '5-23', '01357': '5-24',
+    '02358': '5-25', '02458': '5-26', '01358': '5-27', '02368': '5-28', '01368': '5-29', '01468': '5-30',
+    '01369': '5-31', '01469': '5-32', '02468': '5-33', '02469': '5-34', '02479': '5-35', '01247': '5-Z36',
+    '03458': '5-Z37', '01258': '5-Z38',
+
+    '012345': '6-1', '012346': '6-2', '012356': '6-Z3', '012456': '6-Z4', '012367': '6-5', '012567': '6-Z6',
+    '012678': '6-7', '023457': '6-8', '012357': '6-9', '013457': '6-Z10', '012457': '6-Z11', '012467': '6-Z12',
+    '013467': '6-Z13', '013458': '6-14', '012458': '6-15', '014568': '6-16', '012478': '6-Z17', '012578': '6-18',
+    '013478': '6-Z19', '014589': '6-20', '023468': '6-21', '012468': '6-22', '023568': '6-Z23', '013468': '6-Z24',
+    '013568': '6-Z25', '013578': '6-Z26', '013469': '6-27', '013569': '6-Z28', '013689': '6-Z29', '013679': '6-30',
+    '013589': '6-31', '024579': '6-32', '023579': '6-33', '013579': '6-34', '02468T': '6-35', '012347': '6-Z36',
+    '012348': '6-Z37', '012378': '6-Z38', '023458': '6-Z39', '012358': '6-Z40', '012368': '6-Z41', '012369': '6-Z42',
+    '012568': '6-Z43', '012569': '6-Z44', '023469': '6-Z45', '012469': '6-Z46', '012479': '6-Z47', '012579': '6-Z48',
+    '013479': '6-Z49', '014679': '6-Z50'
+};
+
+// Familiar names for set classes that are not (or not only) tertian chords
+const SET_CLASS_NAMES = {
+    '3-1': 'chromatic trichord',
+    '3-5': 'Viennese trichord',
+    '3-6': 'whole-tone trichord',
+    '3-9': 'quartal trichord',
+    '4-1': 'chromatic tetrachord',
+    '4-9': 'double-tritone tetrachord',
+    '4-Z15': 'all-interval tetrachord',
+    '4-21': 'whole-tone tetrachord',
+    '4-23': 'quartal tetrachord',
+    '4-Z29': 'all-interval tetrachord',
+    '5-1': 'chromatic pentachord',
+    '5-33': 'whole-tone pentachord',
+    '5-35': 'pentatonic scale',
+    '6-1': 'chromatic hexachord',
+    '6-Z17': 'all-trichord hexachord',
+    '6-20': 'hexatonic scale',
+    '6-30': 'Petrushka chord',
+    '6-32': 'diatonic hexachord',
+    '6-35': 'whole-tone scale'
+};
+
+// Integers 10 and 11 are written T and E in set notation
+const PITCH_CLASS_DIGITS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'T', 'E'];
+
+class PitchClassSet {
+    // Accepts note names ('C', 'Eb4'), Pitch objects or pitch-class integers; duplicates collapse
+    constructor(pitches) {
+        const pitchClasses = pitches.map(pitch => PitchClassSet.toPitchClass(pitch));
+        // Spelled input is kept so tertian names can use its spelling and bass note
+        this.notes = pitches.some(pitch => typeof pitch === 'number') ? null : [...pitches];
+        this.pitchClasses = [...new Set(pitchClasses)].sort((a, b) => a - b);
+    }
+
+    static toPitchClass(pitch) {
+        if (typeof pitch === 'number') {
+            if (!Number.isInteger(pitch)) {
+                throw new Error(`Invalid pitch class: ${pitch}`);
+            }
+            return ((pitch % 12) + 12) % 12;
+        }
+
+        const parsed = typeof pitch === 'string'
+            ? new Pitch(/-?\d+$/.test(pitch) ? pitch : pitch + '4')
+            : pitch;
+        return ((parsed.semitoneValue % 12) + 12) % 12;
+    }
+
+    static format(pitchClasses) {
+        return pitchClasses.map(pitchClass => PITCH_CLASS_DIGITS[pitchClass]).join('');
+    }
+
+    get cardinality() {
+        return this.pitchClasses.length;
+    }
+
+    // Most compact rotation; ties go to the ordering packed most tightly to the left (Forte)
+    getNormalForm() {
+        if (this.cardinality === 0) {
+            return [];
+        }
+
+        const rotations = this.pitchClasses.map((_, start) =>
+            [...this.pitchClasses.slice(start), ...this.pitchClasses.slice(0, start).map(pc => pc + 12)]
+        );
+
+        const best = rotations.reduce((winner, rotation) => {
+            const span = ordering => ordering[ordering.length - 1] - ordering[0];
+            if (span(rotation) !== span(winner)) {
+                return span(rotation) < span(winner) ? rotation : winner;
+            }
+            return PitchClassSet.compareIntervals(rotation, winner) < 0 ? rotation : winner;
+        });
+
+        return best.map(pc => pc % 12);
+    }
+
+    // Normal form or its inversion, whichever is more compact, transposed to start on 0
+    getPrimeForm() {
+        if (this.cardinality === 0) {
+            return [];
+        }
+
+        const zeroBased = ordering => ordering.map(pc => ((pc - ordering[0]) % 12 + 12) % 12);
+        const original = zeroBased(this.getNormalForm());
+        const inverted = zeroBased(this.invert().getNormalForm());
+
+        return PitchClassSet.compareIntervals(inverted, original) < 0 ? inverted : original;
+    }
+
+    // Forte number such as '3-11' or '4-Z15'; null outside the 3-6 note range
+    getForteNumber() {
+        return FORTE_NUMBERS[PitchClassSet.format(this.getPrimeForm())] || null;
+    }
+
+    // Count of each interval class 1-6 between every pair of pitch classes
+    getIntervalVector() {
+        const vector = [0, 0, 0, 0, 0, 0];
+
+        for (let i = 0; i < this.pitchClasses.length; i++) {
+            for (let j = i + 1; j < this.pitchClasses.length; j++) {
+                const difference = this.pitchClasses[j] - this.pitchClasses[i];
+                vector[Math.min(difference, 12 - difference) - 1]++;
+            }
+        }
+
+        return vector;
+    }
+
+    transpose(semitones) {
+        return new PitchClassSet(this.pitchClasses.map(pc => pc + semitones));
+    }
+
+    // Inversion about pitch class 0, optionally followed by a transposition (TnI)
+    invert(semitones = 0) {
+        return new PitchClassSet(this.pitchClasses.map(pc => semitones - pc));
+    }
+
+    // Transposition level n that maps this set onto the other, or null (Tn equivalence)
+    getTranspositionTo(other) {
+        const target = PitchClassSet.from(other);
+        if (target.cardinality !== this.cardinality) {
+            return null;
+        }
+
+        for (let semitones = 0; semitones < 12; semitones++) {
+            if (this.transpose(semitones).equals(target)) {
+                return semitones;
+            }
+        }
+        return null;
+    }
+
+    isTranspositionallyEquivalent(other) {
+        return this.getTranspositionTo(other) !== null;
+    }
+
+    // Same set class: related by transposition and/or inversion (TnI equivalence)
+    isInversionallyEquivalent(other) {
+        const target = PitchClassSet.from(other);
+        return this.isTranspositionallyEquivalent(target) || this.invert().isTranspositionallyEquivalent(target);
+    }
+
+    equals(other) {
+        const target = PitchClassSet.from(other);
+        return PitchClassSet.format(this.pitchClasses) === PitchClassSet.format(target.pitchClasses);
+    }
+
+    // Complete tertian chord symbols, best first; integer sets are spelled with sharps from C
+    getTertianNames(notes = null) {
+        const spelled = notes || this.notes || this.pitchClasses.map(pc => Pitch.fromMidi(60 + pc).note);
+
+        return new ChordIdentifier().identify(spelled)
+            .filter(candidate => candidate.omitted.length === 0 && candidate.extraNotes.length === 0)
+            .map(candidate => candidate.symbol);
+    }
+
+    // Tertian chord symbol when one fits, otherwise the Forte number with a familiar name or prime form
+    getName(notes = null) {
+        const [tertianName] = this.getTertianNames(notes);
+        if (tertianName) {
+            return tertianName;
+        }
+
+        const forteNumber = this.getForteNumber();
+        const primeForm = `[${PitchClassSet.format(this.getPrimeForm())}]`;
+        if (!forteNumber) {
+            return `${this.cardinality}-note set ${primeForm}`;
+        }
+        return SET_CLASS_NAMES[forteNumber]
+            ? `${forteNumber} ${SET_CLASS_NAMES[forteNumber]}`
+            : `${forteNumber} ${primeForm}`;
+    }
+
+    // Everything the analysis knows about the set in one object
+    describe(notes = null) {
+        return {
+            pitchClasses: [...this.pitchClasses],
+            normalForm: this.getNormalForm(),
+            primeForm: this.getPrimeForm(),
+            forteNumber: this.getForteNumber(),
+            intervalVector: this.getIntervalVector(),
+            tertianNames: this.getTertianNames(notes),
+            name: this.getName(notes)
+        };
+    }
+
+    static from(pitchesOrSet) {
+        return pitchesOrSet instanceof PitchClassSet ? pitchesOrSet : new PitchClassSet(pitchesOrSet);
+    }
+
+    // Compare two orderings by their intervals above the first element, left to right
+    static compareIntervals(a, b) {
+        for (let index = 1; index < a.length; index++) {
+            const difference = (a[index] - a[0]) - (b[index] - b[0]);
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PitchClassSet, FORTE_NUMBERS };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.PitchClassSets = { PitchClassSet, FORTE_NUMBERS };
+}
+})();
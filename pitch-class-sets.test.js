@@ -0,0 +1,118 @@
+// Tests for pitch-class set analysis
+const { Pitch } = require('./music-theory-core.js');
+const { PitchClassSet, FORTE_NUMBERS } = require('./pitch-class-sets.js');
+
+describe('Pitch-Class Sets', () => {
+    describe('Building sets', () => {
+        test('should accept note names, pitches and integers and collapse duplicates', () => {
+            expect(new PitchClassSet(['G', 'C', 'E', 'C5']).pitchClasses).toEqual([0, 4, 7]);
+            expect(new PitchClassSet([new Pitch('Bb3'), new Pitch('D4')]).pitchClasses).toEqual([2, 10]);
+            expect(new PitchClassSet([14, -1, 2]).pitchClasses).toEqual([2, 11]);
+        });
+
+        test('should treat enharmonic spellings as the same pitch class', () => {
+            expect(new PitchClassSet(['C#', 'F', 'G#']).equals(['Db', 'E#', 'Ab'])).toBe(true);
+        });
+
+        test('should reject non-integer pitch classes', () => {
+            expect(() => new PitchClassSet([0, 1.5])).toThrow('Invalid pitch class: 1.5');
+        });
+    });
+
+    describe('Normal and prime form', () => {
+        test('should find the most compact rotation as normal form', () => {
+            expect(new PitchClassSet(['E', 'G', 'C']).getNormalForm()).toEqual([0, 4, 7]);
+            expect(new PitchClassSet(['B', 'C', 'G']).getNormalForm()).toEqual([7, 11, 0]);
+        });
+
+        test('should break span ties by packing to the left', () => {
+            // 5-20 is the classic case where Forte and Rahn prime forms differ
+            expect(new PitchClassSet([0, 1, 5, 6, 8]).getPrimeForm()).toEqual([0, 1, 3, 7, 8]);
+        });
+
+        test('should give major and minor triads the same prime form', () => {
+            expect(new PitchClassSet(['C', 'E', 'G']).getPrimeForm()).toEqual([0, 3, 7]);
+            expect(new PitchClassSet(['A', 'C', 'E']).getPrimeForm()).toEqual([0, 3, 7]);
+        });
+    });
+
+    describe('Forte numbers and interval vectors', () => {
+        test('should name set classes by Forte number', () => {
+            expect(new PitchClassSet(['C', 'E', 'G']).getForteNumber()).toBe('3-11');
+            expect(new PitchClassSet(['C', 'C#', 'E', 'F#']).getForteNumber()).toBe('4-Z15');
+            expect(new PitchClassSet([0, 2, 4, 6, 8, 10]).getForteNumber()).toBe('6-35');
+            expect(new PitchClassSet(['C', 'D']).getForteNumber()).toBeNull();
+        });
+
+        test('should compute interval-class vectors', () => {
+            expect(new PitchClassSet(['C', 'E', 'G']).getIntervalVector()).toEqual([0, 0, 1, 1, 1, 0]);
+            expect(new PitchClassSet(['C', 'C#', 'E', 'F#']).getIntervalVector()).toEqual([1, 1, 1, 1, 1, 1]);
+            expect(new PitchClassSet(['C', 'D', 'E', 'G', 'A']).getIntervalVector()).toEqual([0, 3, 2, 1, 4, 0]);
+        });
+
+        test('should cover every 3-6 note set class with a Forte number', () => {
+            const primeForms = new Set();
+            for (let mask = 0; mask < 4096; mask++) {
+                const pitchClasses = [...Array(12).keys()].filter(pc => mask & (1 << pc));
+                if (pitchClasses.length < 3 || pitchClasses.length > 6) continue;
+                primeForms.add(PitchClassSet.format(new PitchClassSet(pitchClasses).getPrimeForm()));
+            }
+
+            expect(primeForms.size).toBe(129);
+            expect([...primeForms].sort()).toEqual(Object.keys(FORTE_NUMBERS).sort());
+        });
+
+        test('should give Z-related sets the same interval vector', () => {
+            const allInterval = new PitchClassSet([0, 1, 4, 6]);
+            const partner = new PitchClassSet([0, 1, 3, 7]);
+
+            expect(partner.getForteNumber()).toBe('4-Z29');
+            expect(partner.getIntervalVector()).toEqual(allInterval.getIntervalVector());
+            expect(partner.isInversionallyEquivalent(allInterval)).toBe(false);
+        });
+    });
+
+    describe('Equivalence', () => {
+        test('should detect transpositional equivalence and its level', () => {
+            const cMajor = new PitchClassSet(['C', 'E', 'G']);
+
+            expect(cMajor.getTranspositionTo(['D', 'F#', 'A'])).toBe(2);
+            expect(cMajor.isTranspositionallyEquivalent(['A', 'C', 'E'])).toBe(false);
+        });
+
+        test('should detect inversional equivalence between major and minor triads', () => {
+            const cMajor = new PitchClassSet(['C', 'E', 'G']);
+
+            expect(cMajor.isInversionallyEquivalent(['A', 'C', 'E'])).toBe(true);
+            expect(cMajor.invert(7).equals(['C', 'Eb', 'G'])).toBe(true);
+            expect(cMajor.isInversionallyEquivalent(['C', 'D', 'E'])).toBe(false);
+        });
+    });
+
+    describe('Naming', () => {
+        test('should prefer a tertian chord symbol that keeps the bass', () => {
+            expect(new PitchClassSet(['C', 'E', 'G', 'B']).getName()).toBe('Cmaj7');
+            expect(new PitchClassSet(['E3', 'C4', 'G4', 'C5']).getName()).toBe('C/E');
+        });
+
+        test('should name clusters with no tertian name by set class', () => {
+            expect(new PitchClassSet(['C', 'Db', 'D']).getName()).toBe('3-1 chromatic trichord');
+            expect(new PitchClassSet(['C', 'D', 'E', 'G', 'A']).getName()).toBe('5-35 pentatonic scale');
+            expect(new PitchClassSet(['C', 'Db', 'E', 'F', 'Ab']).getName()).toBe('5-21 [01458]');
+        });
+
+        test('should describe a set in one object', () => {
+            const description = new PitchClassSet(['C', 'C#', 'E', 'F#']).describe();
+
+            expect(description).toEqual({
+                pitchClasses: [0, 1, 4, 6],
+                normalForm: [0, 1, 4, 6],
+                primeForm: [0, 1, 4, 6],
+                forteNumber: '4-Z15',
+                intervalVector: [1, 1, 1, 1, 1, 1],
+                tertianNames: [],
+                name: '4-Z15 all-interval tetrachord'
+            });
+        });
+    });
+});
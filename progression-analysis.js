@@ -0,0 +1,292 @@
+// Progression Analysis Module - Instrument-Agnostic
+// Roman-numeral analysis, borrowed chords, cadences and key detection for chord progressions
+
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { ChordTheory, chordQualities } = isCommonJS ? require('./music-theory-core.js') : window.MusicTheoryCore;
+const { Scale, Key } = isCommonJS ? require('./music-theory-keys.js') : window.MusicTheoryKeys;
+
+const TRIAD_QUALITY_NAMES = ['major', 'minor', 'diminished', 'augmented'];
+
+// Harmonic function of each scale degree
+const DEGREE_FUNCTIONS = {
+    1: 'tonic', 3: 'tonic', 6: 'tonic',
+    2: 'predominant', 4: 'predominant',
+    5: 'dominant', 7: 'dominant'
+};
+
+// Parallel modes a chord may be borrowed from, tried in order
+const BORROWING_MODES = {
+    'major': ['minor', 'dorian', 'phrygian', 'mixolydian', 'lydian'],
+    'minor': ['major', 'dorian', 'phrygian']
+};
+
+// Figured-bass inversion symbols for triads and four-note chords
+const TRIAD_FIGURES = { 'root': '', 'first': '6', 'second': '64' };
+const SEVENTH_FIGURES = { 'root': '7', 'first': '65', 'second': '43', 'third': '42' };
+
+// Tonic spellings used when guessing keys; enharmonic pairs are settled by the chords' letters
+const MAJOR_KEY_TONICS = ['C', 'G', 'D', 'A', 'E', 'B', 'Cb', 'F#', 'Gb', 'C#', 'Db', 'Ab', 'Eb', 'Bb', 'F'];
+const MINOR_KEY_TONICS = ['A', 'E', 'B', 'F#', 'C#', 'G#', 'Ab', 'D#', 'Eb', 'A#', 'Bb', 'D', 'G', 'C', 'F'];
+
+class ProgressionAnalyzer {
+    constructor(chordTheory = null) {
+        this.chordTheory = chordTheory || new ChordTheory();
+    }
+
+    // Analyze a progression of chord names or Chord objects, guessing the key when none is given
+    analyze(chords, key = null) {
+        const parsedChords = chords.map(chord => this.toChord(chord));
+        const analysisKey = key ? this.toKey(key) : this.guessKey(parsedChords)[0].key;
+        const analyzedChords = parsedChords.map(chord => this.analyzeChord(chord, analysisKey));
+
+        return {
+            key: analysisKey,
+            keyName: analysisKey.getName(),
+            keyGuessed: !key,
+            chords: analyzedChords,
+            cadences: this.findCadences(analyzedChords)
+        };
+    }
+
+    // Roman-numeral analysis of a single chord in a key
+    analyzeChord(chord, key) {
+        const degree = this.getLetterDegree(chord, key);
+        const homeScale = this.getDiatonicScales(key).find(scale => this.fitsScale(chord, scale));
+        const analysis = {
+            chord: chord,
+            symbol: chord.getSymbol(),
+            degree: degree,
+            numeral: null,
+            function: null,
+            diatonic: Boolean(homeScale),
+            borrowedFrom: null,
+            secondaryOf: null
+        };
+
+        if (analysis.diatonic) {
+            analysis.numeral = this.formatNumeral(chord, degree, '');
+            analysis.function = DEGREE_FUNCTIONS[degree];
+            return analysis;
+        }
+
+        // Chromatic chords keep an accidental showing how the root differs from the key's own degree
+        const prefix = this.getRootAccidental(chord, key, degree);
+        analysis.numeral = this.formatNumeral(chord, degree, prefix);
+
+        const secondaryTarget = this.findSecondaryDominantTarget(chord, key);
+        if (secondaryTarget) {
+            analysis.secondaryOf = secondaryTarget.numeral;
+            analysis.numeral = `${this.formatNumeral(chord, 5, '')}/${secondaryTarget.numeral}`;
+            analysis.function = 'dominant';
+            return analysis;
+        }
+
+        const borrowingMode = (BORROWING_MODES[key.mode] || []).find(mode =>
+            this.fitsScale(chord, new Scale(key.tonic.note, mode))
+        );
+        if (borrowingMode) {
+            analysis.borrowedFrom = `${key.tonic.note} ${borrowingMode}`;
+            analysis.function = DEGREE_FUNCTIONS[degree];
+        }
+
+        return analysis;
+    }
+
+    // Rank every major and minor key by how well it explains the progression
+    guessKey(chords) {
+        const parsedChords = chords.map(chord => this.toChord(chord));
+        const candidates = [
+            ...this.spellKeys(parsedChords, MAJOR_KEY_TONICS, 'major'),
+            ...this.spellKeys(parsedChords, MINOR_KEY_TONICS, 'minor')
+        ];
+
+        return candidates
+            .map(key => ({ key, score: this.scoreKey(parsedChords, key) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // One key per tonic pitch class, spelled so the chord roots fall on the key's own letters
+    spellKeys(chords, tonics, mode) {
+        const keys = new Map();
+
+        tonics.forEach(tonic => {
+            const key = new Key(tonic, mode);
+            const notes = key.getNotes();
+            const matches = chords.filter(chord => notes.includes(chord.root.note)).length;
+            const pitchClass = Scale.pitchClass(tonic);
+            const current = keys.get(pitchClass);
+
+            if (!current || matches > current.matches) {
+                keys.set(pitchClass, { key, matches });
+            }
+        });
+
+        return [...keys.values()].map(entry => entry.key);
+    }
+
+    scoreKey(chords, key) {
+        const tonicClass = Scale.pitchClass(key.tonic.note);
+        const tonicQuality = key.mode === 'major' ? 'major' : 'minor';
+        const isTonic = chord =>
+            Scale.pitchClass(chord.root.note) === tonicClass && this.getTriadQuality(chord) === tonicQuality;
+        const isDominant = chord =>
+            Scale.pitchClass(chord.root.note) === (tonicClass + 7) % 12 && this.getTriadQuality(chord) === 'major';
+        const scales = this.getDiatonicScales(key);
+        let score = 0;
+
+        chords.forEach((chord, index) => {
+            if (scales.some(scale => this.fitsScale(chord, scale))) score += 2;
+            if (isTonic(chord) || isDominant(chord)) score += 1;
+
+            // Dominant resolving to the tonic strongly implies the key
+            const previous = chords[index - 1];
+            if (previous && isTonic(chord) && isDominant(previous)) score += 3;
+        });
+
+        // Progressions usually open on the tonic; the closing chord may be a deceptive or half cadence
+        if (chords.length > 0 && isTonic(chords[0])) score += 3;
+        if (chords.length > 0 && isTonic(chords[chords.length - 1])) score += 2;
+
+        return score;
+    }
+
+    // Cadences between consecutive chords; a half cadence needs the progression to end on V
+    findCadences(analyzedChords) {
+        const cadences = [];
+
+        for (let index = 1; index < analyzedChords.length; index++) {
+            const from = analyzedChords[index - 1];
+            const to = analyzedChords[index];
+            const type = this.getCadenceType(from, to);
+
+            if (type) {
+                cadences.push({ type, index, from: from.numeral, to: to.numeral });
+            }
+        }
+
+        const last = analyzedChords[analyzedChords.length - 1];
+        const beforeLast = analyzedChords[analyzedChords.length - 2];
+        if (last && beforeLast && this.isDominant(last) && !this.isDominant(beforeLast)) {
+            cadences.push({
+                type: 'half',
+                index: analyzedChords.length - 1,
+                from: beforeLast.numeral,
+                to: last.numeral
+            });
+        }
+
+        return cadences;
+    }
+
+    getCadenceType(from, to) {
+        if (to.secondaryOf || from.secondaryOf) return null;
+
+        const arrivesOnTonic = to.degree === 1 && ['major', 'minor'].includes(this.getTriadQuality(to.chord));
+        if (this.isDominant(from) && arrivesOnTonic) return 'authentic';
+        if (from.degree === 7 && this.getTriadQuality(from.chord) === 'diminished' && arrivesOnTonic) return 'authentic';
+        if (from.degree === 4 && arrivesOnTonic) return 'plagal';
+        if (this.isDominant(from) && to.degree === 6) return 'deceptive';
+        return null;
+    }
+
+    isDominant(analyzedChord) {
+        return analyzedChord.degree === 5 &&
+            !analyzedChord.secondaryOf &&
+            this.getTriadQuality(analyzedChord.chord) === 'major';
+    }
+
+    // Diatonic triad the chord would resolve to as its dominant, if it is a non-diatonic V or V7
+    findSecondaryDominantTarget(chord, key) {
+        if (this.getTriadQuality(chord) !== 'major' || !['major', '7'].includes(chord.quality)) {
+            return null;
+        }
+
+        const targetClass = (Scale.pitchClass(chord.root.note) + 5) % 12;
+        return key.getDiatonicTriads().find(triad =>
+            triad.degree !== 1 &&
+            triad.quality !== 'diminished' &&
+            Scale.pitchClass(triad.chord.root.note) === targetClass
+        ) || null;
+    }
+
+    // Scales whose chords count as diatonic; minor keys include the harmonic-minor V and vii°
+    getDiatonicScales(key) {
+        const scales = [key];
+        if (key.mode === 'minor') {
+            scales.push(new Scale(key.tonic.note, 'harmonicMinor'));
+        }
+        return scales;
+    }
+
+    fitsScale(chord, scale) {
+        return chord.getChordTones().every(tone => scale.contains(tone));
+    }
+
+    // Scale degree from the letter distance between the tonic and the chord root
+    getLetterDegree(chord, key) {
+        const letters = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+        const distance = letters.indexOf(chord.root.noteLetter) - letters.indexOf(key.tonic.noteLetter);
+        return ((distance % 7) + 7) % 7 + 1;
+    }
+
+    // 'b' or '#' when the chord root is a lowered or raised form of the key's own degree
+    getRootAccidental(chord, key, degree) {
+        const scaleRoot = key.getPitches()[degree - 1];
+        const difference = ((chord.root.semitoneValue - scaleRoot.semitoneValue) % 12 + 12) % 12;
+
+        if (difference === 0) return '';
+        return difference < 6 ? '#'.repeat(difference) : 'b'.repeat(12 - difference);
+    }
+
+    formatNumeral(chord, degree, prefix) {
+        const triadQuality = this.getTriadQuality(chord);
+        const isSeventh = chord.intervals.length === 4 && chord.getToneIntervals()[3].getSimpleNumber() === 7;
+        let numeral = Key.formatNumeral(degree, triadQuality || 'major');
+
+        if (!triadQuality) {
+            // Suspended chords have no third; show the suspension after an upper-case numeral
+            return prefix + numeral + chord.quality;
+        }
+        if (!isSeventh) {
+            const addedSixth = chord.intervals.length === 4 ? 'add6' : '';
+            return prefix + numeral + addedSixth + TRIAD_FIGURES[chord.inversion];
+        }
+
+        if (chord.quality === 'm7b5') numeral = numeral.replace('°', 'ø');
+        const majorSeventh = ['maj7', 'mMaj7'].includes(chord.quality) ? 'maj' : '';
+        return prefix + numeral + majorSeventh + SEVENTH_FIGURES[chord.inversion];
+    }
+
+    // Quality of the chord's lowest three tones as a triad, or null for suspended chords
+    getTriadQuality(chord) {
+        const triadSemitones = chord.intervals.slice(0, 3).join(',');
+        return TRIAD_QUALITY_NAMES.find(quality =>
+            chordQualities.get(quality).intervals.map(interval => interval.semitones).join(',') === triadSemitones
+        ) || null;
+    }
+
+    toChord(chord) {
+        return typeof chord === 'string' ? this.chordTheory.parseChordName(chord) : chord;
+    }
+
+    // Accept a Key or a name such as "C major", "A minor" or "D dorian"
+    toKey(key) {
+        if (key instanceof Key) {
+            return key;
+        }
+        const [tonic, mode = 'major'] = String(key).trim().split(/\s+/);
+        return new Key(tonic, mode);
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProgressionAnalyzer };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.ProgressionAnalysis = { ProgressionAnalyzer };
+}
+})();
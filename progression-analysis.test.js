@@ -0,0 +1,132 @@
+// Tests for functional progression analysis
+const { Chord } = require('./music-theory-core.js');
+const { Key } = require('./music-theory-keys.js');
+const { ProgressionAnalyzer } = require('./progression-analysis.js');
+
+describe('Progression Analysis', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new ProgressionAnalyzer();
+    });
+
+    describe('Roman-numeral analysis', () => {
+        test('should label diatonic chords with numerals and functions', () => {
+            const analysis = analyzer.analyze(['C', 'Am', 'F', 'G', 'C'], 'C major');
+
+            expect(analysis.chords.map(c => c.numeral)).toEqual(['I', 'vi', 'IV', 'V', 'I']);
+            expect(analysis.chords.map(c => c.function)).toEqual(
+                ['tonic', 'tonic', 'predominant', 'dominant', 'tonic']
+            );
+            expect(analysis.chords.every(c => c.diatonic)).toBe(true);
+        });
+
+        test('should accept Key objects, Chord objects and standard names', () => {
+            const analysis = analyzer.analyze(
+                [new Chord('D4', 'minor'), 'G_major_root_closed', 'C'],
+                new Key('C')
+            );
+
+            expect(analysis.chords.map(c => c.numeral)).toEqual(['ii', 'V', 'I']);
+            expect(analysis.keyGuessed).toBe(false);
+        });
+
+        test('should show inversions and sevenths with figured bass', () => {
+            const analysis = analyzer.analyze(['Dm7', 'G7/B', 'C/E', 'Cmaj7'], 'C major');
+
+            expect(analysis.chords.map(c => c.numeral)).toEqual(['ii7', 'V65', 'I6', 'Imaj7']);
+        });
+
+        test('should treat the harmonic-minor dominant as diatonic in minor keys', () => {
+            const analysis = analyzer.analyze(['Am', 'Bm7b5', 'E7', 'Am'], 'A minor');
+
+            expect(analysis.chords.map(c => c.numeral)).toEqual(['i', 'iiø7', 'V7', 'i']);
+            expect(analysis.chords.every(c => c.diatonic)).toBe(true);
+        });
+    });
+
+    describe('Chromatic chords', () => {
+        test('should mark chords borrowed from the parallel minor', () => {
+            const analysis = analyzer.analyze(['C', 'Ab', 'Fm', 'C'], 'C major');
+            const [, flatSix, minorFour] = analysis.chords;
+
+            expect(flatSix.diatonic).toBe(false);
+            expect(flatSix.numeral).toBe('bVI');
+            expect(flatSix.borrowedFrom).toBe('C minor');
+            expect(minorFour.numeral).toBe('iv');
+            expect(minorFour.borrowedFrom).toBe('C minor');
+        });
+
+        test('should recognise secondary dominants', () => {
+            const analysis = analyzer.analyze(['C', 'D7', 'G', 'E', 'Am'], 'C major');
+
+            expect(analysis.chords[1].numeral).toBe('V7/V');
+            expect(analysis.chords[1].secondaryOf).toBe('V');
+            expect(analysis.chords[3].numeral).toBe('V/vi');
+        });
+
+        test('should leave unrelated chromatic chords unexplained but marked', () => {
+            const analysis = analyzer.analyze(['C', 'F#', 'C'], 'C major');
+
+            expect(analysis.chords[1].diatonic).toBe(false);
+            expect(analysis.chords[1].numeral).toBe('#IV');
+            expect(analysis.chords[1].borrowedFrom).toBeNull();
+        });
+    });
+
+    describe('Cadences', () => {
+        test('should find authentic and plagal cadences', () => {
+            const cadences = analyzer.analyze(['C', 'F', 'C', 'G7', 'C'], 'C major').cadences;
+
+            expect(cadences).toEqual([
+                { type: 'plagal', index: 2, from: 'IV', to: 'I' },
+                { type: 'authentic', index: 4, from: 'V7', to: 'I' }
+            ]);
+        });
+
+        test('should find half and deceptive cadences', () => {
+            expect(analyzer.analyze(['G', 'Em', 'C', 'D'], 'G major').cadences)
+                .toEqual([{ type: 'half', index: 3, from: 'IV', to: 'V' }]);
+            expect(analyzer.analyze(['C', 'G', 'Am'], 'C major').cadences)
+                .toEqual([{ type: 'deceptive', index: 2, from: 'V', to: 'vi' }]);
+        });
+    });
+
+    describe('Key detection', () => {
+        test('should guess the key when none is given', () => {
+            const analysis = analyzer.analyze(['G', 'Em', 'C', 'D', 'G']);
+
+            expect(analysis.keyGuessed).toBe(true);
+            expect(analysis.keyName).toBe('G major');
+        });
+
+        test('should prefer the minor key when the progression centres on it', () => {
+            expect(analyzer.analyze(['Am', 'Dm', 'E7', 'Am']).keyName).toBe('A minor');
+            expect(analyzer.analyze(['C', 'Am', 'F', 'G', 'C']).keyName).toBe('C major');
+        });
+
+        test('should rank candidate keys', () => {
+            const ranking = analyzer.guessKey(['F', 'Bb', 'C7', 'F']);
+
+            expect(ranking[0].key.getName()).toBe('F major');
+            expect(ranking[0].score).toBeGreaterThan(ranking[1].score);
+        });
+
+        test('should weigh the opening tonic and dominant over a closing relative minor', () => {
+            const analysis = analyzer.analyze(['C', 'F', 'G', 'Am']);
+
+            expect(analysis.keyName).toBe('C major');
+            expect(analysis.chords.map(chord => chord.numeral)).toEqual(['I', 'IV', 'V', 'vi']);
+            expect(analysis.cadences).toEqual([{ type: 'deceptive', index: 3, from: 'V', to: 'vi' }]);
+        });
+
+        test('should spell the guessed tonic with the letters of the chords', () => {
+            const analysis = analyzer.analyze(['Cb', 'Fb', 'Gb']);
+
+            expect(analysis.keyName).toBe('Cb major');
+            expect(analysis.chords.map(chord => chord.numeral)).toEqual(['I', 'IV', 'V']);
+            expect(analysis.cadences).toEqual([{ type: 'half', index: 2, from: 'IV', to: 'V' }]);
+            expect(analyzer.analyze(['D#m', 'G#m', 'A#', 'D#m']).keyName).toBe('D# minor');
+        });
+    });
+});
@@ -1,203 +1,420 @@
+// Theory modules the page loads before this file; instruments, their tunings and inlays come from INSTRUMENTS
+const { Pitch, Interval, Chord, ChordIdentifier, chordQualities } = window.MusicTheoryCore;
+const { GuitarFretboard: FretboardModel, GuitarChordDatabase, INSTRUMENTS } = window.GuitarFretboard;
+const { PlayabilityScorer } = window.GuitarPlayability;
+const { SeededRandom } = window.SeededRandom;
+const { FretGeometry, SCALE_LENGTHS } = window.FretGeometry;
+const { ChordShape } = window.ChordShapes;
+
+// Longest neck the fret-count setting offers
+const MAX_FRETS = 24;
+
+// Triad roots spelled as key signatures spell them: flat keys for major, sharp keys up to G# for minor
+const MAJOR_ROOTS = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'Db', 'Ab', 'Eb', 'Bb', 'F'];
+const MINOR_ROOTS = ['A', 'E', 'B', 'F#', 'C#', 'G#', 'Eb', 'Bb', 'F', 'C', 'G', 'D'];
+const TRIAD_ROOTS = { major: MAJOR_ROOTS, minor: MINOR_ROOTS, diminished: MINOR_ROOTS, augmented: MAJOR_ROOTS };
+
+// Chord-degree names by the spelled interval above the root, and the role that colours the dot;
+// seconds, fourths and sixths are tones added to or suspended in place of the third
+const CHORD_DEGREES = {
+    P1: { name: 'R', role: 'root' },
+    M2: { name: '2', role: 'added' },
+    m3: { name: 'b3', role: 'third' },
+    M3: { name: '3', role: 'third' },
+    P4: { name: '4', role: 'added' },
+    d5: { name: 'b5', role: 'fifth' },
+    P5: { name: '5', role: 'fifth' },
+    A5: { name: '#5', role: 'fifth' },
+    M6: { name: '6', role: 'added' },
+    d7: { name: 'bb7', role: 'seventh' },
+    m7: { name: 'b7', role: 'seventh' },
+    M7: { name: '7', role: 'seventh' }
+};
+
+// Intervals by semitones above the root for notes outside the chord, which have no spelling of their own
+const INTERVAL_NAMES = ['P1', 'm2', 'M2', 'm3', 'M3', 'P4', 'A4', 'P5', 'm6', 'M6', 'm7', 'M7'];
+
+// What is printed inside each finger dot
+const DOT_LABEL_MODES = {
+    none: 'None',
+    note: 'Note name',
+    degree: 'Chord degree',
+    interval: 'Interval from root',
+    finger: 'Finger number'
+};
+
+// Pitch class (0-11) of a note name in any spelling, such as 'Db' or 'C#'
+function pitchClassOf(note) {
+    return new Pitch(`${note}4`).toMidi() % 12;
+}
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Drawn in fixed neck units (1000 x 250) inside a viewBox, so the SVG scales to any container width.
+// Margins leave room for the string names on the left and the fret numbers underneath.
+// A fret window ({ start, end }) zooms the drawing in on part of a neck of numFrets frets.
 class GuitarFretboard {
-    constructor(containerId, numFrets = 12) {
+    constructor(containerId, numFrets = 12, instrument = 'guitar', capo = null, fretNumbering = 'absolute', scaleLength = null,
+        fretWindow = null, tuning = null) {
         this.container = document.getElementById(containerId);
-        this.numFrets = numFrets;
-        this.strings = ['E', 'B', 'G', 'D', 'A', 'E'];
+        this.numFrets = this.validateFretCount(numFrets);
+        this.fretWindow = fretWindow ? this.validateFretWindow(fretWindow.start, fretWindow.end) : null;
+        this.capo = capo; // { fret, strings } with string indices, or null
+        this.fretNumbering = fretNumbering;
+        this.instrument = INSTRUMENTS[instrument] ? instrument : 'guitar';
+        const { tunings, defaultTuning, scaleLength: instrumentScale } = INSTRUMENTS[this.instrument];
+        this.tuning = tunings[tuning] ? tuning : defaultTuning; // A key of the instrument's tunings
+        this.openStrings = tunings[this.tuning].strings;
+        this.strings = this.openStrings.map(note => note.replace(/-?\d+$/, ''));
+        // A SCALE_LENGTHS preset, a length in millimetres or a fanned-neck definition; null for the instrument's
+        this.geometry = FretGeometry.from(scaleLength || instrumentScale, this.strings.length);
         this.fretboardWidth = 1000;
         this.fretboardHeight = 250;
+        this.margin = { left: 30, right: 10, top: 5, bottom: 30 };
         this.fingerDots = [];
+        this.mutedMarkers = [];
+        this.labelMode = 'none';
+        this.chord = null; // { root, type } of the chord on the neck, for degree labels and colours
+        this.intervalRoot = null; // Note the interval labels count from; the chord's root when null
         this.init();
         this.setupInteractivity();
     }
 
+    validateFretCount(numFrets) {
+        if (!Number.isInteger(numFrets) || numFrets < 1 || numFrets > MAX_FRETS) {
+            throw new Error(`Invalid fret count: ${numFrets}. Must be 1-${MAX_FRETS}.`);
+        }
+        return numFrets;
+    }
+
+    validateFretWindow(start, end) {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start >= end || end > this.numFrets) {
+            throw new Error(`Invalid fret window: ${start}-${end}. Frets must run from 0 up to ${this.numFrets}.`);
+        }
+        return { start, end };
+    }
+
+    // First and last fret shown; the whole neck without a window. Fret 0 is the open string, so
+    // windows starting at fret 0 or 1 both begin at the nut.
+    getFretWindow() {
+        return this.fretWindow ? { ...this.fretWindow } : { start: 0, end: this.numFrets };
+    }
+
+    // Fret wire at the left edge of the drawing: the nut, or the wire below the window's first fret
+    getFirstWire() {
+        return Math.max(0, this.getFretWindow().start - 1);
+    }
+
+    // Whether a note is drawn inside the window; notes at or behind a capo sound at the capo
+    isFretShown(stringIndex, fret) {
+        const shownFret = Math.max(fret, this.getCapoFret(stringIndex));
+        const firstWire = this.getFirstWire();
+        return shownFret === 0 ? firstWire === 0 : shownFret > firstWire && shownFret <= this.getFretWindow().end;
+    }
+
+    // Zoom to frets start-end, or back to the whole neck with null, keeping the dots placed
+    setFretWindow(start = null, end = null) {
+        this.fretWindow = start === null ? null : this.validateFretWindow(start, end);
+        this.redraw();
+    }
+
+    // Change the neck length, keeping the dots that still fit; a window past the new last fret is cut short
+    setNumFrets(numFrets) {
+        this.numFrets = this.validateFretCount(numFrets);
+        if (this.fretWindow) {
+            const { start, end } = this.fretWindow;
+            this.fretWindow = start < numFrets ? { start, end: Math.min(end, numFrets) } : null;
+        }
+        this.fingerDots = this.fingerDots.filter(dot => dot.fret <= numFrets);
+        this.redraw();
+    }
+
+    // Draw the neck again from the current settings and put back the dots and muted-string markers
+    redraw() {
+        const dots = this.fingerDots.map(dot => [dot.string, dot.fret]);
+        const mutedStrings = this.mutedMarkers.map(marker => marker.string);
+
+        this.container.removeChild(this.svg);
+        this.fingerDots = [];
+        this.mutedMarkers = [];
+        this.init();
+        this.drawHitTargets();
+
+        dots.forEach(([stringIndex, fret]) => {
+            this.addFingerDot(stringIndex, fret, this.getDotX(stringIndex, fret), this.getStringY(stringIndex));
+        });
+        mutedStrings.forEach(stringIndex => this.addMutedMarker(stringIndex));
+    }
+
     init() {
         this.createFretboard();
-        this.drawStrings();
+        this.drawInlays();
         this.drawFrets();
-        this.addLabels();
+        this.drawStrings();
+        this.drawFretNumbers();
+        this.drawCapo();
+    }
+
+    // SVG element with attributes, appended to a parent when one is given
+    createSvgElement(tag, attributes = {}, parent = null) {
+        const element = document.createElementNS(SVG_NAMESPACE, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        if (parent) {
+            parent.appendChild(element);
+        }
+        return element;
     }
 
+    // The neck and one group per layer, bottom to top: inlays, frets, strings, labels, the click targets,
+    // dots and overlays (capo and muted-string markers)
     createFretboard() {
-        this.container.style.width = `${this.fretboardWidth}px`;
-        this.container.style.height = `${this.fretboardHeight}px`;
+        const { left, right, top, bottom } = this.margin;
+        this.svg = this.createSvgElement('svg', {
+            class: 'fretboard-svg',
+            viewBox: `${-left} ${-top} ${this.fretboardWidth + left + right} ${this.fretboardHeight + top + bottom}`,
+            preserveAspectRatio: 'xMidYMin meet',
+            role: 'img',
+            'aria-label': `${INSTRUMENTS[this.instrument].name} fretboard, frets ${this.getFretWindow().start}-${this.getFretWindow().end} of ${this.numFrets}`
+        }, this.container);
+
+        const woodId = `${this.container.id || 'fretboard'}-wood`;
+        const defs = this.createSvgElement('defs', {}, this.svg);
+        const gradient = this.createSvgElement('linearGradient', { id: woodId, x1: 0, y1: 0, x2: 0, y2: 1 }, defs);
+        this.createSvgElement('stop', { offset: '0%', 'stop-color': '#8B4513' }, gradient);
+        this.createSvgElement('stop', { offset: '100%', 'stop-color': '#D2691E' }, gradient);
+
+        this.createSvgElement('rect', {
+            class: 'neck',
+            x: 0,
+            y: 0,
+            width: this.fretboardWidth,
+            height: this.fretboardHeight,
+            rx: 10,
+            fill: `url(#${woodId})`
+        }, this.svg);
+
+        this.layers = {};
+        ['inlays', 'frets', 'strings', 'labels', 'targets', 'dots', 'overlays'].forEach(name => {
+            this.layers[name] = this.createSvgElement('g', { class: `layer-${name}` }, this.svg);
+        });
+    }
+
+    getLayer(name) {
+        if (!this.layers[name]) {
+            throw new Error(`Unknown fretboard layer: ${name}`);
+        }
+        return this.layers[name];
+    }
+
+    // Fret acting as the nut for a string: the capo fret if the capo covers it, otherwise 0
+    getCapoFret(stringIndex) {
+        return this.capo && this.capo.strings.includes(stringIndex) ? this.capo.fret : 0;
+    }
+
+    // Fret numbers under the neck, counted from the nut or from the capo
+    drawFretNumbers() {
+        const offset = this.fretNumbering === 'relative' && this.capo ? this.capo.fret : 0;
+
+        for (let fret = Math.max(offset, this.getFirstWire()) + 1; fret <= this.getFretWindow().end; fret++) {
+            const label = this.createSvgElement('text', {
+                class: 'fret-number',
+                x: this.getFretMidpoint(fret, this.strings.length - 1),
+                y: this.fretboardHeight + 18,
+                'text-anchor': 'middle'
+            }, this.layers.labels);
+            label.textContent = fret - offset;
+        }
+    }
+
+    // The capo sits in the space of its fret, across the strings it covers
+    drawCapo() {
+        if (!this.capo || this.capo.fret <= this.getFirstWire() || this.capo.fret > this.getFretWindow().end) return;
+
+        const spacing = this.getStringSpacing();
+        const first = Math.min(...this.capo.strings);
+        const last = Math.max(...this.capo.strings);
+        const firstY = this.getStringY(first);
+        const lastY = this.getStringY(last);
+        this.createSvgElement('rect', {
+            class: 'capo',
+            x: this.getFretMidpoint(this.capo.fret, (first + last) / 2) - 6,
+            y: firstY - spacing / 3,
+            width: 12,
+            height: lastY - firstY + (spacing * 2) / 3,
+            rx: 6
+        }, this.layers.overlays);
+    }
+
+    getFretMidpoint(fretNumber, stringIndex = null) {
+        const previousFretPos = this.getFretPosition(fretNumber - 1, stringIndex);
+        return previousFretPos + (this.getFretPosition(fretNumber, stringIndex) - previousFretPos) / 2;
+    }
+
+    // Horizontal dot position; notes sounding at the capo sit on the capo like open strings at the nut
+    getDotX(stringIndex, fret) {
+        const capoFret = this.getCapoFret(stringIndex);
+        if (capoFret > 0 && fret <= capoFret) {
+            return this.getFretMidpoint(capoFret, stringIndex);
+        }
+        return fret === 0 ? this.getFretPosition(0, stringIndex) + 15 : this.getFretPosition(fret - 0.5, stringIndex);
+    }
+
+    formatFret(stringIndex, fret) {
+        if (this.fretNumbering !== 'relative') return String(fret);
+        return String(Math.max(0, fret - this.getCapoFret(stringIndex)));
+    }
+
+    // Strings share the height evenly, with half a gap above the first and below the last
+    getStringSpacing() {
+        return this.fretboardHeight / (this.strings.length + 1);
+    }
+
+    getStringY(stringIndex) {
+        return this.getStringSpacing() * (stringIndex + 1);
+    }
+
+    // Fractional string index at a height, for points between strings such as the neck edges
+    getStringIndexAt(y) {
+        return y / this.getStringSpacing() - 1;
     }
 
     drawStrings() {
-        const stringSpacing = this.fretboardHeight / 7;
-        const stringThicknesses = [1, 1.5, 2, 2.5, 3, 3.5];
-        
+        // Thicker towards the bottom: 1 unit for string 1 up to 3.5 for the last string
+        const lastIndex = Math.max(1, this.strings.length - 1);
+
         this.strings.forEach((stringName, index) => {
-            const string = document.createElement('div');
-            string.className = 'string';
+            const y = this.getStringY(index);
+            const string = this.createSvgElement('line', {
+                class: 'string',
+                x1: 0,
+                y1: y,
+                x2: this.fretboardWidth,
+                y2: y,
+                'stroke-width': 1 + 2.5 * index / lastIndex
+            }, this.layers.strings);
             string.dataset.string = stringName;
-            
-            const y = stringSpacing * (index + 1);
-            string.style.top = `${y}px`;
-            string.style.left = '0px';
-            string.style.width = `${this.fretboardWidth}px`;
-            string.style.height = `${stringThicknesses[index]}px`;
-            
-            this.container.appendChild(string);
-            
-            const label = document.createElement('div');
-            label.className = 'string-label';
+
+            const label = this.createSvgElement('text', {
+                class: 'string-label',
+                x: -15,
+                y: y,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central'
+            }, this.layers.labels);
             label.textContent = stringName;
-            label.style.top = `${y}px`;
-            this.container.appendChild(label);
         });
     }
 
     drawFrets() {
-        // Add fret 0 (nut/open string)
-        const fret0 = document.createElement('div');
-        fret0.className = 'fret';
-        fret0.dataset.fret = '0';
-        fret0.style.left = '1px';
-        fret0.style.top = '0px';
-        fret0.style.width = '4px';
-        fret0.style.height = `${this.fretboardHeight}px`;
-        fret0.style.backgroundColor = '#000';
-        this.container.appendChild(fret0);
-        
-        // Add regular frets 1-12
-        for (let i = 1; i <= this.numFrets; i++) {
-            const fret = document.createElement('div');
-            fret.className = 'fret';
-            fret.dataset.fret = i;
-            
-            const x = this.getFretPosition(i);
-            fret.style.left = `${x}px`;
-            fret.style.top = '0px';
-            fret.style.width = '3px';
-            fret.style.height = `${this.fretboardHeight}px`;
-            
-            this.container.appendChild(fret);
+        const firstWire = this.getFirstWire();
+
+        // Fret 0 is the nut
+        if (firstWire === 0) {
+            this.drawFretWire(0, 4).classList.add('nut');
+        }
+
+        for (let i = Math.max(1, firstWire); i <= this.getFretWindow().end; i++) {
+            this.drawFretWire(i, 3);
         }
     }
 
-    getFretPosition(fretNumber) {
-        // Create wider, more evenly distributed fret spacing
-        // Use a hybrid approach that's more linear than traditional guitar spacing
-        // but still slightly compressed towards higher frets
-        
-        const maxFrets = 16; // Maximum expected frets
-        const compressionFactor = 0.7; // How much to compress higher frets (0.5 = half spacing, 1.0 = linear)
-        
-        // Calculate position using a modified exponential curve
-        const normalized = fretNumber / maxFrets;
-        const position = Math.pow(normalized, compressionFactor);
-        
-        return position * this.fretboardWidth * 0.95; // Use 95% of width to leave some margin
-    }
-
-    addLabels() {
-        // Fret position markers (dots) at 3rd, 5th, 7th, 9th, 12th, 15th
-        // Double dots at 12th fret
-        const markerFrets = [3, 5, 7, 9, 12, 15];
-        markerFrets.forEach(fretNum => {
-            if (fretNum <= this.numFrets) {
-                const currentFretPos = this.getFretPosition(fretNum);
-                const previousFretPos = fretNum === 1 ? 1 : this.getFretPosition(fretNum - 1);
-                const x = previousFretPos + (currentFretPos - previousFretPos) / 2;
-                
-                if (fretNum === 12) {
-                    // Double dots for 12th fret
-                    this.addFretMarker(x, this.fretboardHeight * 0.33);
-                    this.addFretMarker(x, this.fretboardHeight * 0.67);
-                } else {
-                    // Single dot for other frets
-                    this.addFretMarker(x, this.fretboardHeight * 0.5);
-                }
+    // A fret wire across the neck; on a fanned neck it slants from its top-edge to its bottom-edge position
+    drawFretWire(fretNumber, width) {
+        const fret = this.createSvgElement('line', {
+            class: 'fret',
+            x1: this.getFretPosition(fretNumber, this.getStringIndexAt(0)),
+            y1: 0,
+            x2: this.getFretPosition(fretNumber, this.getStringIndexAt(this.fretboardHeight)),
+            y2: this.fretboardHeight,
+            'stroke-width': width
+        }, this.layers.frets);
+        fret.dataset.fret = fretNumber;
+        return fret;
+    }
+
+    // Units from the left edge of the drawing to a fret on a string, from the neck's real fret spacing
+    // scaled so the window's first wire lands at the edge and its last fret at 95% of the width.
+    // Frets only differ by string on a fanned neck; the default is the middle of the neck.
+    getFretPosition(fretNumber, stringIndex = null) {
+        const string = stringIndex === null ? (this.strings.length - 1) / 2 : stringIndex;
+        const firstWire = this.getFirstWire();
+        const start = Math.min(this.geometry.getFretX(firstWire, 0), this.geometry.getFretX(firstWire, this.strings.length - 1));
+        const unitsPerMillimetre = (this.fretboardWidth * 0.95) / (this.geometry.getNeckLength(this.getFretWindow().end) - start);
+        return (this.geometry.getFretX(fretNumber, string) - start) * unitsPerMillimetre;
+    }
+
+    drawInlays() {
+        // Fret position markers (dots) at the instrument's inlay frets inside the window
+        const firstWire = this.getFirstWire();
+        const { end } = this.getFretWindow();
+        INSTRUMENTS[this.instrument].inlays.forEach(fretNum => {
+            if (fretNum > firstWire && fretNum <= end) {
+                // Double dots at the octaves, a single dot for the others
+                const heights = fretNum % 12 === 0 ? [0.33, 0.67] : [0.5];
+                heights.forEach(height => {
+                    const y = this.fretboardHeight * height;
+                    this.addFretMarker(this.getFretMidpoint(fretNum, this.getStringIndexAt(y)), y);
+                });
             }
         });
     }
 
     addFretMarker(x, y) {
-        const marker = document.createElement('div');
-        marker.style.position = 'absolute';
-        marker.style.left = `${x - 8}px`;
-        marker.style.top = `${y - 8}px`;
-        marker.style.width = '16px';
-        marker.style.height = '16px';
-        marker.style.backgroundColor = '#E8E8E8';
-        marker.style.borderRadius = '50%';
-        marker.style.border = '2px solid #A0A0A0';
-        marker.style.boxShadow = 'inset 0 2px 4px rgba(0,0,0,0.2)';
-        this.container.appendChild(marker);
+        return this.createSvgElement('circle', { class: 'inlay', cx: x, cy: y, r: 8 }, this.layers.inlays);
     }
 
     setupInteractivity() {
-        // Add click event listener to fretboard for finger dot placement
-        this.container.addEventListener('click', (e) => {
-            if (e.target === this.container || e.target.classList.contains('string')) {
-                this.handleFretboardClick(e);
-            }
-        });
+        this.drawHitTargets();
 
         // Add some initial finger dots as shown in the image
         this.addInitialFingerDots();
     }
 
-    handleFretboardClick(e) {
-        const rect = this.container.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    // One clickable cell per string and fret in the window, reaching halfway to the neighbouring strings and frets.
+    // Open-string cells straddle the nut and sit above the first fret's cell; nothing behind a capo is clickable.
+    drawHitTargets() {
+        const topEdge = this.getStringIndexAt(0);
+        const bottomEdge = this.getStringIndexAt(this.fretboardHeight);
+        const lastString = this.strings.length - 1;
+        const firstWire = this.getFirstWire();
+        const cells = [];
 
-        // Find the closest string and fret position
-        const stringInfo = this.getClosestString(y);
-        const fretInfo = this.getClosestFret(x);
+        this.strings.forEach((_, stringIndex) => {
+            const above = stringIndex === 0 ? topEdge : stringIndex - 0.5;
+            const below = stringIndex === lastString ? bottomEdge : stringIndex + 0.5;
+            const capoFret = this.getCapoFret(stringIndex);
 
-        if (stringInfo && fretInfo) {
-            this.toggleFingerDot(stringInfo.index, fretInfo.fret, fretInfo.x, stringInfo.y);
-        }
-    }
-
-    getClosestString(y) {
-        const stringSpacing = this.fretboardHeight / 7;
-        let closestString = null;
-        let minDistance = Infinity;
-
-        for (let i = 0; i < this.strings.length; i++) {
-            const stringY = stringSpacing * (i + 1);
-            const distance = Math.abs(y - stringY);
-            
-            if (distance < minDistance && distance < 25) { // 25px tolerance
-                minDistance = distance;
-                closestString = { index: i, y: stringY };
+            for (let fret = Math.max(1, capoFret, firstWire + 1); fret <= this.getFretWindow().end; fret++) {
+                const from = fret === capoFret ? fret - 0.5 : fret - 1;
+                cells.push({ stringIndex, fret, above, below, from: string => this.getFretPosition(from, string),
+                    to: string => this.getFretPosition(fret, string) });
             }
-        }
-
-        return closestString;
-    }
-
-    getClosestFret(x) {
-        let closestFret = null;
-        let minDistance = Infinity;
-
-        // Check fret 0 (open string)
-        const distance0 = Math.abs(x - 15);
-        if (distance0 < minDistance && distance0 < 30) {
-            minDistance = distance0;
-            closestFret = { fret: 0, x: 15 };
-        }
-
-        // Check other frets
-        for (let i = 1; i <= this.numFrets; i++) {
-            const fretX = this.getFretPosition(i);
-            const prevFretX = i === 1 ? 1 : this.getFretPosition(i - 1);
-            const midX = prevFretX + (fretX - prevFretX) / 2;
-            
-            const distance = Math.abs(x - midX);
-            if (distance < minDistance && distance < (fretX - prevFretX) / 2) {
-                minDistance = distance;
-                closestFret = { fret: i, x: midX };
+            if (capoFret === 0 && firstWire === 0) {
+                cells.push({ stringIndex, fret: 0, above, below, from: string => this.getFretPosition(0, string) - 20,
+                    to: string => this.getFretPosition(0, string) + 30 });
             }
-        }
+        });
 
-        return closestFret;
+        cells.forEach(({ stringIndex, fret, above, below, from, to }) => {
+            const corners = [
+                [from(above), this.getStringY(above)],
+                [to(above), this.getStringY(above)],
+                [to(below), this.getStringY(below)],
+                [from(below), this.getStringY(below)]
+            ];
+            const cell = this.createSvgElement('polygon', {
+                class: 'fret-cell',
+                points: corners.map(([x, y]) => `${x},${y}`).join(' ')
+            }, this.layers.targets);
+            cell.dataset.string = stringIndex;
+            cell.dataset.cell = fret;
+            cell.addEventListener('click', () => {
+                this.toggleFingerDot(stringIndex, fret);
+            });
+        });
     }
 
-    toggleFingerDot(stringIndex, fret, x, y) {
+    toggleFingerDot(stringIndex, fret, x = null, y = null) {
         // Check if dot already exists at this position
         const existingDotIndex = this.fingerDots.findIndex(
             dot => dot.string === stringIndex && dot.fret === fret
@@ -206,30 +423,45 @@ class GuitarFretboard {
         if (existingDotIndex >= 0) {
             // Remove existing dot
             const dot = this.fingerDots[existingDotIndex];
-            this.container.removeChild(dot.element);
+            this.layers.dots.removeChild(dot.element);
             this.fingerDots.splice(existingDotIndex, 1);
+            this.updateDotLabels();
         } else {
             // Add new dot
-            this.addFingerDot(stringIndex, fret, x, y);
+            this.addFingerDot(
+                stringIndex,
+                fret,
+                x === null ? this.getDotX(stringIndex, fret) : x,
+                y === null ? this.getStringY(stringIndex) : y
+            );
         }
     }
 
+    // Dots outside the fret window show as an arrow at the edge they lie beyond
     addFingerDot(stringIndex, fret, x, y) {
-        const dot = document.createElement('div');
-        dot.className = 'finger-dot';
-        dot.style.left = `${x - 10}px`;
-        dot.style.top = `${y - 10}px`;
-        
+        const shown = this.isFretShown(stringIndex, fret);
+        const dot = shown
+            ? this.createSvgElement('g', { class: 'dot' }, this.layers.dots)
+            : this.createEdgeIndicator(stringIndex, fret);
+
         // Store dot information
         const dotInfo = {
             element: dot,
+            circle: shown ? this.createSvgElement('circle', { class: 'finger-dot', cx: x, cy: y, r: 10 }, dot) : null,
+            label: shown ? this.createSvgElement('text', {
+                class: 'dot-label',
+                x: x,
+                y: y,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central'
+            }, dot) : null,
             string: stringIndex,
             fret: fret,
             note: this.getNote(stringIndex, fret)
         };
 
         this.fingerDots.push(dotInfo);
-        this.container.appendChild(dot);
+        this.updateDotLabels();
 
         // Add click handler to remove dot
         dot.addEventListener('click', (e) => {
@@ -238,27 +470,164 @@ class GuitarFretboard {
         });
     }
 
+    // An arrow on the string at the left or right edge, labelled with the fret it points to
+    createEdgeIndicator(stringIndex, fret) {
+        const left = Math.max(fret, this.getCapoFret(stringIndex)) <= this.getFirstWire();
+        const y = this.getStringY(stringIndex);
+        const tip = left ? 2 : this.fretboardWidth - 2;
+        const base = left ? 14 : this.fretboardWidth - 14;
+
+        const indicator = this.createSvgElement('g', { class: `edge-indicator edge-${left ? 'left' : 'right'}` }, this.layers.dots);
+        this.createSvgElement('polygon', { points: `${tip},${y} ${base},${y - 8} ${base},${y + 8}` }, indicator);
+        const label = this.createSvgElement('text', {
+            x: left ? base + 4 : base - 4,
+            y: y,
+            'text-anchor': left ? 'start' : 'end',
+            'dominant-baseline': 'central'
+        }, indicator);
+        label.textContent = this.formatFret(stringIndex, fret);
+        return indicator;
+    }
+
+    // Mode from DOT_LABEL_MODES
+    setLabelMode(mode) {
+        if (!DOT_LABEL_MODES[mode]) {
+            throw new Error(`Unknown dot label mode: ${mode}. Must be one of ${Object.keys(DOT_LABEL_MODES).join(', ')}.`);
+        }
+        this.labelMode = mode;
+        this.updateDotLabels();
+    }
+
+    // The chord on the neck as { root, type } with a chord quality of the core registry, or null
+    setChord(chord) {
+        if (chord && (!/^[A-G](#|b)?$/.test(chord.root) || !chordQualities.has(chord.type))) {
+            throw new Error(`Unknown chord: ${chord.root} ${chord.type}`);
+        }
+        this.chord = chord ? { root: chord.root, type: chord.type } : null;
+        this.updateDotLabels();
+    }
+
+    // Note the interval labels count from, or null for the chord's root
+    setIntervalRoot(note) {
+        if (note !== null && !/^[A-G](#|b)?$/.test(note)) {
+            throw new Error(`Unknown interval root: ${note}`);
+        }
+        this.intervalRoot = note;
+        this.updateDotLabels();
+    }
+
+    // The chord tone a note sounds as { pitch, interval }, spelled from the chord's root, or null outside the chord
+    getChordTone(stringIndex, fret) {
+        if (!this.chord) return null;
+        const chord = new Chord(`${this.chord.root}4`, this.chord.type);
+        const tones = chord.getSpelledTones();
+        const index = tones.findIndex(pitch => pitch.toMidi() % 12 === this.getMidi(stringIndex, fret) % 12);
+        return index === -1 ? null : { pitch: tones[index], interval: chord.getToneIntervals()[index] };
+    }
+
+    // Degree of a note in the current chord as { name, role }, or null outside the chord
+    getDegree(stringIndex, fret) {
+        const tone = this.getChordTone(stringIndex, fret);
+        return tone ? CHORD_DEGREES[tone.interval.toString()] : null;
+    }
+
+    // Note name as the chord spells it; notes outside the chord keep the sharp spelling
+    getSpelledNote(stringIndex, fret) {
+        const tone = this.getChordTone(stringIndex, fret);
+        return tone ? tone.pitch.note : this.getNote(stringIndex, fret);
+    }
+
+    // Interval above the chosen root (or the chord's root) to the chord's spelling of the note, so a
+    // diminished fifth reads d5. Notes outside the chord are named by their semitones. Null with no root.
+    getInterval(stringIndex, fret) {
+        const root = this.intervalRoot || (this.chord && this.chord.root);
+        if (!root) return null;
+        const tone = this.getChordTone(stringIndex, fret);
+        if (!tone) {
+            return INTERVAL_NAMES[(this.getMidi(stringIndex, fret) - pitchClassOf(root) + 120) % 12];
+        }
+
+        // Put the note in the octave above the root's letter so the interval is a simple one
+        const letters = 'CDEFGAB';
+        const octave = letters.indexOf(tone.pitch.noteLetter) < letters.indexOf(root[0]) ? 5 : 4;
+        return Interval.between(new Pitch(`${root}4`), new Pitch(`${tone.pitch.note}${octave}`)).toString();
+    }
+
+    // Fingers the playability scorer picks for the dots, barres included, as '1'-'4'; open strings
+    // and notes at the capo get '0', and notes the hand cannot reach stay blank
+    getFingering() {
+        const scorer = new PlayabilityScorer({ geometry: this.geometry, stringCount: this.strings.length, capo: this.capo });
+        const { fingering } = scorer.score(this.fingerDots.map(dot => ({ string: dot.string, fret: dot.fret })));
+        return this.fingerDots.map(dot => {
+            if (dot.fret <= this.getCapoFret(dot.string)) return '0';
+            const note = fingering.find(position => position.string === dot.string && position.fret === dot.fret);
+            return note ? String(note.finger) : '';
+        });
+    }
+
+    // Print the label mode's text in each dot and colour it by its degree in the current chord
+    updateDotLabels() {
+        const fingering = this.labelMode === 'finger' ? this.getFingering() : [];
+
+        this.fingerDots.forEach((dot, index) => {
+            if (!dot.circle) return;
+            const degree = this.getDegree(dot.string, dot.fret);
+            const labels = {
+                none: '',
+                note: this.getSpelledNote(dot.string, dot.fret),
+                degree: degree ? degree.name : '',
+                interval: this.getInterval(dot.string, dot.fret) || '',
+                finger: fingering[index]
+            };
+
+            dot.circle.setAttribute('class', degree ? `finger-dot degree-${degree.role}` : 'finger-dot');
+            dot.label.textContent = labels[this.labelMode];
+        });
+    }
+
     addInitialFingerDots() {
         // No initial finger dots for triad exercise
         // Users will learn by clicking Random Chord button
     }
 
     getNote(stringIndex, fret) {
-        const openStringNotes = ['E', 'B', 'G', 'D', 'A', 'E'];
-        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        
-        const openNote = openStringNotes[stringIndex];
-        const openNoteIndex = notes.indexOf(openNote);
-        const noteIndex = (openNoteIndex + fret) % 12;
-        
-        return notes[noteIndex];
+        return this.getPitch(stringIndex, fret).note;
+    }
+
+    // Sounding pitch; open strings keep the tuning's spelling and fretted notes are spelled with sharps
+    getPitch(stringIndex, fret) {
+        const midi = this.getMidi(stringIndex, fret);
+        const openString = new Pitch(this.openStrings[stringIndex]);
+        return midi === openString.toMidi() ? openString : Pitch.fromMidi(midi);
+    }
+
+    getMidi(stringIndex, fret) {
+        return new Pitch(this.openStrings[stringIndex]).toMidi() + Math.max(fret, this.getCapoFret(stringIndex));
+    }
+
+    // An x at the nut (or the left edge of a window) for a string that must not sound
+    addMutedMarker(stringIndex) {
+        const marker = this.createSvgElement('text', {
+            class: 'muted-marker',
+            x: this.getFirstWire() === 0 ? this.getDotX(stringIndex, 0) : 15,
+            y: this.getStringY(stringIndex),
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central'
+        }, this.layers.overlays);
+        marker.textContent = '×';
+        this.mutedMarkers.push({ element: marker, string: stringIndex });
     }
 
     clearAllDots() {
         this.fingerDots.forEach(dot => {
-            this.container.removeChild(dot.element);
+            this.layers.dots.removeChild(dot.element);
         });
         this.fingerDots = [];
+        this.chord = null;
+        this.mutedMarkers.forEach(marker => {
+            this.layers.overlays.removeChild(marker.element);
+        });
+        this.mutedMarkers = [];
     }
 }
 
@@ -267,12 +636,35 @@ class FretboardApp {
     constructor() {
         this.fretboard = new GuitarFretboard('fretboard');
         this.setupEventListeners();
+        this.startSession(this.getSeedFromUrl());
+    }
+
+    // A session records its seed and the chords it asked, so the same seed replays the same sequence
+    startSession(seed = null) {
+        this.random = seed === null ? new SeededRandom() : new SeededRandom(seed);
+        this.session = { seed: this.random.seed, questions: [] };
+
+        const seedInput = document.getElementById('session-seed');
+        if (seedInput) {
+            seedInput.value = this.session.seed;
+        }
+        this.logActivity(`Started session with seed ${this.session.seed}`);
+        return this.session;
+    }
+
+    getSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed !== null && /^\d+$/.test(seed) ? parseInt(seed) : null;
     }
 
     setupEventListeners() {
         const clearButton = document.getElementById('clear-dots');
         const randomChordButton = document.getElementById('random-chord');
         const fretCountSelect = document.getElementById('fret-count');
+        const instrumentSelect = document.getElementById('instrument');
+        const tuningSelect = document.getElementById('tuning');
+        const newSessionButton = document.getElementById('new-session');
+        const seedInput = document.getElementById('session-seed');
 
         if (clearButton) {
             clearButton.addEventListener('click', () => {
@@ -287,12 +679,101 @@ class FretboardApp {
             });
         }
 
+        if (newSessionButton) {
+            newSessionButton.addEventListener('click', () => {
+                // Reuse a typed seed to replay a session; an empty field starts a fresh one
+                const seed = seedInput && seedInput.value !== '' ? parseInt(seedInput.value) : null;
+                this.fretboard.clearAllDots();
+                this.startSession(Number.isNaN(seed) ? null : seed);
+            });
+        }
+
         if (fretCountSelect) {
             fretCountSelect.addEventListener('change', (e) => {
                 this.updateFretCount(parseInt(e.target.value));
             });
         }
 
+        const windowStartInput = document.getElementById('fret-window-start');
+        const windowEndInput = document.getElementById('fret-window-end');
+        if (windowStartInput && windowEndInput) {
+            const applyWindow = () => {
+                this.updateFretWindow(parseInt(windowStartInput.value), parseInt(windowEndInput.value));
+            };
+            windowStartInput.addEventListener('change', applyWindow);
+            windowEndInput.addEventListener('change', applyWindow);
+        }
+
+        if (instrumentSelect) {
+            instrumentSelect.addEventListener('change', (e) => {
+                this.updateInstrument(e.target.value);
+            });
+        }
+
+        if (tuningSelect) {
+            tuningSelect.addEventListener('change', (e) => {
+                this.updateTuning(e.target.value);
+            });
+        }
+
+        const shapeInput = document.getElementById('chord-shape');
+        const showShapeButton = document.getElementById('show-shape');
+
+        if (showShapeButton && shapeInput) {
+            showShapeButton.addEventListener('click', () => {
+                this.showChordShape(shapeInput.value);
+            });
+            shapeInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.showChordShape(shapeInput.value);
+                }
+            });
+        }
+
+        const capoSelect = document.getElementById('capo-fret');
+        const capoStringsSelect = document.getElementById('capo-strings');
+        const fretNumberingSelect = document.getElementById('fret-numbering');
+        const applyCapo = () => {
+            this.updateCapo(
+                parseInt(capoSelect.value),
+                capoStringsSelect ? capoStringsSelect.value : 'all'
+            );
+        };
+
+        if (capoSelect) {
+            capoSelect.addEventListener('change', applyCapo);
+        }
+
+        if (capoStringsSelect && capoSelect) {
+            capoStringsSelect.addEventListener('change', applyCapo);
+        }
+
+        if (fretNumberingSelect) {
+            fretNumberingSelect.addEventListener('change', (e) => {
+                this.updateFretNumbering(e.target.value);
+            });
+        }
+
+        const dotLabelsSelect = document.getElementById('dot-labels');
+        const intervalRootSelect = document.getElementById('interval-root');
+        if (dotLabelsSelect) {
+            dotLabelsSelect.addEventListener('change', (e) => {
+                this.updateDotLabelMode(e.target.value);
+            });
+        }
+        if (intervalRootSelect) {
+            intervalRootSelect.addEventListener('change', (e) => {
+                this.updateIntervalRoot(e.target.value || null);
+            });
+        }
+
+        const scaleLengthSelect = document.getElementById('scale-length');
+        if (scaleLengthSelect) {
+            scaleLengthSelect.addEventListener('change', (e) => {
+                this.updateScaleLength(e.target.value || null);
+            });
+        }
+
         this.setupChordSettings();
     }
 
@@ -393,13 +874,19 @@ class FretboardApp {
         const selectedVoicings = this.getSelectedVoicings();
         const selectedInversions = this.getSelectedInversions();
         
-        const allChords = this.generateChordDatabase();
+        // The hand-written shapes are for a six-string guitar in standard tuning without a capo, seen from the nut;
+        // otherwise shapes come from the tuning and capo, named by the chord that sounds
+        const { instrument, tuning, capo } = this.fretboard;
+        const allChords = instrument === 'guitar' && tuning === 'standard' && !capo && this.fretboard.getFirstWire() === 0
+            ? this.generateChordDatabase()
+            : this.generateTriadShapes(selectedTypes);
         
-        // Filter chords based on selected criteria
+        // Filter chords based on selected criteria, keeping those inside the fret window
         const availableChords = allChords.filter(chord => 
             selectedTypes.includes(chord.type) &&
             selectedVoicings.includes(chord.voicing) &&
-            selectedInversions.includes(chord.inversion)
+            selectedInversions.includes(chord.inversion) &&
+            chord.positions.every(([stringIndex, fret]) => this.fretboard.isFretShown(stringIndex, fret))
         );
         
         if (availableChords.length === 0) {
@@ -407,15 +894,85 @@ class FretboardApp {
             return;
         }
         
-        const randomChord = availableChords[Math.floor(Math.random() * availableChords.length)];
+        const randomChord = this.random.pick(availableChords);
+        this.session.questions.push(randomChord.name);
         
         randomChord.positions.forEach(([stringIndex, fret]) => {
-            const fretX = fret === 0 ? 15 : this.fretboard.getFretPosition(fret - 0.5);
-            const stringY = this.fretboard.fretboardHeight / 7 * (stringIndex + 1);
+            const fretX = this.fretboard.getDotX(stringIndex, fret);
+            const stringY = this.fretboard.getStringY(stringIndex);
             this.fretboard.addFingerDot(stringIndex, fret, fretX, stringY);
         });
+        // Chord names start with the root, such as 'F# Minor (1st inv)'
+        this.fretboard.setChord({ root: randomChord.name.split(' ')[0], type: randomChord.type });
+
+        // Show the drill as a chord-chart string that can be copied or edited
+        const shapeInput = document.getElementById('chord-shape');
+        if (shapeInput) {
+            shapeInput.value = ChordShape.fromPositions(randomChord.positions, this.fretboard.strings.length).toString();
+        }
 
-        this.logActivity(`Displayed ${randomChord.name} chord`);
+        if (this.fretboard.capo) {
+            // With a capo, spell out the frets in the chosen numbering, lowest string first
+            const frets = [...randomChord.positions]
+                .sort((a, b) => b[0] - a[0])
+                .map(([stringIndex, fret]) => `S${stringIndex + 1}:${this.fretboard.formatFret(stringIndex, fret)}`)
+                .join(' ');
+            const numbering = this.fretboard.fretNumbering === 'relative' ? 'relative to capo' : 'absolute';
+            this.logActivity(`Displayed ${randomChord.name} chord (${frets}, ${numbering})`);
+        } else {
+            this.logActivity(`Displayed ${randomChord.name} chord`);
+        }
+    }
+
+    // Place a shape pasted from a chord chart, such as 'x32010', marking its muted strings
+    showChordShape(text) {
+        let frets;
+        try {
+            frets = ChordShape.parse(text, this.fretboard.strings.length).frets;
+            frets.forEach((fret, stringIndex) => {
+                if (fret === null) return;
+                if (fret > this.fretboard.numFrets) {
+                    throw new Error(`Fret ${fret} is beyond the ${this.fretboard.numFrets} frets shown`);
+                }
+                if (fret > 0 && fret < this.fretboard.getCapoFret(stringIndex)) {
+                    throw new Error(`Fret ${fret} on string ${stringIndex + 1} is behind the capo`);
+                }
+            });
+        } catch (error) {
+            this.logActivity(error.message);
+            return;
+        }
+
+        this.fretboard.clearAllDots();
+        frets.forEach((fret, stringIndex) => {
+            if (fret === null) {
+                this.fretboard.addMutedMarker(stringIndex);
+                return;
+            }
+            const fretX = this.fretboard.getDotX(stringIndex, fret);
+            this.fretboard.addFingerDot(stringIndex, fret, fretX, this.fretboard.getStringY(stringIndex));
+        });
+
+        const positions = frets
+            .map((fret, stringIndex) => [stringIndex, fret])
+            .filter(([, fret]) => fret !== null);
+        // A shape that spells a chord gets its degrees too
+        this.fretboard.setChord(this.identifyShape(positions));
+        this.logActivity(`Displayed shape ${ChordShape.fromPositions(positions, frets.length)}`);
+    }
+
+    // Root and quality of the chord the positions sound, as { root, type }, or null when notes fall outside
+    // every chord. Sharp and flat spellings are both tried, so a Bb triad is not read as A#.
+    identifyShape(positions) {
+        const sharps = positions.map(([stringIndex, fret]) => this.fretboard.getPitch(stringIndex, fret));
+        const flats = sharps.map(pitch => (pitch.accidental === '#' ? pitch.spellWithLetterOffset(1) : pitch));
+        const identifier = new ChordIdentifier();
+        const [best] = [sharps, flats]
+            .map(pitches => identifier.identifyBest(pitches))
+            .filter(candidate => candidate && candidate.extraNotes.length === 0)
+            .sort((a, b) => b.confidence - a.confidence);
+
+        return best ? { root: best.chord.root.note, type: best.chord.quality } : null;
     }
 
     generateChordDatabase() {
@@ -464,11 +1021,187 @@ class FretboardApp {
         ];
     }
 
+    // Every triad of the given types within a 4-fret span on any three strings of the current instrument,
+    // in the same form as generateChordDatabase. Each type is enumerated the first time it is asked for.
+    generateTriadShapes(types = Object.keys(TRIAD_ROOTS)) {
+        const { instrument, tuning, numFrets, capo } = this.fretboard;
+        const cacheKey = `${instrument}-${tuning}-${numFrets}-${capo ? `${capo.fret}:${capo.strings.join(',')}` : ''}`;
+        if (!this.triadShapeCache || this.triadShapeCache.key !== cacheKey) {
+            const model = new FretboardModel(tuning, instrument);
+            if (capo) {
+                model.setCapo(capo.fret, capo.strings);
+            }
+            this.triadShapeCache = { key: cacheKey, database: new GuitarChordDatabase(model), shapesByType: {} };
+        }
+
+        const { database, shapesByType } = this.triadShapeCache;
+        types.filter(type => !shapesByType[type]).forEach(type => {
+            shapesByType[type] = this.enumerateTriadShapes(database, type, numFrets);
+        });
+        return types.flatMap(type => shapesByType[type]);
+    }
+
+    // Voicings from GuitarChordDatabase.enumerateVoicings for each spelled root. An augmented shape spells
+    // three chords; it is listed once, under the root in its bass.
+    enumerateTriadShapes(database, type, numFrets) {
+        const typeName = type.charAt(0).toUpperCase() + type.slice(1);
+        const inversionSuffixes = { root: '', first: ' (1st inv)', second: ' (2nd inv)' };
+        const shapesByPositions = new Map();
+
+        TRIAD_ROOTS[type].forEach(root => {
+            database.enumerateVoicings(new Chord(`${root}4`, type), { maxFret: numFrets, details: false }).forEach(voicing => {
+                const positions = voicing.positions
+                    .map(({ string, fret }) => [string, fret])
+                    .sort((a, b) => a[0] - b[0]);
+                const key = positions.join(' ');
+                const listed = shapesByPositions.get(key);
+                if (listed && (listed.inversion === 'root' || voicing.inversion !== 'root')) return;
+
+                shapesByPositions.set(key, {
+                    name: `${root} ${typeName}${inversionSuffixes[voicing.inversion]}`,
+                    type,
+                    voicing: voicing.voicing === 'closed' ? 'closed' : 'open',
+                    inversion: voicing.inversion,
+                    positions
+                });
+            });
+        });
+
+        return [...shapesByPositions.values()];
+    }
+
+    // Lengthen or shorten the neck in place, keeping the dots that still fit
     updateFretCount(count) {
+        this.fretboard.setNumFrets(count);
+        this.syncFretWindowInputs();
+        this.logActivity(`Changed to ${count} frets`);
+    }
+
+    // Zoom in on frets start-end; the whole neck when the window covers it
+    updateFretWindow(start, end) {
+        try {
+            const wholeNeck = start <= 1 && end === this.fretboard.numFrets;
+            this.fretboard.setFretWindow(wholeNeck ? null : start, wholeNeck ? null : end);
+        } catch (error) {
+            this.logActivity(error.message);
+            this.syncFretWindowInputs();
+            return;
+        }
+        this.logActivity(`Showing frets ${start}-${end}`);
+    }
+
+    syncFretWindowInputs() {
+        const { start, end } = this.fretboard.getFretWindow();
+        const windowStartInput = document.getElementById('fret-window-start');
+        const windowEndInput = document.getElementById('fret-window-end');
+        if (windowStartInput && windowEndInput) {
+            windowStartInput.value = start;
+            windowEndInput.value = end;
+            windowStartInput.max = this.fretboard.numFrets - 1;
+            windowEndInput.max = this.fretboard.numFrets;
+        }
+    }
+
+    // A new instrument starts in its default tuning
+    updateInstrument(instrument) {
+        this.rebuildFretboard({ instrument, tuning: null });
+        this.syncTuningOptions();
+        this.logActivity(`Changed to ${INSTRUMENTS[this.fretboard.instrument].name}`);
+    }
+
+    // A key of the current instrument's tunings, such as 'dropD' or 'ebStandard'
+    updateTuning(tuning) {
+        this.rebuildFretboard({ tuning });
+        this.logActivity(`Tuning: ${INSTRUMENTS[this.fretboard.instrument].tunings[this.fretboard.tuning].name}`);
+    }
+
+    // List the current instrument's tunings in the tuning select, with the active one chosen
+    syncTuningOptions() {
+        const tuningSelect = document.getElementById('tuning');
+        if (tuningSelect) {
+            const { tunings } = INSTRUMENTS[this.fretboard.instrument];
+            tuningSelect.innerHTML = '';
+            Object.entries(tunings).forEach(([key, { name }]) => {
+                tuningSelect.appendChild(new Option(name, key));
+            });
+            tuningSelect.value = this.fretboard.tuning;
+        }
+    }
+
+    // Capo fret (0 for none) and the covered strings as 'all' or a 1-based range such as '3-5'
+    updateCapo(fret, strings = 'all') {
+        this.rebuildFretboard({ capoFret: fret, capoStrings: strings });
+        if (!this.fretboard.capo) {
+            this.logActivity('Removed capo');
+            return;
+        }
+        const covered = strings === 'all' ? 'all strings' : `strings ${strings}`;
+        this.logActivity(`Capo at fret ${fret} over ${covered}`);
+    }
+
+    updateFretNumbering(numbering) {
+        this.rebuildFretboard({ fretNumbering: numbering });
+        this.logActivity(`Showing ${numbering} fret numbers`);
+    }
+
+    // Mode from DOT_LABEL_MODES, kept across rebuilds of the neck
+    updateDotLabelMode(mode) {
+        this.dotLabels = { ...this.dotLabels, mode };
+        this.fretboard.setLabelMode(mode);
+        this.logActivity(`Dot labels: ${DOT_LABEL_MODES[mode]}`);
+    }
+
+    // Note interval labels count from, or null for the chord's root
+    updateIntervalRoot(note) {
+        this.dotLabels = { ...this.dotLabels, intervalRoot: note };
+        this.fretboard.setIntervalRoot(note);
+        this.logActivity(`Intervals counted from ${note || 'the chord root'}`);
+    }
+
+    // A SCALE_LENGTHS preset such as 'gibson' or 'fanned', or null for the instrument's own scale
+    updateScaleLength(preset) {
+        this.rebuildFretboard({ scaleLength: preset });
+        this.logActivity(`Scale length: ${preset ? SCALE_LENGTHS[preset].name : 'instrument default'}`);
+    }
+
+    // Redraw the neck with changed settings, keeping the rest. The neck length and window can change
+    // in place, so they always come from the current fretboard.
+    rebuildFretboard(changes = {}) {
+        this.fretboardSettings = {
+            instrument: this.fretboard.instrument,
+            tuning: this.fretboard.tuning,
+            capoFret: 0,
+            capoStrings: 'all',
+            fretNumbering: this.fretboard.fretNumbering,
+            scaleLength: null,
+            ...this.fretboardSettings,
+            numFrets: this.fretboard.numFrets,
+            fretWindow: this.fretboard.fretWindow,
+            ...changes
+        };
+        const { numFrets, instrument, tuning, capoFret, capoStrings, fretNumbering, scaleLength, fretWindow } = this.fretboardSettings;
+        const { tunings, defaultTuning } = INSTRUMENTS[instrument];
+        const stringCount = tunings[defaultTuning].strings.length;
+        let capo = null;
+
+        if (capoFret > 0) {
+            const [first, last] = capoStrings === 'all'
+                ? [1, stringCount]
+                : capoStrings.split('-').map(number => parseInt(number));
+            const strings = [];
+            for (let number = first; number <= Math.min(last, stringCount); number++) {
+                strings.push(number - 1);
+            }
+            capo = strings.length ? { fret: capoFret, strings } : null;
+        }
+
         const container = document.getElementById('fretboard');
         container.innerHTML = '';
-        this.fretboard = new GuitarFretboard('fretboard', count);
-        this.logActivity(`Changed to ${count} frets`);
+        this.fretboard = new GuitarFretboard('fretboard', numFrets, instrument, capo, fretNumbering, scaleLength, fretWindow, tuning);
+        if (this.dotLabels) {
+            this.fretboard.setLabelMode(this.dotLabels.mode || 'none');
+            this.fretboard.setIntervalRoot(this.dotLabels.intervalRoot || null);
+        }
     }
 
     logActivity(message) {
@@ -488,4 +1221,4 @@ class FretboardApp {
 
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new FretboardApp();
-});
\ No newline at end of file
+});
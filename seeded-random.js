@@ -0,0 +1,53 @@
+// Seeded Random Module - Shared
+// Seedable pseudo-random source (mulberry32) so random drills and practice sessions can be replayed from their seed
+
+(function () {
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        if (!Number.isFinite(seed)) {
+            throw new Error(`Invalid random seed: ${seed}`);
+        }
+        this.seed = seed >>> 0;
+        this.reset();
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Restart the sequence from the seed
+    reset() {
+        this.state = this.seed;
+    }
+
+    // Next float in [0, 1), like Math.random
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(items) {
+        if (items.length === 0) {
+            throw new Error('Cannot pick from an empty list');
+        }
+        return items[this.nextInt(items.length)];
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.SeededRandom = { SeededRandom };
+}
+})();
@@ -0,0 +1,32 @@
+// Tests for the shared seeded random source
+const { SeededRandom } = require('./seeded-random.js');
+
+describe('SeededRandom', () => {
+    test('should produce a repeatable sequence in [0, 1)', () => {
+        const random = new SeededRandom(12345);
+        const values = Array.from({ length: 100 }, () => random.next());
+
+        values.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+        random.reset();
+        expect(Array.from({ length: 100 }, () => random.next())).toEqual(values);
+    });
+
+    test('should record a generated seed when none is given', () => {
+        const random = new SeededRandom();
+        const replay = new SeededRandom(random.seed);
+
+        expect(Number.isInteger(random.seed)).toBe(true);
+        expect(replay.next()).toBe(random.next());
+    });
+
+    test('should pick items and reject invalid input', () => {
+        const random = new SeededRandom(1);
+
+        expect(['a', 'b', 'c']).toContain(random.pick(['a', 'b', 'c']));
+        expect(() => random.pick([])).toThrow('Cannot pick from an empty list');
+        expect(() => new SeededRandom('abc')).toThrow('Invalid random seed: abc');
+    });
+});
@@ -0,0 +1,226 @@
+// Voice Leading Module - Instrument-Agnostic
+// Finds minimal-motion connections between chords and flags parallel fifths and octaves
+
+(function () {
+const isCommonJS = typeof module !== 'undefined' && module.exports;
+const { Pitch, Chord, ChordTheory } = isCommonJS ? require('./music-theory-core.js') : window.MusicTheoryCore;
+
+// When the next chord has more tones than there are voices, tones are left out by letter steps
+// above the root: the fifth first, then upper extensions, then the root. Thirds and sevenths stay.
+const omissionRank = steps => (steps === 4 ? 0 : steps >= 7 ? 1 : steps === 0 ? 2 : 3);
+
+// When it has fewer, the root is doubled first, then the fifth, then the other tones
+const doublingRank = steps => (steps === 0 ? 0 : steps === 4 ? 1 : 2);
+
+class VoiceLeading {
+    constructor(chordTheory = null) {
+        this.chordTheory = chordTheory || new ChordTheory();
+    }
+
+    // Find the inversion and octave of the next chord that moves the voices least.
+    // Options: voicings to try, octave shifts to try, and an optional pitch range { low, high }.
+    // A chord with more or fewer tones than voices leaves tones out or doubles them.
+    connect(fromChord, toChord, options = {}) {
+        const fromPitches = Array.isArray(fromChord) ? fromChord : this.toChord(fromChord).getPitches();
+        const target = this.toChord(toChord);
+        const candidates = this.getCandidates(target, options)
+            .flatMap(candidate => this.fitVoices(candidate, fromPitches.length))
+            .filter(candidate => this.isInRange(candidate.pitches, options.range));
+
+        if (candidates.length === 0) {
+            throw new Error(`No ${fromPitches.length}-voice placement of ${target.getSymbol()} fits the options`);
+        }
+
+        const connections = candidates.map(candidate => this.describeMotion(fromPitches, candidate));
+        connections.sort((a, b) =>
+            a.cost - b.cost ||
+            a.totalMotion - b.totalMotion ||
+            a.parallels.length - b.parallels.length ||
+            Math.abs(a.motions[0]) - Math.abs(b.motions[0])
+        );
+
+        return connections[0];
+    }
+
+    // Connect every chord in a progression to the previous one; the first chord keeps its own voicing
+    connectProgression(chords, options = {}) {
+        const parsedChords = chords.map(chord => this.toChord(chord));
+        if (parsedChords.length === 0) {
+            return [];
+        }
+
+        const steps = [{
+            chord: parsedChords[0],
+            pitches: parsedChords[0].getPitches(),
+            motions: null,
+            totalMotion: 0,
+            parallels: [],
+            omitted: [],
+            doubled: [],
+            cost: 0
+        }];
+
+        for (let index = 1; index < parsedChords.length; index++) {
+            steps.push(this.connect(steps[index - 1].pitches, parsedChords[index], options));
+        }
+
+        return steps;
+    }
+
+    // Semitone motion of each voice (bottom to top) plus any parallel perfect intervals
+    describeMotion(fromPitches, candidate) {
+        const motions = candidate.pitches.map((pitch, index) =>
+            pitch.semitoneValue - fromPitches[index].semitoneValue
+        );
+
+        return {
+            chord: candidate.chord,
+            pitches: candidate.pitches,
+            motions: motions,
+            totalMotion: motions.reduce((total, motion) => total + Math.abs(motion), 0),
+            parallels: this.findParallels(fromPitches, candidate.pitches),
+            omitted: candidate.omitted,
+            doubled: candidate.doubled,
+            cost: candidate.cost
+        };
+    }
+
+    // Leave out or double chord tones so a placement has one pitch per voice. The bass always stays,
+    // and the cost counts how far down the omission or doubling order the chosen tones are.
+    fitVoices(candidate, voiceCount) {
+        const tones = candidate.chord.getSpelledTones();
+        const steps = candidate.chord.getIntervalSteps();
+        const stepsOf = note => steps[tones.findIndex(tone => tone.note === note)];
+        const extra = candidate.pitches.length - voiceCount;
+
+        if (extra > 0) {
+            const [bass, ...upper] = candidate.pitches;
+            const omitted = upper
+                .map(pitch => ({ pitch, rank: omissionRank(stepsOf(pitch.note)) }))
+                .sort((a, b) => a.rank - b.rank || b.pitch.semitoneValue - a.pitch.semitoneValue)
+                .slice(0, extra);
+
+            return [{
+                chord: candidate.chord,
+                pitches: [bass, ...upper.filter(pitch => !omitted.some(omission => omission.pitch === pitch))],
+                omitted: omitted.map(omission => omission.pitch.note),
+                doubled: [],
+                cost: omitted.reduce((total, omission) => total + omission.rank, 0)
+            }];
+        }
+
+        // Double each tone in unison with, or an octave either side of, one of its placed pitches
+        const doublings = tones
+            .map(tone => ({ note: tone.note, rank: doublingRank(stepsOf(tone.note)) }))
+            .sort((a, b) => a.rank - b.rank);
+        let fitted = [{ ...candidate, omitted: [], doubled: [], cost: 0 }];
+
+        for (let index = 0; index < -extra; index++) {
+            const { note, rank } = doublings[index % doublings.length];
+            fitted = fitted.flatMap(variant => variant.pitches
+                .filter(pitch => pitch.note === note)
+                .flatMap(pitch => [-12, 0, 12]
+                    .filter(semitones => Pitch.isValidMidi(pitch.semitoneValue + semitones))
+                    .map(semitones => pitch.transpose(Math.sign(semitones) * 7, semitones)))
+                .map(double => ({
+                    chord: variant.chord,
+                    pitches: [...variant.pitches, double].sort((a, b) => a.semitoneValue - b.semitoneValue),
+                    omitted: [],
+                    doubled: [...variant.doubled, note],
+                    cost: variant.cost + rank
+                })));
+        }
+
+        return fitted;
+    }
+
+    isInRange(pitches, range) {
+        if (!range) {
+            return true;
+        }
+        return pitches[0].semitoneValue >= this.toPitch(range.low).semitoneValue &&
+            pitches[pitches.length - 1].semitoneValue <= this.toPitch(range.high).semitoneValue;
+    }
+
+    // Pairs of voices moving in the same direction from one perfect fifth or octave to another
+    findParallels(fromPitches, toPitches) {
+        const parallels = [];
+
+        for (let lower = 0; lower < fromPitches.length; lower++) {
+            for (let upper = lower + 1; upper < fromPitches.length; upper++) {
+                const lowerMotion = toPitches[lower].semitoneValue - fromPitches[lower].semitoneValue;
+                const upperMotion = toPitches[upper].semitoneValue - fromPitches[upper].semitoneValue;
+                if (lowerMotion === 0 || Math.sign(lowerMotion) !== Math.sign(upperMotion)) continue;
+
+                const before = this.getIntervalClass(fromPitches[lower], fromPitches[upper]);
+                const after = this.getIntervalClass(toPitches[lower], toPitches[upper]);
+
+                if (before === 7 && after === 7) {
+                    parallels.push({ type: 'fifths', voices: [lower, upper] });
+                } else if (before === 0 && after === 0) {
+                    parallels.push({ type: 'octaves', voices: [lower, upper] });
+                }
+            }
+        }
+
+        return parallels;
+    }
+
+    getIntervalClass(lowerPitch, upperPitch) {
+        return (((upperPitch.semitoneValue - lowerPitch.semitoneValue) % 12) + 12) % 12;
+    }
+
+    // Every inversion and voicing of the chord, shifted by whole octaves
+    getCandidates(chord, options = {}) {
+        const {
+            voicings = ['closed'],
+            octaveShifts = [-2, -1, 0, 1, 2]
+        } = options;
+        const candidates = [];
+
+        for (const inversion of chord.getAvailableInversions()) {
+            for (const voicing of voicings) {
+                const inverted = new Chord(chord.root, chord.quality, inversion, voicing, chord.bass);
+                const basePitches = inverted.getPitches();
+
+                for (const shift of octaveShifts) {
+                    const lowest = basePitches[0].semitoneValue + (shift * 12);
+                    const highest = basePitches[basePitches.length - 1].semitoneValue + (shift * 12);
+
+                    // Stay inside the MIDI range; the requested range is checked once the voices are fitted
+                    if (![lowest, highest, chord.root.semitoneValue + (shift * 12)].every(Pitch.isValidMidi)) continue;
+
+                    const shifted = new Chord(
+                        chord.root.transpose(shift * 7, shift * 12),
+                        chord.quality,
+                        inversion,
+                        voicing,
+                        chord.bass ? chord.bass.transpose(shift * 7, shift * 12) : null
+                    );
+                    candidates.push({ chord: shifted, pitches: shifted.getPitches() });
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    toChord(chord) {
+        return typeof chord === 'string' ? this.chordTheory.parseChordName(chord) : chord;
+    }
+
+    toPitch(pitch) {
+        return typeof pitch === 'string' ? new Pitch(pitch) : pitch;
+    }
+}
+
+// Export for CommonJS (Node.js/Jest)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VoiceLeading };
+}
+
+// Export for ES6 modules (browser)
+if (typeof window !== 'undefined') {
+    window.VoiceLeading = { VoiceLeading };
+}
+})();
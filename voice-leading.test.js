@@ -0,0 +1,111 @@
+// Tests for the voice-leading engine
+const { Pitch, Chord } = require('./music-theory-core.js');
+const { VoiceLeading } = require('./voice-leading.js');
+
+describe('Voice Leading', () => {
+    let voiceLeading;
+
+    beforeEach(() => {
+        voiceLeading = new VoiceLeading();
+    });
+
+    describe('Connecting two chords', () => {
+        test('should choose the inversion that moves the voices least', () => {
+            const connection = voiceLeading.connect(new Chord('C4', 'major'), 'F');
+
+            expect(connection.chord.inversion).toBe('second');
+            expect(connection.pitches.map(p => p.toString())).toEqual(['C4', 'F4', 'A4']);
+            expect(connection.motions).toEqual([0, 1, 2]);
+            expect(connection.totalMotion).toBe(3);
+        });
+
+        test('should keep common tones and move by step to the dominant', () => {
+            const connection = voiceLeading.connect('C', 'G');
+
+            expect(connection.pitches.map(p => p.toString())).toEqual(['B3', 'D4', 'G4']);
+            expect(connection.motions).toEqual([-1, -2, 0]);
+            expect(connection.chord.getPitches().map(p => p.toString())).toEqual(['B3', 'D4', 'G4']);
+        });
+
+        test('should respect a pitch range such as the top three strings', () => {
+            const connection = voiceLeading.connect('C', 'G', { range: { low: 'G4', high: 'A5' } });
+
+            expect(connection.pitches.map(p => p.toString())).toEqual(['G4', 'B4', 'D5']);
+        });
+
+        test('should reject connections with no placement inside the range', () => {
+            expect(() => voiceLeading.connect('C', 'G', { range: { low: 'C4', high: 'D4' } }))
+                .toThrow('No 3-voice placement of G fits the options');
+        });
+    });
+
+    describe('Changing the number of chord tones', () => {
+        test('should leave out the fifth when a triad moves to a seventh chord', () => {
+            const steps = voiceLeading.connectProgression(['Dm', 'G7']);
+
+            expect(steps[1].chord.getSymbol()).toBe('G7/B');
+            expect(steps[1].pitches.map(p => p.toString())).toEqual(['B3', 'F4', 'G4']);
+            expect(steps[1].omitted).toEqual(['D']);
+            expect(steps[1].motions).toEqual([-3, 0, -2]);
+        });
+
+        test('should double the root when a seventh chord resolves to a triad', () => {
+            const connection = voiceLeading.connect(new Chord('G4', '7'), 'C');
+
+            expect(connection.pitches.map(p => p.toString())).toEqual(['G4', 'C5', 'C5', 'E5']);
+            expect(connection.doubled).toEqual(['C']);
+            expect(connection.motions).toEqual([0, 1, -2, -1]);
+        });
+
+        test('should keep every tone when the voices and tones match', () => {
+            const connection = voiceLeading.connect('Dm7', 'G7');
+
+            expect(connection.pitches.map(p => p.toString())).toEqual(['D4', 'F4', 'G4', 'B4']);
+            expect(connection.omitted).toEqual([]);
+            expect(connection.doubled).toEqual([]);
+        });
+    });
+
+    describe('Parallel perfect intervals', () => {
+        test('should flag parallel fifths', () => {
+            const parallels = voiceLeading.findParallels(
+                new Chord('C4', 'major').getPitches(),
+                new Chord('D4', 'major').getPitches()
+            );
+
+            expect(parallels).toEqual([{ type: 'fifths', voices: [0, 2] }]);
+        });
+
+        test('should flag parallel octaves', () => {
+            const parallels = voiceLeading.findParallels(
+                ['C3', 'E4', 'G4', 'C5'].map(note => new Pitch(note)),
+                ['D3', 'F4', 'A4', 'D5'].map(note => new Pitch(note))
+            );
+
+            expect(parallels).toContainEqual({ type: 'octaves', voices: [0, 3] });
+            expect(parallels).toContainEqual({ type: 'fifths', voices: [0, 2] });
+        });
+
+        test('should not flag oblique or contrary motion', () => {
+            const connection = voiceLeading.connect('C', 'Am');
+            expect(connection.parallels).toEqual([]);
+        });
+    });
+
+    describe('Progressions', () => {
+        test('should chain minimal-motion connections through a progression', () => {
+            const steps = voiceLeading.connectProgression(['C', 'Am', 'F', 'G', 'C']);
+
+            expect(steps.map(step => step.chord.getSymbol())).toEqual(['C', 'Am/C', 'F/C', 'G/B', 'C']);
+            expect(steps[0].motions).toBeNull();
+            steps.slice(1).forEach(step => {
+                expect(step.totalMotion).toBeLessThanOrEqual(6);
+                expect(step.parallels).toEqual([]);
+            });
+        });
+
+        test('should return no steps for an empty progression', () => {
+            expect(voiceLeading.connectProgression([])).toEqual([]);
+        });
+    });
+});